@@ -0,0 +1,145 @@
+/**
+ * Audit trails — append-only JSON-lines files with one line per recorded
+ * action. The server keeps two: admin actions and access decisions.
+ *
+ *   {"id":"au_…","seq":42,"at":…,"requestId":"…",
+ *    "actor":{"type":"key"} | {"type":"creator","address":"0x…"} | {"type":"viewer","address":"0x…"},
+ *    "ip":"…","action":"access.grant","target":{…},"details":{…},
+ *    "prev":"<hash of line 41>","hash":"<sha256>"}
+ *
+ * Lines are never rewritten or dropped. Each line is hash-chained to the one
+ * before it: `hash` is the SHA-256 of the line's JSON without `hash`, which
+ * includes `prev`. Editing, removing or reordering a line breaks the chain
+ * from that point on, which verify() reports. Lines written before chaining
+ * existed (no `hash`) are skipped by verify().
+ *
+ * Rotation: with maxBytes, a file that would grow past it is renamed to
+ * `<name>.<timestamp><ext>` and a fresh file is started. The first line of
+ * the new file is an `audit.rotate` entry chained to the last line of the
+ * old one, so the chain runs across every rotated file. Rotate only through
+ * maxBytes: an external tool that truncates or copies the file breaks it.
+ *
+ * The newest maxInMemory lines are kept in memory for list().
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+function hashLine(line) {
+  const { hash, ...rest } = line;
+  return crypto.createHash('sha256').update(JSON.stringify(rest)).digest('hex');
+}
+
+function readLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        logger.error('Audit: skipping corrupt line', { file, line: i + 1 });
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function openAuditLog({ file, maxInMemory = 10_000, maxBytes = 0 }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const { dir, name, ext } = path.parse(file);
+
+  const lines = readLines(file);
+  const recent = lines.slice(-maxInMemory);
+  const lastChained = [...lines].reverse().find(l => l.hash);
+  let prev = lastChained?.hash || GENESIS_HASH;
+  let seq = lastChained?.seq || 0;
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+  // Rotated files, oldest first (their timestamps sort lexically)
+  function rotatedFiles() {
+    return fs.readdirSync(dir)
+      .filter(f => f.startsWith(`${name}.`) && f.endsWith(ext) && f !== `${name}${ext}`)
+      .sort()
+      .map(f => path.join(dir, f));
+  }
+
+  function append(fields) {
+    const line = { id: `au_${crypto.randomBytes(9).toString('hex')}`, seq: seq + 1, at: Date.now(), ...fields, prev };
+    line.hash = hashLine(line);
+    const text = JSON.stringify(line) + '\n';
+    fs.appendFileSync(file, text);
+    size += Buffer.byteLength(text);
+    seq = line.seq;
+    prev = line.hash;
+    recent.push(line);
+    if (recent.length > maxInMemory) recent.shift();
+    return line;
+  }
+
+  function rotate() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const rotatedTo = path.join(dir, `${name}.${stamp}${ext}`);
+    fs.renameSync(file, rotatedTo);
+    size = 0;
+    append({ actor: { type: 'system' }, ip: null, action: 'audit.rotate', target: { file: path.basename(rotatedTo) }, details: {} });
+  }
+
+  /**
+   * Append one action. Returns the written line.
+   */
+  function record({ actor, ip = null, requestId, action, target = {}, details = {} }) {
+    if (maxBytes && size > 0 && size >= maxBytes) rotate();
+    return append({ ...(requestId ? { requestId } : {}), actor, ip, action, target, details });
+  }
+
+  /**
+   * Recent actions, newest first, optionally limited to one actor address
+   * or action.
+   */
+  function list({ address, action, limit = 100 } = {}) {
+    return recent
+      .filter(l => !address || l.actor.address === address.toLowerCase())
+      .filter(l => !action || l.action === action)
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Check the hash chain across the rotated files and the current one.
+   * Returns { ok, files, lines, unchained } or, at the first bad line,
+   * { ok: false, …, broken: { file, seq, reason } }.
+   */
+  function verify() {
+    const files = [...rotatedFiles(), file];
+    let expectedPrev = null;
+    let checked = 0;
+    let unchained = 0;
+    for (const f of files) {
+      for (const line of readLines(f)) {
+        if (!line.hash) {
+          unchained++;
+          continue;
+        }
+        const fail = reason => ({ ok: false, files: files.length, lines: checked, unchained, broken: { file: path.basename(f), seq: line.seq, reason } });
+        if (hashLine(line) !== line.hash) return fail('hash does not match the line');
+        if (expectedPrev !== null && line.prev !== expectedPrev) return fail('prev does not match the previous line');
+        if (expectedPrev === null && line.prev !== GENESIS_HASH && line.action !== 'audit.rotate') {
+          return fail('chain does not start at the genesis hash');
+        }
+        expectedPrev = line.hash;
+        checked++;
+      }
+    }
+    return { ok: true, files: files.length, lines: checked, unchained };
+  }
+
+  return { record, list, verify };
+}
+
+module.exports = { openAuditLog };
@@ -0,0 +1,107 @@
+/**
+ * Payment ↔ requester binding, so a tx hash alone never unlocks content.
+ *
+ * A verified payment is only honored for a requester who proves they control
+ * the payer address, either through a SIWE session or — for x402 clients
+ * that can't run SIWE — a `personal_sign` signature over
+ * paymentProofMessage(txHash, nonce) sent as `payload.signature` in
+ * X-PAYMENT, with the nonce (from GET /api/nonce) as `payload.nonce`. Nonces
+ * are single-use and expire, so a proof seen on the wire can't be replayed.
+ *
+ * Each payment also remembers the distinct clients it has served and refuses
+ * new ones beyond maxClients (0 = unlimited). Client IDs are issued by the
+ * server and signed with `secret`, never taken on the caller's word: a
+ * signed-in request without a valid one in X-A402-Client counts as its SIWE
+ * session, and a signed proof without one is a new client that gets its ID
+ * back in that response header to send from then on.
+ */
+
+const crypto = require('crypto');
+const { recoverPersonalSignature } = require('./secp256k1');
+const { logger } = require('./logger');
+
+const CLIENT_HEADER = 'X-A402-Client';
+
+function paymentProofMessage(txHash, nonce) {
+  return `A402 payment proof: I sent transaction ${txHash.toLowerCase()}\nNonce: ${nonce}`;
+}
+
+/**
+ * createPaymentBinding({ ledger, secret, consumeNonce, maxClients })
+ * `consumeNonce(nonce)` burns a server-issued nonce and says whether it was
+ * valid (siwe.consumeNonce).
+ */
+function createPaymentBinding({ ledger, secret, consumeNonce, maxClients = 3 }) {
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    logger.warn('No client ID secret — client IDs will not survive a restart');
+  }
+
+  function sign(id) {
+    return crypto.createHmac('sha256', secret).update(`client:${id}`).digest('base64url');
+  }
+
+  /**
+   * The server-issued client ID the request carries, or null.
+   */
+  function clientOf(req) {
+    const [id, mac] = String(req.get(CLIENT_HEADER) || '').split('.');
+    if (!/^c_[0-9a-f]{32}$/.test(id || '') || !mac) return null;
+    const expected = Buffer.from(sign(id));
+    const actual = Buffer.from(mac);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? `${id}.${mac}` : null;
+  }
+
+  function issueClientId() {
+    const id = 'c_' + crypto.randomBytes(16).toString('hex');
+    return `${id}.${sign(id)}`;
+  }
+
+  /**
+   * Work out who is asking: { address, clientId }, { error } for a proof
+   * that doesn't hold, or null when the request carries no proof at all.
+   * Signed-in requests without a client ID count as their SIWE session;
+   * signed proofs without one are given a new ID (req.clientId).
+   */
+  function identify(req, { txHash, signature, nonce } = {}) {
+    const clientId = clientOf(req);
+
+    if (req.siwe) return { address: req.siwe.address, clientId: clientId || `session:${req.siwe.id}` };
+    if (txHash && signature) {
+      if (!nonce) return { error: 'payload.nonce is required with payload.signature (GET /api/nonce)' };
+      const signer = recoverPersonalSignature(paymentProofMessage(txHash, nonce), signature);
+      if (!signer) return { error: 'Invalid payment proof signature' };
+      if (!consumeNonce(nonce)) return { error: 'Unknown, used or expired nonce' };
+      req.clientId = clientId || issueClientId();
+      return { address: signer, clientId: req.clientId };
+    }
+    return null;
+  }
+
+  /**
+   * Check that `requester` may use `payment`, recording the client on first
+   * use. Returns { ok: true, clientId } or { ok: false, status, error }.
+   */
+  function bind(payment, requester) {
+    if (!requester) {
+      return { ok: false, status: 401, error: 'Proof of the paying wallet is required (sign in with the payer address)' };
+    }
+    if (requester.error) return { ok: false, status: 401, error: requester.error };
+    if (requester.address.toLowerCase() !== payment.payer.toLowerCase()) {
+      return { ok: false, status: 403, error: 'This payment belongs to a different wallet' };
+    }
+
+    const clients = payment.clients || [];
+    if (!clients.includes(requester.clientId)) {
+      if (maxClients > 0 && clients.length >= maxClients) {
+        return { ok: false, status: 403, error: `This payment is already in use on ${clients.length} devices` };
+      }
+      ledger.record({ txHash: payment.txHash, clients: [...clients, requester.clientId] });
+    }
+    return { ok: true, clientId: requester.clientId };
+  }
+
+  return { clientOf, identify, bind };
+}
+
+module.exports = { CLIENT_HEADER, paymentProofMessage, createPaymentBinding };
@@ -0,0 +1,428 @@
+/**
+ * Resource catalog — every paywalled resource this server can sell.
+ *
+ * The catalog is a list of entries keyed by (vault, resourceId). Each entry
+ * carries its own creator, price, access mode and content ref, so a single
+ * process can serve many resources across several vaults.
+ *
+ * Sources, merged in order:
+ *   1. The default entry built from CONFIG (lib/config.js: verifierContract,
+ *      creatorAddress, price, resourceId, videoUrl / youtubeVideoId,
+ *      lifetimeAccess). It backs the original /api/* routes.
+ *   2. CATALOG_FILE, a JSON file of the form:
+ *        { "resources": [ { "vault": "0x…", "resourceId": "video-002",
+ *                           "creator": "0x…", "price": "0.002",
+ *                           "lifetimeAccess": false, "contentRef": "ipfs://…",
+ *                           "rentalWindow": "24h", "maxViews": 3,
+ *                           "confirmations": 3 },
+ *                         { …, "fiatPrice": "4.99", "fiatCurrency": "USD" } ] }
+ *      Missing fields inherit from the default entry. rentalWindow / maxViews
+ *      only apply to non-lifetime entries (see lib/rental.js). confirmations
+ *      is the block depth a payment needs before it grants access.
+ *
+ * Fiat pricing (lib/pricefeed.js): an entry with a `fiatPrice` (and
+ * `fiatCurrency`, default USD) instead of a `price` costs that much in APTM
+ * at the latest rate passed to reprice(); until a rate is known its price
+ * is null and isPriced() is false. Entries without their own `price` inherit
+ * the default entry's fiat price.
+ *
+ * Credits (lib/credits.js): an entry with `"credits": true` is its vault's
+ * top-up resource — its price is the minimum top-up. An entry with a
+ * `callPrice` (APTM) is metered: each call can be paid from the caller's
+ * prepaid balance on the same vault. Neither field is inherited.
+ *
+ * Vaults: an entry that names its own creator but no vault is sold through
+ * that creator's CreatorVaultV2, looked up via the factory by resolve() at
+ * startup (lib/vaults.js). The default entry does the same when
+ * verifierContract is unset. resolve() also records each entry's contract
+ * kind ('vault' | 'verifier'); entries are served once both are known.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseDuration } = require('./rental');
+const { CURRENCY_RE, decimalString, priceAt } = require('./pricefeed');
+const { logger } = require('./logger');
+
+const IPFS_GATEWAY = process.env.IPFS_GATEWAY || 'https://ipfs.io';
+
+function toWei(aptm) {
+  const parts = aptm.split('.');
+  const whole = parts[0] || '0';
+  const frac = (parts[1] || '').padEnd(18, '0').slice(0, 18);
+  return BigInt(whole + frac).toString();
+}
+
+function isAptmAmount(value) {
+  return /^\d*\.?\d+$/.test(value) && BigInt(toWei(value)) > 0n;
+}
+
+// ─── Content source detection ─────────────────────────────────────
+function detectContentSource(ref) {
+  if (!ref) return { type: 'unknown', videoUrl: null };
+  const trimmed = ref.trim();
+
+  if (trimmed.startsWith('ipfs://')) {
+    const cid = trimmed.replace('ipfs://', '');
+    return { type: 'ipfs', videoUrl: `${IPFS_GATEWAY}/ipfs/${cid}` };
+  }
+  if (trimmed.includes('/ipfs/') || trimmed.includes('/ipns/')) {
+    return { type: 'ipfs', videoUrl: trimmed };
+  }
+  if (/\.(mp4|webm|ogg|mov|m3u8)(\?.*)?$/i.test(trimmed) && trimmed.startsWith('http')) {
+    return { type: 'direct', videoUrl: trimmed };
+  }
+  if (trimmed.startsWith('http://') || trimmed.startsWith('https://')) {
+    const ytMatch = trimmed.match(/(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/);
+    if (ytMatch) return { type: 'youtube', videoUrl: `https://www.youtube.com/embed/${ytMatch[1]}`, videoId: ytMatch[1] };
+    return { type: 'direct', videoUrl: trimmed };
+  }
+  if (/^(Qm[a-zA-Z0-9]{44,}|bafy[a-zA-Z0-9]{50,})$/.test(trimmed)) {
+    return { type: 'ipfs', videoUrl: `${IPFS_GATEWAY}/ipfs/${trimmed}` };
+  }
+  if (/^[a-zA-Z0-9_-]{11}$/.test(trimmed)) {
+    return { type: 'youtube', videoUrl: `https://www.youtube.com/embed/${trimmed}`, videoId: trimmed };
+  }
+  return { type: 'unknown', videoUrl: null };
+}
+
+/**
+ * Resolve an entry's content ref to a response payload.
+ * Returns { videoId?, videoUrl, contentType }
+ * Backward compatible: still includes videoId for YouTube sources. An entry
+ * without a content ref (credits, APIs) resolves to contentType 'unknown'.
+ */
+function resolveContentPayload(entry) {
+  const ref = entry.contentRef;
+  const source = detectContentSource(ref);
+
+  if (source.type === 'youtube') {
+    const ytId = source.videoId || ref;
+    return {
+      videoId: ytId,
+      videoUrl: `https://www.youtube.com/embed/${ytId}`,
+      contentType: 'youtube',
+    };
+  }
+
+  return {
+    videoUrl: source.videoUrl,
+    contentType: source.type,
+  };
+}
+
+// ─── Entries ──────────────────────────────────────────────────────
+function entryKey(vault, resourceId) {
+  return `${vault.toLowerCase()}:${resourceId}`;
+}
+
+function buildEntry(raw, defaults = {}) {
+  const merged = { ...defaults, ...raw };
+  if (!merged.vault && !merged.creator) throw new Error(`Catalog entry "${merged.resourceId}" has no vault or creator`);
+  if (!merged.resourceId) throw new Error(`Catalog entry for ${merged.vault || merged.creator} has no resourceId`);
+  if (merged.vault && !/^0x[0-9a-fA-F]{40}$/.test(merged.vault)) {
+    throw new Error(`Catalog entry "${merged.resourceId}": vault must be a 20-byte hex address`);
+  }
+
+  // An entry's own APTM price wins over an inherited fiat price
+  const fiatPrice = raw.price != null && raw.fiatPrice == null ? null : merged.fiatPrice ?? null;
+  if (fiatPrice !== null && !decimalString(String(fiatPrice))) {
+    throw new Error(`Catalog entry "${merged.resourceId}": fiatPrice must be a positive amount`);
+  }
+  const fiatCurrency = String(merged.fiatCurrency || 'USD').toUpperCase();
+  if (!CURRENCY_RE.test(fiatCurrency)) {
+    throw new Error(`Catalog entry "${merged.resourceId}": fiatCurrency must be a 3-letter currency code`);
+  }
+  const price = fiatPrice === null ? String(merged.price ?? '') : null;
+  if (price !== null && !isAptmAmount(price)) {
+    throw new Error(`Catalog entry "${merged.resourceId}": price must be a positive APTM amount`);
+  }
+  const maxViews = Number(merged.maxViews || 0);
+  if (!Number.isInteger(maxViews) || maxViews < 0) {
+    throw new Error(`Catalog entry "${merged.resourceId}": maxViews must be a non-negative integer`);
+  }
+  const confirmations = Number(merged.confirmations || 1);
+  if (!Number.isInteger(confirmations) || confirmations < 1) {
+    throw new Error(`Catalog entry "${merged.resourceId}": confirmations must be a positive integer`);
+  }
+  const callPrice = merged.callPrice != null && merged.callPrice !== '' ? String(merged.callPrice) : null;
+  if (callPrice !== null && !isAptmAmount(callPrice)) {
+    throw new Error(`Catalog entry "${merged.resourceId}": callPrice must be a positive APTM amount`);
+  }
+  return {
+    vault: merged.vault || null,
+    contract: merged.contract || null,
+    resourceId: merged.resourceId,
+    creator: merged.creator,
+    price,
+    priceWei: price && toWei(price),
+    fiatPrice: fiatPrice === null ? null : String(fiatPrice),
+    fiatCurrency: fiatPrice === null ? null : fiatCurrency,
+    rate: null,
+    lifetimeAccess: merged.lifetimeAccess !== false,
+    rentalSeconds: parseDuration(merged.rentalWindow),
+    maxViews,
+    confirmations,
+    credits: merged.credits === true,
+    callPrice,
+    callPriceWei: callPrice && toWei(callPrice),
+    contentRef: merged.contentRef || '',
+    title: merged.title || merged.resourceId,
+  };
+}
+
+function defaultEntryFromConfig(config) {
+  return buildEntry({
+    vault: config.verifierContract,
+    resourceId: config.resourceId,
+    creator: config.creatorAddress,
+    price: config.price,
+    fiatPrice: config.fiatPrice,
+    fiatCurrency: config.fiatCurrency,
+    lifetimeAccess: config.lifetimeAccess,
+    rentalWindow: config.rentalWindow,
+    maxViews: config.maxViews,
+    confirmations: config.confirmations,
+    contentRef: config.videoUrl || config.youtubeVideoId,
+  });
+}
+
+function readCatalogFile(file) {
+  const resolved = path.resolve(file);
+  const parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  const list = Array.isArray(parsed) ? parsed : parsed.resources;
+  if (!Array.isArray(list)) throw new Error(`${resolved}: expected a "resources" array`);
+  return list;
+}
+
+/**
+ * An entry can be served once its vault and contract kind are known.
+ */
+function isResolved(entry) {
+  return Boolean(entry.vault && entry.contract);
+}
+
+/**
+ * An entry can be paid for once it has an APTM price — fiat-priced entries
+ * need a rate first.
+ */
+function isPriced(entry) {
+  return Boolean(entry.priceWei);
+}
+
+/**
+ * Build the catalog from CONFIG plus CATALOG_FILE (if set).
+ * Returns { default, get(vault, resourceId), list(), add(raw), creditsFor(vault),
+ *           reload(), reconfigure(config), resolve(registry, fallbackVault),
+ *           reprice(rates), fiatCurrencies() }.
+ */
+function loadCatalog(config, file = process.env.CATALOG_FILE) {
+  // Latest fiat rates ({ USD: '0.42', … }), applied to every entry built
+  let rates = {};
+  function applyRate(entry) {
+    const rate = entry.fiatPrice && rates[entry.fiatCurrency];
+    if (rate) Object.assign(entry, priceAt(entry.fiatPrice, rate));
+    return entry;
+  }
+  function build(raw) {
+    return applyRate(buildEntry(raw, inherited));
+  }
+
+  const defaultEntry = applyRate(defaultEntryFromConfig(config));
+  let verifier = config.verifierContract || null;
+  const all = [defaultEntry];
+  // Entries that inherit the default entry's vault, even before it is resolved
+  const inheritsDefaultVault = new Set();
+  const inherited = {};
+  function inheritDefaults() {
+    Object.assign(inherited, {
+      creator: defaultEntry.creator,
+      price: defaultEntry.price,
+      fiatPrice: defaultEntry.fiatPrice,
+      fiatCurrency: defaultEntry.fiatCurrency,
+      lifetimeAccess: defaultEntry.lifetimeAccess,
+      rentalWindow: defaultEntry.rentalSeconds,
+      maxViews: defaultEntry.maxViews,
+      confirmations: defaultEntry.confirmations,
+    });
+  }
+  inheritDefaults();
+
+  // CATALOG_FILE entries by where they came from, so reload() can match them
+  const fromFile = new Map();
+  function sourceKey(raw) {
+    return [raw.vault, raw.creator, raw.resourceId].map(v => String(v || '').toLowerCase()).join('|');
+  }
+
+  function addFileEntry(raw, entry) {
+    if (!raw.vault && !raw.creator) {
+      entry.vault = defaultEntry.vault;
+      inheritsDefaultVault.add(entry);
+    }
+    all.push(entry);
+    fromFile.set(sourceKey(raw), entry);
+  }
+
+  if (file) {
+    for (const raw of readCatalogFile(file)) addFileEntry(raw, build(raw));
+  }
+
+  let entries = new Map();
+  function reindex() {
+    entries = new Map();
+    for (const entry of all) {
+      if (entry.vault) entries.set(entryKey(entry.vault, entry.resourceId), entry);
+    }
+  }
+  reindex();
+
+  /**
+   * Look up missing vaults (creator → factory vault, else `fallbackVault`)
+   * and contract kinds. Entries that fail stay unresolved until the next
+   * call. Returns the number of entries still unresolved.
+   */
+  async function resolve(registry, fallbackVault) {
+    let unresolved = 0;
+    for (const entry of all) {
+      try {
+        if (!entry.vault) {
+          if (inheritsDefaultVault.has(entry)) {
+            entry.vault = defaultEntry.vault;
+          } else {
+            entry.vault = (await registry.getVault(entry.creator)) || fallbackVault;
+            logger.info('Catalog: vault resolved', { resourceId: entry.resourceId, vault: entry.vault, creator: entry.creator });
+          }
+        }
+        if (entry.vault && !entry.contract) entry.contract = await registry.contractKind(entry.vault);
+      } catch (err) {
+        logger.error('Catalog: cannot resolve the vault', { resourceId: entry.resourceId, err: err.message });
+      }
+      if (!isResolved(entry)) unresolved++;
+    }
+    reindex();
+    return unresolved;
+  }
+
+  /**
+   * Add an entry at runtime (see a402Paywall in server.js), inheriting like a
+   * CATALOG_FILE entry. Returns the listed entry instead when the vault
+   * already sells that resourceId. New entries are served after resolve().
+   */
+  function add(raw) {
+    const listed = raw.vault && entries.get(entryKey(raw.vault, raw.resourceId));
+    if (listed) return listed;
+    const entry = build(raw);
+    all.push(entry);
+    reindex();
+    return entry;
+  }
+
+  /**
+   * The credits (top-up) entry of `vault`, or null when it sells none.
+   */
+  function creditsFor(vault) {
+    return [...entries.values()].find(e => e.credits && e.vault.toLowerCase() === vault.toLowerCase()) || null;
+  }
+
+  /**
+   * Re-read CATALOG_FILE. Entries still listed are updated in place (keeping
+   * their resolved vault), new ones are added and unlisted ones dropped; a
+   * file that fails to parse changes nothing. Call resolve() afterwards.
+   * Returns { added, updated, removed }.
+   */
+  function reload() {
+    if (!file) return { added: 0, updated: 0, removed: 0 };
+    const listed = readCatalogFile(file).map(raw => ({ raw, entry: build(raw) }));
+
+    const seen = new Set();
+    let added = 0;
+    let updated = 0;
+    for (const { raw, entry } of listed) {
+      const key = sourceKey(raw);
+      const existing = fromFile.get(key);
+      seen.add(key);
+      if (existing) {
+        Object.assign(existing, entry, { vault: existing.vault, contract: existing.contract });
+        updated++;
+      } else {
+        addFileEntry(raw, entry);
+        added++;
+      }
+    }
+
+    let removed = 0;
+    for (const [key, entry] of fromFile) {
+      if (seen.has(key)) continue;
+      all.splice(all.indexOf(entry), 1);
+      inheritsDefaultVault.delete(entry);
+      fromFile.delete(key);
+      removed++;
+    }
+    reindex();
+    return { added, updated, removed };
+  }
+
+  /**
+   * Apply a reloaded CONFIG: the default entry is updated in place, so
+   * requests already holding it carry on, and CATALOG_FILE entries are
+   * rebuilt with the new inherited fields (see reload()). When the verifier
+   * or creator changed, the default entry and the entries sharing its vault
+   * are unresolved again — call resolve() afterwards.
+   */
+  function reconfigure(nextConfig) {
+    const next = applyRate(defaultEntryFromConfig(nextConfig));
+    const moved = (nextConfig.verifierContract || null) !== verifier
+      || next.creator.toLowerCase() !== defaultEntry.creator.toLowerCase();
+    verifier = nextConfig.verifierContract || null;
+
+    Object.assign(defaultEntry, next, moved ? {} : { vault: defaultEntry.vault, contract: defaultEntry.contract });
+    if (moved) {
+      for (const entry of inheritsDefaultVault) Object.assign(entry, { vault: defaultEntry.vault, contract: null });
+    }
+    inheritDefaults();
+    const changes = reload();
+    reindex();
+    return changes;
+  }
+
+  /**
+   * Price fiat entries at `nextRates` ({ USD: '0.42', … }). An entry whose
+   * currency is not listed keeps its last price. Returns the currencies
+   * still missing a rate.
+   */
+  function reprice(nextRates) {
+    rates = { ...rates, ...nextRates };
+    for (const entry of all) applyRate(entry);
+    return fiatCurrencies().filter(currency => !rates[currency]);
+  }
+
+  /**
+   * The fiat currencies entries are priced in.
+   */
+  function fiatCurrencies() {
+    return [...new Set(all.filter(e => e.fiatPrice).map(e => e.fiatCurrency))];
+  }
+
+  return {
+    default: defaultEntry,
+    get: (vault, resourceId) => entries.get(entryKey(vault, resourceId)) || null,
+    list: () => [...entries.values()],
+    add,
+    creditsFor,
+    reload,
+    reconfigure,
+    resolve,
+    reprice,
+    fiatCurrencies,
+  };
+}
+
+module.exports = {
+  IPFS_GATEWAY,
+  toWei,
+  detectContentSource,
+  resolveContentPayload,
+  isResolved,
+  isPriced,
+  loadCatalog,
+};
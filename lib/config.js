@@ -0,0 +1,262 @@
+/**
+ * Server configuration — CONFIG_FILE merged over the legacy env vars and
+ * validated against a schema before anything uses it.
+ *
+ * CONFIG_FILE is a JSON object whose keys are the schema fields below:
+ *
+ *   { "creatorAddress": "0x…", "price": "0.001", "resourceId": "video-001",
+ *     "youtubeVideoId": "…", "lifetimeAccess": true, "confirmations": 2,
+ *     "rpcUrls": ["https://…", "https://…"] }
+ *
+ * A field the file leaves out is taken from its env var, then from the
+ * schema default. There is no fallback for creatorAddress: the server
+ * refuses to start without one. Validation collects every problem and
+ * throws a single Error listing them; it refuses the zero address, addresses
+ * that are not EIP-55 checksummed (single-case ones only pass with
+ * allowUnchecksummedAddresses), malformed prices, a fiatPrice without a
+ * priceFeed and unknown keys.
+ *
+ * watchConfig() reloads the file when it changes. A file that fails
+ * validation is logged and ignored, so the running config stays in force.
+ * Fields marked `restart` (chain, RPC endpoints, factory, price feed) are
+ * only read at startup; changing them in the file logs a warning.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toChecksumAddress } = require('./secp256k1');
+const { parseDuration } = require('./rental');
+const { CURRENCY_RE, decimalString } = require('./pricefeed');
+const { logger } = require('./logger');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const DEFAULT_RPC_URL = 'https://rpc.apertum.io/ext/bc/YDJ1r9RMkewATmA7B35q1bdV18aywzmdiXwd9zGBq3uQjsCnn/rpc';
+
+// field → { env, type, default?, required?, restart? }. Fields are parsed in
+// this order, and each type sees the fields parsed before it.
+const SCHEMA = {
+  // Accept all-lowercase / all-uppercase addresses, which carry no checksum
+  allowUnchecksummedAddresses: { env: 'ALLOW_UNCHECKSUMMED_ADDRESSES', type: 'boolean', default: false },
+  chainId: { env: 'CHAIN_ID', type: 'positiveInteger', default: 2786, restart: true },
+  // APERTUM_RPC may list several endpoints (comma-separated); the first is the
+  // one advertised to wallets, the rest are failovers (lib/rpc.js).
+  rpcUrls: { env: 'APERTUM_RPC', type: 'urls', default: [DEFAULT_RPC_URL], restart: true },
+  // With verifierContract set, the default resource is sold through that
+  // A402Verifier; otherwise through creatorAddress's CreatorVaultV2.
+  verifierContract: { env: 'VERIFIER_CONTRACT', type: 'address', default: null },
+  factoryContract: { env: 'FACTORY_CONTRACT', type: 'address', default: '0x88408192d8548CD864f58E7d3c6f97fD577d4451', restart: true },
+  creatorAddress: { env: 'PAYMENT_ADDRESS', type: 'address', required: true },
+  price: { env: 'PRICE', type: 'price', default: '0.001' },
+  // With fiatPrice set, the default resource is priced in fiatCurrency and
+  // converted to APTM through the priceFeed rates (lib/pricefeed.js); price
+  // is then ignored.
+  fiatPrice: { env: 'FIAT_PRICE', type: 'fiatAmount', default: null },
+  fiatCurrency: { env: 'FIAT_CURRENCY', type: 'currency', default: 'USD' },
+  // A rates JSON file or an http(s) URL serving the same JSON
+  priceFeed: { env: 'PRICE_FEED', type: 'string', default: '', restart: true },
+  // How long a payment-info quote holds, and how far below it a payment may fall
+  quoteTtl: { env: 'QUOTE_TTL', type: 'duration', default: '5m' },
+  slippageBps: { env: 'QUOTE_SLIPPAGE_BPS', type: 'basisPoints', default: 100 },
+  resourceId: { env: 'RESOURCE_ID', type: 'string', default: 'video-001' },
+  youtubeVideoId: { env: 'YOUTUBE_VIDEO_ID', type: 'youtubeId', default: '' },
+  videoUrl: { env: 'VIDEO_URL', type: 'string', default: '' },
+  lifetimeAccess: { env: 'LIFETIME_ACCESS', type: 'boolean', default: true },
+  // Rental terms for non-lifetime access (lib/rental.js)
+  rentalWindow: { env: 'RENTAL_WINDOW', type: 'duration', default: '' },
+  maxViews: { env: 'MAX_VIEWS', type: 'count', default: 0 },
+  // Blocks a payment must be buried under before it grants access
+  confirmations: { env: 'CONFIRMATIONS', type: 'positiveInteger', default: 1 },
+};
+
+// ─── Field types ──────────────────────────────────────────────────
+// Each parser takes a file value or an env string (and the config parsed so
+// far) and returns the parsed value, or throws with what is wrong with it.
+function parseInteger(value) {
+  const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(n)) throw new Error(`expected an integer, got ${JSON.stringify(value)}`);
+  return n;
+}
+
+const TYPES = {
+  string(value) {
+    if (typeof value !== 'string') throw new Error(`expected a string, got ${JSON.stringify(value)}`);
+    return value.trim();
+  },
+  boolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'string' && /^(true|false)$/i.test(value.trim())) return value.trim().toLowerCase() === 'true';
+    throw new Error(`expected true or false, got ${JSON.stringify(value)}`);
+  },
+  positiveInteger(value) {
+    const n = parseInteger(value);
+    if (n < 1) throw new Error(`must be at least 1, got ${n}`);
+    return n;
+  },
+  count(value) {
+    const n = parseInteger(value);
+    if (n < 0) throw new Error(`must not be negative, got ${n}`);
+    return n;
+  },
+  address(value, config = {}) {
+    const address = TYPES.string(value);
+    if (!address) return null;
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) throw new Error(`${address} is not a 20-byte hex address`);
+    if (address.toLowerCase() === ZERO_ADDRESS) throw new Error('the zero address cannot be used');
+    const checksummed = toChecksumAddress(address);
+    const singleCase = !/[a-f]/.test(address.slice(2)) || !/[A-F]/.test(address.slice(2));
+    if (address !== checksummed && !(singleCase && config.allowUnchecksummedAddresses)) {
+      throw new Error(`${address} is not EIP-55 checksummed (expected ${checksummed})`);
+    }
+    return checksummed;
+  },
+  price(value) {
+    const price = typeof value === 'number' ? String(value) : TYPES.string(value);
+    if (!/^\d+(\.\d{1,18})?$/.test(price)) throw new Error(`${JSON.stringify(value)} is not an APTM amount like "0.001"`);
+    if (!/[1-9]/.test(price)) throw new Error('must be greater than zero');
+    return price;
+  },
+  fiatAmount(value) {
+    const amount = decimalString(typeof value === 'number' ? String(value) : TYPES.string(value));
+    if (!amount) throw new Error(`${JSON.stringify(value)} is not a positive amount like "4.99"`);
+    return amount;
+  },
+  currency(value) {
+    const code = TYPES.string(value).toUpperCase();
+    if (!CURRENCY_RE.test(code)) throw new Error(`${JSON.stringify(value)} is not a 3-letter currency code like "USD"`);
+    return code;
+  },
+  basisPoints(value) {
+    const n = TYPES.count(value);
+    if (n >= 10_000) throw new Error(`must be below 10000 (100%), got ${n}`);
+    return n;
+  },
+  urls(value) {
+    const list = Array.isArray(value) ? value : TYPES.string(value).split(',');
+    const urls = list.map(url => TYPES.string(url)).filter(Boolean);
+    if (!urls.length) throw new Error('at least one RPC URL is required');
+    for (const url of urls) {
+      if (!/^https?:\/\/[^\s/]+/.test(url)) throw new Error(`${url} is not an http(s) URL`);
+    }
+    return urls;
+  },
+  duration(value) {
+    const window = typeof value === 'number' ? value : TYPES.string(value);
+    parseDuration(window);
+    return window;
+  },
+  youtubeId(value) {
+    const id = TYPES.string(value);
+    if (id && !/^[a-zA-Z0-9_-]{11}$/.test(id)) throw new Error(`${id} is not an 11-character YouTube video ID`);
+    return id;
+  },
+};
+
+// ─── Loading ──────────────────────────────────────────────────────
+function readConfigFile(file) {
+  const resolved = path.resolve(file);
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (err) {
+    throw new Error(`${resolved}: ${err.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error(`${resolved}: expected a JSON object`);
+  return parsed;
+}
+
+/**
+ * Build and validate the config from `file` (optional) and `env`. Throws one
+ * Error listing every invalid field.
+ */
+function loadConfig({ file = null, env = process.env } = {}) {
+  const fromFile = file ? readConfigFile(file) : {};
+  const problems = Object.keys(fromFile)
+    .filter(key => !SCHEMA[key])
+    .map(key => `${key}: unknown setting`);
+
+  const config = {};
+  for (const [key, field] of Object.entries(SCHEMA)) {
+    const [source, raw] = key in fromFile
+      ? [key, fromFile[key]]
+      : [field.env, env[field.env]];
+    const missing = raw == null || raw === '';
+    if (missing && field.required) {
+      problems.push(`${key}: required — set it in the config file or ${field.env}`);
+      continue;
+    }
+    try {
+      config[key] = missing ? field.default ?? null : TYPES[field.type](raw, config);
+    } catch (err) {
+      problems.push(`${source === key ? key : `${key} (${source})`}: ${err.message}`);
+    }
+  }
+  if (config.videoUrl && !/^(https?|ipfs):\/\//.test(config.videoUrl)) {
+    problems.push(`videoUrl: ${config.videoUrl} is not an http(s) or ipfs:// URL`);
+  }
+  if (config.fiatPrice && !config.priceFeed) {
+    problems.push('priceFeed: required when fiatPrice is set — set it in the config file or PRICE_FEED');
+  }
+  if (config.quoteTtl != null && parseDuration(config.quoteTtl) < 1) {
+    problems.push('quoteTtl: must be at least one second');
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid configuration${file ? ` in ${path.resolve(file)}` : ''}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return {
+    ...config,
+    caip2: `eip155:${config.chainId}`,
+    rpcUrl: config.rpcUrls[0],
+    currency: 'APTM',
+    decimals: 18,
+  };
+}
+
+/**
+ * Fields whose value differs between two loaded configs.
+ */
+function changedFields(before, after) {
+  return Object.keys(SCHEMA).filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+/**
+ * Reload `file` whenever it changes. `onChange(config, changed)` receives
+ * the new config and the names of the fields that changed, restart-only
+ * fields excluded; invalid files are logged and skipped. Returns stop().
+ */
+function watchConfig({ file, env = process.env, current, onChange, intervalMs = 1000 }) {
+  const resolved = path.resolve(file);
+  let active = current;
+
+  // watchFile polls, so it keeps working when editors replace the file
+  const listener = (stat, prev) => {
+    if (stat.mtimeMs === prev.mtimeMs && stat.size === prev.size) return;
+    let next;
+    try {
+      next = loadConfig({ file, env });
+    } catch (err) {
+      logger.error('Config: keeping the running config', { err: err.message });
+      return;
+    }
+    const changed = changedFields(active, next);
+    const restart = changed.filter(key => SCHEMA[key].restart);
+    if (restart.length) logger.warn('Config: restart the server to apply changes', { fields: restart });
+    const live = changed.filter(key => !SCHEMA[key].restart);
+    for (const key of restart) next[key] = active[key];
+    Object.assign(next, { caip2: active.caip2, rpcUrl: active.rpcUrl });
+    active = next;
+    if (live.length) onChange(next, live);
+  };
+
+  fs.watchFile(resolved, { interval: intervalMs, persistent: false }, listener);
+  return () => fs.unwatchFile(resolved, listener);
+}
+
+module.exports = {
+  SCHEMA,
+  ZERO_ADDRESS,
+  toChecksumAddress,
+  loadConfig,
+  watchConfig,
+};
@@ -0,0 +1,225 @@
+/**
+ * Prepaid credit balances for metered resources.
+ *
+ * A buyer tops up once by paying a vault's credits resource (a catalog entry
+ * with `"credits": true`); the amount is credited to their balance on that
+ * vault. Every request to a metered entry of the same vault (one with a
+ * `callPrice`) then debits the call price instead of needing a transaction.
+ *
+ * Balances are kept in wei of the native currency. ERC-20 top-ups are
+ * converted at the rate the vault lists for the credits resource: paying its
+ * token price credits its APTM price.
+ *
+ * Top-ups and debits are appended to a JSON-lines file, one line each:
+ *
+ *   {"id":"cr_…","kind":"topup","vault":"0x…","address":"0x…","amount":"…",
+ *    "balance":"…","txHash":"0x…","token":"0x…","paid":"…","at":…}
+ *   {"id":"cr_…","kind":"debit","vault":"0x…","address":"0x…","amount":"…",
+ *    "balance":"…","resourceId":"…","at":…}
+ *   {"id":"cr_…","kind":"refund","vault":"0x…","address":"0x…","amount":"…",
+ *    "balance":"…","refundOf":"0x…","at":…}
+ *
+ * `balance` is the balance after the line; replaying the file rebuilds every
+ * balance. A payment is credited at most once, and refunding it takes back
+ * what is left of that credit.
+ *
+ * Compaction: on open and then once a day the file is rewritten to every
+ * top-up and refund, each account's last `historyLimit` lines, and one
+ * snapshot line per account carrying its balance and debit count:
+ *
+ *   {"kind":"account","vault":"0x…","address":"0x…","balance":"…","debits":…}
+ *
+ * Memory holds the same, so neither grows with the number of metered calls.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Response header with the caller's balance (wei) after a call paid from credits.
+const CREDITS_BALANCE_HEADER = 'X-A402-Credits-Balance';
+
+function readLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        logger.error('Credits: skipping corrupt line', { file, line: i + 1 });
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function accountKey(vault, address) {
+  return `${vault.toLowerCase()}:${address.toLowerCase()}`;
+}
+
+/**
+ * Open (or create) the credits file at `file`, keeping the last
+ * `historyLimit` lines of each account.
+ */
+function openCredits({ file, historyLimit = 1000 }) {
+  // vault:address → { vault, address, balance: BigInt, debits, history: [line, …] }
+  const accounts = new Map();
+  // txHash → its top-up line
+  const creditedTx = new Map();
+  // txHash → the line refunding its top-up
+  const refundedTx = new Map();
+
+  function account(vault, address) {
+    const key = accountKey(vault, address);
+    if (!accounts.has(key)) {
+      accounts.set(key, { vault: vault.toLowerCase(), address: address.toLowerCase(), balance: 0n, debits: 0, history: [] });
+    }
+    return accounts.get(key);
+  }
+
+  function apply(line) {
+    const acct = account(line.vault, line.address);
+    acct.balance = BigInt(line.balance);
+    if (line.kind === 'account') {
+      acct.debits = line.debits;
+      return;
+    }
+    if (line.kind === 'debit') acct.debits++;
+    acct.history.push(line);
+    if (acct.history.length > historyLimit) acct.history.shift();
+    if (line.kind === 'topup') creditedTx.set(line.txHash, line);
+    if (line.refundOf) refundedTx.set(line.refundOf, line);
+  }
+
+  function compact() {
+    const lines = [];
+    for (const acct of accounts.values()) {
+      const kept = new Set(acct.history);
+      const older = [...creditedTx.values(), ...refundedTx.values()]
+        .filter(l => l.vault === acct.vault && l.address === acct.address && !kept.has(l));
+      lines.push(...older.sort((a, b) => a.at - b.at), ...acct.history, {
+        kind: 'account',
+        vault: acct.vault,
+        address: acct.address,
+        balance: acct.balance.toString(),
+        debits: acct.debits,
+        at: Date.now(),
+      });
+    }
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, lines.map(l => JSON.stringify(l)).join('\n') + (lines.length ? '\n' : ''));
+    fs.renameSync(tmp, file);
+  }
+
+  // ─── Load ───────────────────────────────────────────────────────
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  for (const line of readLines(file)) {
+    if (line.vault && line.address && line.balance != null) apply(line);
+  }
+  compact();
+
+  const timer = setInterval(compact, DAY_MS);
+  timer.unref();
+
+  function append(acct, fields) {
+    const line = {
+      id: `cr_${crypto.randomBytes(9).toString('hex')}`,
+      ...fields,
+      vault: fields.vault.toLowerCase(),
+      address: fields.address.toLowerCase(),
+      amount: fields.amount.toString(),
+      balance: (fields.kind === 'topup' ? acct.balance + fields.amount : acct.balance - fields.amount).toString(),
+      at: Date.now(),
+    };
+    fs.appendFileSync(file, JSON.stringify(line) + '\n');
+    apply(line);
+    return line;
+  }
+
+  // ─── API ────────────────────────────────────────────────────────
+  function isCredited(txHash) {
+    return creditedTx.has(txHash.toLowerCase());
+  }
+
+  /**
+   * Credit `amount` wei to `address` on `vault` for the payment `txHash`.
+   * Returns the top-up line, or null when the payment was already credited.
+   */
+  function topUp({ vault, address, amount, txHash, token, paid }) {
+    if (isCredited(txHash)) return null;
+    return append(account(vault, address), {
+      kind: 'topup',
+      vault,
+      address,
+      amount: BigInt(amount),
+      txHash: txHash.toLowerCase(),
+      token,
+      paid: String(paid),
+    });
+  }
+
+  /**
+   * Take back the credit from the refunded payment `txHash`: its top-up
+   * amount, or the whole balance when less is left. Returns the refund line,
+   * or null when the payment was never credited or is already refunded.
+   */
+  function refund(txHash) {
+    const topUpLine = creditedTx.get(txHash.toLowerCase());
+    if (!topUpLine || refundedTx.has(topUpLine.txHash)) return null;
+    const acct = account(topUpLine.vault, topUpLine.address);
+    const credited = BigInt(topUpLine.amount);
+    return append(acct, {
+      kind: 'refund',
+      vault: topUpLine.vault,
+      address: topUpLine.address,
+      amount: acct.balance < credited ? acct.balance : credited,
+      refundOf: topUpLine.txHash,
+    });
+  }
+
+  /**
+   * Take `amount` wei from `address` on `vault` for one call to `resourceId`.
+   * Returns { ok: true, balance, entry } or { ok: false, balance } when the
+   * balance does not cover it.
+   */
+  function debit({ vault, address, amount, resourceId }) {
+    const acct = account(vault, address);
+    const price = BigInt(amount);
+    if (acct.balance < price) return { ok: false, balance: acct.balance.toString() };
+    const entry = append(acct, { kind: 'debit', vault, address, amount: price, resourceId });
+    return { ok: true, balance: entry.balance, entry };
+  }
+
+  function balance(vault, address) {
+    return (accounts.get(accountKey(vault, address))?.balance ?? 0n).toString();
+  }
+
+  /**
+   * An account's last `historyLimit` top-ups, debits and refunds, newest
+   * first, optionally filtered by kind ('topup' | 'debit' | 'refund') or
+   * resourceId.
+   */
+  function history(vault, address, { kind, resourceId, limit = 100 } = {}) {
+    const lines = accounts.get(accountKey(vault, address))?.history || [];
+    return lines
+      .filter(l => !kind || l.kind === kind)
+      .filter(l => !resourceId || l.resourceId === resourceId)
+      .slice(-limit)
+      .reverse();
+  }
+
+  function stats() {
+    let debits = 0;
+    for (const acct of accounts.values()) debits += acct.debits;
+    return { accounts: accounts.size, topUps: creditedTx.size, debits };
+  }
+
+  return { isCredited, topUp, refund, debit, balance, history, stats };
+}
+
+module.exports = { CREDITS_BALANCE_HEADER, openCredits };
@@ -0,0 +1,71 @@
+/**
+ * Encrypted content references.
+ *
+ * Vault resources store their contentRef on-chain, where anyone can read it
+ * with eth_call. Creators can publish a sealed ref instead:
+ *
+ *   a402enc:v1:<iv>.<ciphertext + GCM tag>      (base64url parts)
+ *
+ * Each resource has its own AES-256-GCM key, derived with HKDF from the
+ * server's CONTENT_KEY_SECRET and `<vault>:<resourceId>`. The same string is
+ * the additional authenticated data, so a sealed ref copied to another
+ * resource fails to decrypt.
+ *
+ * The server only ever releases a resource key to a signed-in address that
+ * holds on-chain access; clients decrypt with WebCrypto.
+ */
+
+const crypto = require('crypto');
+
+const ENCRYPTED_PREFIX = 'a402enc:v1:';
+const KEY_INFO_SALT = 'a402-content-key';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+function isEncryptedRef(ref) {
+  return typeof ref === 'string' && ref.startsWith(ENCRYPTED_PREFIX);
+}
+
+function resourceLabel(vault, resourceId) {
+  return `${vault.toLowerCase()}:${resourceId}`;
+}
+
+function createContentKeys({ secret }) {
+  if (!secret) throw new Error('createContentKeys requires a secret');
+
+  /**
+   * The 32-byte key for one resource.
+   */
+  function keyFor(vault, resourceId) {
+    return Buffer.from(crypto.hkdfSync('sha256', secret, KEY_INFO_SALT, resourceLabel(vault, resourceId), 32));
+  }
+
+  function encrypt(vault, resourceId, contentRef) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', keyFor(vault, resourceId), iv);
+    cipher.setAAD(Buffer.from(resourceLabel(vault, resourceId)));
+    const sealed = Buffer.concat([cipher.update(contentRef, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+    return `${ENCRYPTED_PREFIX}${iv.toString('base64url')}.${sealed.toString('base64url')}`;
+  }
+
+  /**
+   * Open a sealed ref. Throws if it is malformed or was sealed for a
+   * different resource.
+   */
+  function decrypt(vault, resourceId, encryptedRef) {
+    if (!isEncryptedRef(encryptedRef)) throw new Error('Not an encrypted content ref');
+    const [ivPart, sealedPart] = encryptedRef.slice(ENCRYPTED_PREFIX.length).split('.');
+    const iv = Buffer.from(ivPart || '', 'base64url');
+    const sealed = Buffer.from(sealedPart || '', 'base64url');
+    if (iv.length !== IV_BYTES || sealed.length <= TAG_BYTES) throw new Error('Malformed encrypted content ref');
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', keyFor(vault, resourceId), iv);
+    decipher.setAAD(Buffer.from(resourceLabel(vault, resourceId)));
+    decipher.setAuthTag(sealed.subarray(-TAG_BYTES));
+    return Buffer.concat([decipher.update(sealed.subarray(0, -TAG_BYTES)), decipher.final()]).toString('utf8');
+  }
+
+  return { keyFor, encrypt, decrypt };
+}
+
+module.exports = { ENCRYPTED_PREFIX, isEncryptedRef, createContentKeys };
@@ -0,0 +1,185 @@
+/**
+ * ERC-20 payment pricing for CreatorVaultV2 resources.
+ *
+ * A vault resource can be bought with any token the creator priced through
+ * setTokenPrice(); prices are read back with getAcceptedTokens(resourceId)
+ * in the token's own base units. A token is only honored if it is also on
+ * the allowlist: ACCEPTED_TOKENS when the operator sets one, otherwise the
+ * factory's getAllowedTokens().
+ *
+ * Decimals come from the token's own decimals(), falling back to the
+ * allowlist entry when the call fails. Lookups are cached for cacheTtlMs.
+ */
+
+const { keccak256 } = require('js-sha3');
+const { NATIVE_TOKEN } = require('./ledger');
+
+function selector(signature) {
+  return keccak256(signature).slice(0, 8);
+}
+
+const GET_ACCEPTED_TOKENS = selector('getAcceptedTokens(string)');
+const GET_ALLOWED_TOKENS = selector('getAllowedTokens()');
+const DECIMALS = selector('decimals()');
+const SYMBOL = selector('symbol()');
+
+// ─── ABI decoding ─────────────────────────────────────────────────
+function word(data, offset) {
+  return BigInt('0x' + data.slice(offset, offset + 64));
+}
+
+function readString(data, offset) {
+  const len = Number(word(data, offset)) * 2;
+  return Buffer.from(data.slice(offset + 64, offset + 64 + len), 'hex').toString('utf8');
+}
+
+// Dynamic array whose head word sits at word index `i`; `read(data, offset)`
+// decodes one element given the position of its word.
+function readArray(data, i, read) {
+  const start = Number(word(data, i * 64)) * 2;
+  const count = Number(word(data, start));
+  const items = [];
+  for (let k = 0; k < count; k++) items.push(read(data, start + 64 + k * 64, start + 64));
+  return items;
+}
+
+const asAddress = (data, offset) => ('0x' + data.slice(offset + 24, offset + 64)).toLowerCase();
+const asUint = (data, offset) => word(data, offset);
+// string[] elements are offsets relative to the start of the element area
+const asString = (data, offset, base) => readString(data, base + Number(word(data, offset)) * 2);
+
+function encodeString(str) {
+  const hex = Buffer.from(str, 'utf8').toString('hex');
+  return (hex.length / 2).toString(16).padStart(64, '0') + hex.padEnd(Math.ceil(hex.length / 64) * 64, '0');
+}
+
+/**
+ * createTokenPricing({ rpcCall, factory, allowlist, cacheTtlMs })
+ *
+ * `allowlist` (token addresses) replaces the factory allowlist when given.
+ */
+function createTokenPricing({ rpcCall, factory, allowlist = null, cacheTtlMs = 60_000 }) {
+  const cache = new Map();
+  const configured = allowlist?.length ? new Set(allowlist.map(a => a.toLowerCase())) : null;
+
+  async function cached(key, load) {
+    const hit = cache.get(key);
+    if (hit && hit.expires > Date.now()) return hit.value;
+    const value = await load();
+    cache.set(key, { value, expires: Date.now() + cacheTtlMs });
+    return value;
+  }
+
+  async function call(to, data) {
+    const result = await rpcCall('eth_call', [{ to, data: '0x' + data }, 'latest']);
+    if (!result || result === '0x') throw new Error(`Empty eth_call result from ${to}`);
+    return result.slice(2);
+  }
+
+  /**
+   * The factory allowlist: [{ address, symbol, decimals }].
+   */
+  function factoryTokens() {
+    return cached('factory', async () => {
+      if (!factory) return [];
+      const data = await call(factory, GET_ALLOWED_TOKENS);
+      const addresses = readArray(data, 0, asAddress);
+      const symbols = readArray(data, 1, asString);
+      const decimals = readArray(data, 2, asUint);
+      return addresses.map((address, i) => ({
+        address,
+        symbol: symbols[i] || 'ERC20',
+        decimals: decimals[i] != null ? Number(decimals[i]) : null,
+      }));
+    });
+  }
+
+  /**
+   * { symbol, decimals } for a token; decimals() on the token itself wins
+   * over the allowlist entry.
+   */
+  function tokenInfo(token) {
+    const address = token.toLowerCase();
+    return cached(`info:${address}`, async () => {
+      const listed = (await factoryTokens().catch(() => [])).find(t => t.address === address);
+      let decimals = listed?.decimals ?? null;
+      let symbol = listed?.symbol || null;
+      try {
+        decimals = Number(word(await call(address, DECIMALS), 0));
+      } catch { /* keep the allowlist value */ }
+      if (!symbol) {
+        try {
+          const data = await call(address, SYMBOL);
+          symbol = readString(data, Number(word(data, 0)) * 2);
+        } catch { /* no symbol() */ }
+      }
+      if (decimals == null) throw new Error(`Cannot read decimals() of token ${address}`);
+      return { address, symbol: symbol || 'ERC20', decimals };
+    });
+  }
+
+  async function isAllowed(token) {
+    const address = token.toLowerCase();
+    if (configured) return configured.has(address);
+    return (await factoryTokens()).some(t => t.address === address);
+  }
+
+  /**
+   * Tokens `vault` accepts for `resourceId`: [{ token, price }], price in the
+   * token's base units. Vaults without getAcceptedTokens (V1) accept none.
+   */
+  function acceptedTokens(vault, resourceId) {
+    return cached(`accepted:${vault.toLowerCase()}:${resourceId}`, async () => {
+      let data;
+      try {
+        data = await call(vault, GET_ACCEPTED_TOKENS + (32).toString(16).padStart(64, '0') + encodeString(resourceId));
+      } catch {
+        return [];
+      }
+      const tokens = readArray(data, 0, asAddress);
+      const prices = readArray(data, 1, asUint);
+      return tokens
+        .map((token, i) => ({ token, price: prices[i] ?? 0n }))
+        .filter(t => t.token !== NATIVE_TOKEN && t.price > 0n);
+    });
+  }
+
+  /**
+   * Check an ERC-20 payment of `amount` (base units) for a vault resource.
+   * Returns { ok: true, token, price, decimals, symbol } or
+   * { ok: false, reason, message }.
+   */
+  async function checkPayment(vault, resourceId, token, amount) {
+    const address = token.toLowerCase();
+    if (!(await isAllowed(address))) {
+      return { ok: false, reason: 'token_not_allowed', message: `Token ${address} is not on the allowlist` };
+    }
+    const accepted = (await acceptedTokens(vault, resourceId)).find(t => t.token === address);
+    if (!accepted) {
+      return { ok: false, reason: 'token_not_accepted', message: `Token ${address} is not accepted for ${resourceId}` };
+    }
+    const info = await tokenInfo(address);
+    if (BigInt(amount) < accepted.price) {
+      return {
+        ok: false,
+        reason: 'insufficient_amount',
+        message: `Paid ${formatUnits(amount, info.decimals)} ${info.symbol}, price is ${formatUnits(accepted.price, info.decimals)} ${info.symbol}`,
+      };
+    }
+    return { ok: true, token: address, price: accepted.price.toString(), decimals: info.decimals, symbol: info.symbol };
+  }
+
+  return { factoryTokens, tokenInfo, isAllowed, acceptedTokens, checkPayment };
+}
+
+/**
+ * Base units → decimal string ("1500000", 6 → "1.5").
+ */
+function formatUnits(amount, decimals) {
+  const s = BigInt(amount).toString().padStart(decimals + 1, '0');
+  const whole = s.slice(0, s.length - decimals) || '0';
+  const frac = decimals ? s.slice(-decimals).replace(/0+$/, '') : '';
+  return frac ? `${whole}.${frac}` : whole;
+}
+
+module.exports = { createTokenPricing, formatUnits };
@@ -0,0 +1,154 @@
+/**
+ * AccessPaid event layouts emitted by A402 contracts, and a decoder that
+ * turns any of them into one payment shape.
+ *
+ *   verifier   A402Verifier
+ *              AccessPaid(address indexed payer, address indexed creator,
+ *                         string resourceId, uint256 amount, bool lifetime, uint256 timestamp)
+ *   vault-v1   CreatorVault
+ *              AccessPaid(address indexed payer, string resourceId, uint256 amount,
+ *                         bool lifetime, uint256 timestamp)
+ *   vault-v2   CreatorVaultV2
+ *              AccessPaid(address indexed payer, string resourceId, uint256 amount,
+ *                         address token, bool lifetime, uint256 timestamp)
+ *   indexed    CreatorVaultV2
+ *              AccessPaidIndexed(address indexed payer, bytes32 indexed resourceHash,
+ *                                uint256 amount, address token)
+ *
+ * AccessPaidIndexed carries only keccak256(resourceId); CreatorVaultV2 emits
+ * it next to AccessPaid so payers can be filtered by resource in eth_getLogs.
+ */
+
+const { keccak256 } = require('js-sha3');
+const { NATIVE_TOKEN } = require('./ledger');
+
+const EVENT_LAYOUTS = [
+  { layout: 'verifier', event: 'AccessPaid', signature: 'AccessPaid(address,address,string,uint256,bool,uint256)' },
+  { layout: 'vault-v1', event: 'AccessPaid', signature: 'AccessPaid(address,string,uint256,bool,uint256)' },
+  { layout: 'vault-v2', event: 'AccessPaid', signature: 'AccessPaid(address,string,uint256,address,bool,uint256)' },
+  { layout: 'indexed', event: 'AccessPaidIndexed', signature: 'AccessPaidIndexed(address,bytes32,uint256,address)' },
+].map(e => ({ ...e, topic: '0x' + keccak256(e.signature) }));
+
+const LAYOUT_BY_TOPIC = new Map(EVENT_LAYOUTS.map(e => [e.topic, e]));
+
+// topic0 values to pass to eth_getLogs
+const PAYMENT_TOPICS = EVENT_LAYOUTS.map(e => e.topic);
+
+function resourceHash(resourceId) {
+  return '0x' + keccak256(resourceId);
+}
+
+function word(data, i) {
+  return BigInt('0x' + data.slice(i * 64, (i + 1) * 64));
+}
+
+function wordAddress(data, i) {
+  return '0x' + data.slice(i * 64 + 24, (i + 1) * 64);
+}
+
+function topicAddress(topic) {
+  return '0x' + topic.slice(-40).toLowerCase();
+}
+
+function readString(data, wordIndex) {
+  const off = Number(word(data, wordIndex)) * 2;
+  const len = Number(BigInt('0x' + data.slice(off, off + 64)));
+  return Buffer.from(data.slice(off + 64, off + 64 + len * 2), 'hex').toString('utf8');
+}
+
+/**
+ * Decode an AccessPaid / AccessPaidIndexed log. Returns null for other logs
+ * or malformed data.
+ *
+ * { event, layout, contract, payer, creator, resourceId, resourceHash,
+ *   amount, token, lifetime, timestamp, txHash, logIndex, blockNumber, blockHash }
+ *
+ * Fields a layout doesn't carry are null (creator outside the verifier,
+ * resourceId / lifetime / timestamp for AccessPaidIndexed).
+ */
+function decodePaymentLog(log) {
+  const layout = LAYOUT_BY_TOPIC.get(log.topics?.[0]?.toLowerCase());
+  if (!layout) return null;
+
+  const data = (log.data || '0x').slice(2);
+  const base = {
+    event: layout.event,
+    layout: layout.layout,
+    contract: log.address.toLowerCase(),
+    txHash: log.transactionHash?.toLowerCase() || null,
+    logIndex: log.logIndex != null ? Number(BigInt(log.logIndex)) : null,
+    blockNumber: log.blockNumber != null ? Number(BigInt(log.blockNumber)) : null,
+    blockHash: log.blockHash?.toLowerCase() || null,
+    creator: null,
+    token: NATIVE_TOKEN,
+  };
+
+  try {
+    switch (layout.layout) {
+      case 'verifier': {
+        if (log.topics.length < 3) return null;
+        const resourceId = readString(data, 0);
+        return {
+          ...base,
+          payer: topicAddress(log.topics[1]),
+          creator: topicAddress(log.topics[2]),
+          resourceId,
+          resourceHash: resourceHash(resourceId),
+          amount: word(data, 1).toString(),
+          lifetime: word(data, 2) === 1n,
+          timestamp: Number(word(data, 3)),
+        };
+      }
+      case 'vault-v1': {
+        if (log.topics.length < 2) return null;
+        const resourceId = readString(data, 0);
+        return {
+          ...base,
+          payer: topicAddress(log.topics[1]),
+          resourceId,
+          resourceHash: resourceHash(resourceId),
+          amount: word(data, 1).toString(),
+          lifetime: word(data, 2) === 1n,
+          timestamp: Number(word(data, 3)),
+        };
+      }
+      case 'vault-v2': {
+        if (log.topics.length < 2) return null;
+        const resourceId = readString(data, 0);
+        return {
+          ...base,
+          payer: topicAddress(log.topics[1]),
+          resourceId,
+          resourceHash: resourceHash(resourceId),
+          amount: word(data, 1).toString(),
+          token: wordAddress(data, 2).toLowerCase(),
+          lifetime: word(data, 3) === 1n,
+          timestamp: Number(word(data, 4)),
+        };
+      }
+      case 'indexed': {
+        if (log.topics.length < 3) return null;
+        return {
+          ...base,
+          payer: topicAddress(log.topics[1]),
+          resourceId: null,
+          resourceHash: log.topics[2].toLowerCase(),
+          amount: word(data, 0).toString(),
+          token: wordAddress(data, 1).toLowerCase(),
+          lifetime: null,
+          timestamp: null,
+        };
+      }
+    }
+  } catch {
+    return null;
+  }
+  return null;
+}
+
+module.exports = {
+  EVENT_LAYOUTS,
+  PAYMENT_TOPICS,
+  resourceHash,
+  decodePaymentLog,
+};
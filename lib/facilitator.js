@@ -0,0 +1,354 @@
+/**
+ * A402 x402 facilitator for Apertum (eip155:2786).
+ *
+ * Resource servers hand the facilitator a payment payload plus the payment
+ * requirements they advertised; it checks the paying transaction on-chain
+ * (receipt status, `to` = vault, AccessPaid log with matching creator,
+ * resourceId and amount) so they don't have to parse logs themselves.
+ *
+ * Native APTM payments must cover `maxAmountRequired`. ERC-20 payments (the
+ * token is read from the AccessPaid event) must use an allowlisted token and
+ * cover the price the vault lists for it; `asset` and `decimals` in the
+ * settlement describe what was actually paid. Requirements with
+ * `extra.fiatPrice` take native payments only, since the vault's token
+ * prices are not converted from the fiat price.
+ *
+ *   POST /verify     { x402Version, paymentPayload | paymentHeader, paymentRequirements }
+ *                    → { isValid, invalidReason?, message?, payer? }
+ *   POST /settle     same body
+ *                    → { success, errorReason?, message?, confirmations?, transaction,
+ *                        network, payer?, amount?, asset?, decimals?, blockNumber?,
+ *                        blockTimestamp? }
+ *   GET  /supported  → { kinds: [{ x402Version, scheme, network }] }
+ *
+ * Confirmation depth: with `extra.confirmations` = n in the requirements, a
+ * valid payment whose block is fewer than n blocks deep is reported as
+ * `transaction_pending` with its current `confirmations`, like a transaction
+ * that is not mined yet (confirmations: 0).
+ *
+ * Settlement marks the transaction as used: the same tx hash can be settled
+ * again for the same vault/resource (idempotent) but not for another one.
+ * Used transactions are kept in the `settlements` store. The default is in
+ * memory and forgets them on restart, when a paid transaction could be
+ * settled again for another resource of the same creator; a long-running
+ * facilitator must pass a persistent store such as openSettlements(file).
+ *
+ * createRemoteFacilitator(url) exposes the same verify/settle interface over
+ * HTTP, for resource servers that delegate to a shared facilitator.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const x402 = require('./x402');
+const { decodePaymentLog } = require('./events');
+const { NATIVE_TOKEN } = require('./ledger');
+const { logger } = require('./logger');
+
+// Failure reason → HTTP status used by resource servers mapping a result.
+const REASON_STATUS = {
+  transaction_not_found: 404,
+  transaction_pending: 202,
+};
+
+function invalid(reason, message) {
+  return { isValid: false, invalidReason: reason, message };
+}
+
+function settlementKey(requirements) {
+  return `${requirements.payTo.toLowerCase()}:${requirements.extra?.resourceId}`;
+}
+
+/**
+ * Settlement store persisted as JSON lines, one { txHash, key } per settled
+ * transaction. get/set like the default Map.
+ */
+function openSettlements(file) {
+  const used = new Map();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (fs.existsSync(file)) {
+    fs.readFileSync(file, 'utf8').split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        const { txHash, key } = JSON.parse(line);
+        used.set(txHash, key);
+      } catch {
+        logger.error('Settlements: skipping corrupt line', { file, line: i + 1 });
+      }
+    });
+  }
+
+  return {
+    get: (txHash) => used.get(txHash),
+    set(txHash, key) {
+      if (used.get(txHash) === key) return this;
+      fs.appendFileSync(file, JSON.stringify({ txHash, key }) + '\n');
+      used.set(txHash, key);
+      return this;
+    },
+  };
+}
+
+/**
+ * Local facilitator backed by an RPC function `rpcCall(method, params)`.
+ * With `tokenPricing` (lib/erc20.js), ERC-20 payments are accepted at the
+ * token price the vault lists for the resource. With `vaultRegistry`
+ * (lib/vaults.js), CreatorVaultV2 payments — whose events carry no creator —
+ * are only accepted if the factory lists the vault as the creator's.
+ * `settlements` maps txHash → settlementKey of the requirements it paid for.
+ */
+function createFacilitator({ config, rpcCall, tokenPricing = null, vaultRegistry = null, settlements = new Map() }) {
+
+  async function checkTransaction(txHash, requirements) {
+    const vault = requirements.payTo.toLowerCase();
+    const creator = requirements.extra?.creator?.toLowerCase();
+    const resourceId = requirements.extra?.resourceId;
+
+    const receipt = await rpcCall('eth_getTransactionReceipt', [txHash]);
+
+    if (!receipt) {
+      const tx = await rpcCall('eth_getTransactionByHash', [txHash]);
+      if (!tx) return invalid('transaction_not_found', 'Transaction not found');
+      return { ...invalid('transaction_pending', 'Pending — try again shortly.'), confirmations: 0 };
+    }
+
+    if (receipt.status !== '0x1') {
+      return invalid('transaction_reverted', 'Transaction reverted on-chain');
+    }
+
+    const tx = await rpcCall('eth_getTransactionByHash', [txHash]);
+    if (!tx || tx.to?.toLowerCase() !== vault) {
+      return invalid('invalid_pay_to', `Transaction not sent to A402 contract (${requirements.payTo})`);
+    }
+
+    const contractLogs = (receipt.logs || []).filter(log => log.address?.toLowerCase() === vault);
+    if (contractLogs.length === 0) {
+      return invalid('no_contract_events', 'No events from contract — call may have failed');
+    }
+
+    // Closest miss, reported when no event pays for the resource
+    let rejection = null;
+
+    // Rental windows start at the paying block's timestamp
+    async function accept(paid) {
+      const required = Number(requirements.extra?.confirmations || 1);
+      if (required > 1) {
+        const head = Number(BigInt(await rpcCall('eth_blockNumber', [])));
+        const confirmations = Math.max(0, head - paid.blockNumber + 1);
+        if (confirmations < required) {
+          return {
+            ...invalid('transaction_pending', `Waiting for confirmations (${confirmations}/${required})`),
+            confirmations,
+          };
+        }
+      }
+      const block = await rpcCall('eth_getBlockByNumber', [receipt.blockNumber, false]);
+      return { ...paid, blockTimestamp: block ? Number(BigInt(block.timestamp)) : null };
+    }
+
+    for (const log of contractLogs) {
+      const event = decodePaymentLog(log);
+      if (!event || event.event !== 'AccessPaid') continue;
+      if (event.creator && event.creator !== creator) continue;
+      if (event.resourceId !== resourceId) continue;
+
+      if (event.layout === 'vault-v2' && creator && vaultRegistry) {
+        if ((await vaultRegistry.getVault(creator)) !== vault) {
+          rejection = invalid('invalid_pay_to', `${requirements.payTo} is not the vault of creator ${creator}`);
+          continue;
+        }
+      }
+
+      const paid = {
+        isValid: true,
+        payer: event.payer,
+        creator: event.creator || creator,
+        amount: event.amount,
+        asset: event.token,
+        blockNumber: Number(BigInt(receipt.blockNumber)),
+      };
+
+      if (event.token === NATIVE_TOKEN) {
+        if (BigInt(event.amount) >= BigInt(requirements.maxAmountRequired)) {
+          return accept({ ...paid, decimals: config.decimals });
+        }
+        rejection = invalid('insufficient_amount', `Paid ${event.amount} wei, price is ${requirements.maxAmountRequired} wei`);
+        continue;
+      }
+
+      if (requirements.extra?.fiatPrice) {
+        rejection = invalid('unsupported_asset', `Fiat-priced resources are paid in ${config.currency} only (token ${event.token})`);
+        continue;
+      }
+      if (!tokenPricing) {
+        rejection = invalid('unsupported_asset', `ERC-20 payments are not accepted (token ${event.token})`);
+        continue;
+      }
+      const check = await tokenPricing.checkPayment(vault, resourceId, event.token, event.amount);
+      if (check.ok) return accept({ ...paid, decimals: check.decimals });
+      rejection = invalid(check.reason, check.message);
+    }
+
+    if (rejection) return rejection;
+    return invalid('payment_event_not_found', 'Payment event not found with matching creator, resource and amount');
+  }
+
+  async function verify(paymentPayload, requirements) {
+    if (requirements?.network !== config.caip2 || requirements?.scheme !== x402.SCHEME) {
+      return invalid('unsupported_scheme', `Only ${x402.SCHEME} on ${config.caip2} is supported`);
+    }
+
+    let txHash;
+    try {
+      txHash = x402.validatePaymentPayload(paymentPayload, requirements);
+    } catch (err) {
+      return invalid('invalid_payload', err.message);
+    }
+
+    const used = settlements.get(txHash.toLowerCase());
+    if (used && used !== settlementKey(requirements)) {
+      return invalid('transaction_already_used', 'Transaction already used for a different resource');
+    }
+
+    return checkTransaction(txHash, requirements);
+  }
+
+  async function settle(paymentPayload, requirements) {
+    const result = await verify(paymentPayload, requirements);
+    const transaction = paymentPayload?.payload?.txHash?.toLowerCase() || null;
+
+    if (!result.isValid) {
+      return {
+        success: false,
+        errorReason: result.invalidReason,
+        message: result.message,
+        ...(result.confirmations != null ? { confirmations: result.confirmations } : {}),
+        transaction,
+        network: config.caip2,
+      };
+    }
+
+    settlements.set(transaction, settlementKey(requirements));
+    return {
+      success: true,
+      transaction,
+      network: config.caip2,
+      payer: result.payer,
+      amount: result.amount,
+      asset: result.asset,
+      decimals: result.decimals,
+      blockNumber: result.blockNumber,
+      blockTimestamp: result.blockTimestamp,
+    };
+  }
+
+  function supported() {
+    return { kinds: [{ x402Version: x402.X402_VERSION, scheme: x402.SCHEME, network: config.caip2 }] };
+  }
+
+  return { verify, settle, supported };
+}
+
+/**
+ * Same interface as createFacilitator(), delegating to a facilitator at `url`.
+ * Each call gives up after timeoutMs, so a hung facilitator can't hold
+ * requests or the verification queue.
+ */
+function createRemoteFacilitator(url, { timeoutMs = 10000 } = {}) {
+  const base = url.replace(/\/+$/, '');
+
+  async function request(route, init = {}) {
+    try {
+      return await fetch(`${base}${route}`, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (err) {
+      throw new Error(err.name === 'TimeoutError'
+        ? `Facilitator ${route} timed out after ${timeoutMs} ms`
+        : `Facilitator ${route} unreachable: ${err.message}`);
+    }
+  }
+
+  async function post(route, paymentPayload, requirements) {
+    const response = await request(route, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        x402Version: x402.X402_VERSION,
+        paymentPayload,
+        paymentRequirements: requirements,
+      }),
+    });
+    if (!response.ok && response.status !== 400) {
+      throw new Error(`Facilitator ${route} failed: HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  return {
+    verify: (paymentPayload, requirements) => post('/verify', paymentPayload, requirements),
+    settle: (paymentPayload, requirements) => post('/settle', paymentPayload, requirements),
+    supported: async () => (await request('/supported')).json(),
+  };
+}
+
+// ─── HTTP endpoints ───────────────────────────────────────────────
+function readRequest(body) {
+  const requirements = body?.paymentRequirements;
+  let paymentPayload = body?.paymentPayload;
+  if (!paymentPayload && body?.paymentHeader) {
+    paymentPayload = x402.decodeHeader(body.paymentHeader);
+  }
+  if (!paymentPayload || !requirements) {
+    throw new Error('paymentPayload (or paymentHeader) and paymentRequirements are required');
+  }
+  return { paymentPayload, requirements };
+}
+
+function createFacilitatorRouter(facilitator) {
+  const router = express.Router();
+
+  router.get('/supported', (req, res) => {
+    res.json(facilitator.supported());
+  });
+
+  router.post('/verify', async (req, res) => {
+    let request;
+    try {
+      request = readRequest(req.body);
+    } catch (err) {
+      return res.status(400).json(invalid('invalid_request', err.message));
+    }
+
+    try {
+      res.json(await facilitator.verify(request.paymentPayload, request.requirements));
+    } catch (err) {
+      logger.error('Facilitator verify error', { err });
+      res.status(500).json(invalid('unexpected_verify_error', err.message));
+    }
+  });
+
+  router.post('/settle', async (req, res) => {
+    let request;
+    try {
+      request = readRequest(req.body);
+    } catch (err) {
+      return res.status(400).json({ success: false, errorReason: 'invalid_request', message: err.message });
+    }
+
+    try {
+      res.json(await facilitator.settle(request.paymentPayload, request.requirements));
+    } catch (err) {
+      logger.error('Facilitator settle error', { err });
+      res.status(500).json({ success: false, errorReason: 'unexpected_settle_error', message: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  REASON_STATUS,
+  openSettlements,
+  createFacilitator,
+  createRemoteFacilitator,
+  createFacilitatorRouter,
+};
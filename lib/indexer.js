@@ -0,0 +1,438 @@
+/**
+ * Background AccessPaid indexer.
+ *
+ * Follows payment events (see lib/events.js) for a set of contracts — the
+ * configured vaults and, optionally, every vault in the factory registry —
+ * in block ranges, and keeps them in an append-only JSON-lines file next to
+ * the ledger:
+ *
+ *   {"type":"header","schemaVersion":1,"createdAt":…,"startBlock":100,
+ *    "vaults":["0x…"],"factoryCount":12}
+ *   {"type":"event","id":"<txHash>:<logIndex>",…decoded event…}
+ *   {"type":"checkpoint","blockNumber":123,"blockHash":"0x…"}
+ *   {"type":"rollback","toBlock":120}
+ *   {"type":"vaults","added":["0x…"],"factoryCount":13}
+ *
+ * A checkpoint is written after every scanned range. Before scanning on, the
+ * latest checkpoint's hash is compared with the chain; on a mismatch the
+ * indexer walks back through the recent checkpoints to the newest one still
+ * on the canonical chain, drops every event above it and rescans. The file
+ * is compacted on open and daily while running, keeping only the recent
+ * checkpoints.
+ *
+ * Without a startBlock, a new store starts at the chain head; the block it
+ * started at is kept in the header. The store also remembers which vaults it
+ * holds the history of, and how far into the factory registry it has read.
+ * Vaults that are new to it — registered with the factory since, or newly
+ * configured — are backfilled from the start block up to the current
+ * checkpoint; after a restart nothing else is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { keccak256 } = require('js-sha3');
+const { PAYMENT_TOPICS, decodePaymentLog, resourceHash: hashResourceId } = require('./events');
+const { logger } = require('./logger');
+
+const SCHEMA_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Checkpoints kept for finding a common ancestor after a reorg.
+const CHECKPOINT_HISTORY = 64;
+
+const VAULT_COUNT_SELECTOR = '0x' + keccak256('vaultCount()').slice(0, 8);
+const ALL_VAULTS_SELECTOR = '0x' + keccak256('allVaults(uint256)').slice(0, 8);
+
+function toHex(n) {
+  return '0x' + n.toString(16);
+}
+
+function readLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        logger.error('Indexer: skipping corrupt line', { file, line: i + 1 });
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * createIndexer({ rpcCall, file, vaults, factory, startBlock, batchSize,
+ *                 maxBatchesPerTick, intervalMs })
+ *
+ * `vaults` are always followed. With a `factory`, its public registry is
+ * enumerated each tick with vaultCount() / allVaults(i) and new vaults are
+ * added as they appear.
+ */
+function createIndexer({
+  rpcCall,
+  file,
+  vaults = [],
+  factory = null,
+  startBlock = null,
+  batchSize = 2000,
+  maxBatchesPerTick = 20,
+  intervalMs = 5000,
+}) {
+  const events = new Map();        // id → event
+  const byContract = new Map();    // contract → Set(id)
+  const byPayer = new Map();       // payer → Set(id)
+  let checkpoints = [];            // [{ blockNumber, blockHash }], oldest first
+  const configured = vaults.map(v => v.toLowerCase());
+  const tracked = new Set(configured);
+  let factoryCount = 0;
+  let pending = [];                // configured vaults the store has no history of
+  let currentBatch = batchSize;
+  let headBlock = null;
+  let lastError = null;
+  let discoveryError = null;
+  let timer = null;
+  let compactTimer = null;
+  let running = false;
+  let firstBlock = startBlock;
+  let createdAt = Date.now();
+
+  // ─── In-memory indexes ──────────────────────────────────────────
+  function addToIndex(map, key, id) {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(id);
+  }
+
+  function index(event) {
+    events.set(event.id, event);
+    addToIndex(byContract, event.contract, event.id);
+    addToIndex(byPayer, event.payer, event.id);
+  }
+
+  function unindex(id) {
+    const event = events.get(id);
+    if (!event) return;
+    events.delete(id);
+    byContract.get(event.contract)?.delete(id);
+    byPayer.get(event.payer)?.delete(id);
+  }
+
+  function applyRollback(toBlock) {
+    let dropped = 0;
+    for (const [id, event] of events) {
+      if (event.blockNumber > toBlock) {
+        unindex(id);
+        dropped++;
+      }
+    }
+    checkpoints = checkpoints.filter(c => c.blockNumber <= toBlock);
+    return dropped;
+  }
+
+  function pushCheckpoint(checkpoint) {
+    checkpoints.push(checkpoint);
+    if (checkpoints.length > CHECKPOINT_HISTORY) checkpoints = checkpoints.slice(-CHECKPOINT_HISTORY);
+  }
+
+  function lastCheckpoint() {
+    return checkpoints[checkpoints.length - 1] || null;
+  }
+
+  function append(line) {
+    fs.appendFileSync(file, JSON.stringify(line) + '\n');
+  }
+
+  function compact() {
+    const lines = [
+      {
+        type: 'header',
+        schemaVersion: SCHEMA_VERSION,
+        createdAt,
+        startBlock: firstBlock,
+        vaults: [...tracked],
+        // Without a factory its vaults are dropped, so they must be found again
+        factoryCount: factory ? factoryCount : 0,
+      },
+      ...[...events.values()].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex),
+      ...checkpoints.map(c => ({ type: 'checkpoint', ...c })),
+    ].map(l => JSON.stringify(l));
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, lines.join('\n') + '\n');
+    fs.renameSync(tmp, file);
+  }
+
+  // ─── Load ───────────────────────────────────────────────────────
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const lines = readLines(file);
+  const fileVersion = lines[0]?.type === 'header' ? lines[0].schemaVersion : SCHEMA_VERSION;
+  if (fileVersion > SCHEMA_VERSION) {
+    throw new Error(`Indexer ${file} has schema v${fileVersion}, this server supports up to v${SCHEMA_VERSION}`);
+  }
+  const header = lines[0]?.type === 'header' ? lines[0] : null;
+  // Stores from before the header listed vaults: take the configured ones as
+  // complete, and read the registry again
+  const covered = header?.vaults ? new Set(header.vaults) : null;
+  factoryCount = header?.factoryCount ?? 0;
+  for (const line of lines) {
+    if (line.type === 'event') index(line);
+    else if (line.type === 'checkpoint') pushCheckpoint({ blockNumber: line.blockNumber, blockHash: line.blockHash });
+    else if (line.type === 'rollback') applyRollback(line.toBlock);
+    else if (line.type === 'vaults') {
+      for (const vault of line.added) covered?.add(vault);
+      factoryCount = line.factoryCount;
+    }
+  }
+  if (header?.createdAt) createdAt = header.createdAt;
+  // Stores from before the header recorded it were scanned from block 0
+  if (firstBlock == null) firstBlock = header?.startBlock ?? (checkpoints.length ? 0 : null);
+  if (covered) {
+    if (factory) for (const vault of covered) tracked.add(vault);
+    if (checkpoints.length) pending = configured.filter(vault => !covered.has(vault));
+    for (const vault of pending) tracked.delete(vault);
+  }
+  if (!factory) factoryCount = 0;
+  compact();
+
+  // ─── Chain access ───────────────────────────────────────────────
+  async function getBlock(number) {
+    const block = await rpcCall('eth_getBlockByNumber', [toHex(number), false]);
+    if (!block) throw new Error(`Block ${number} not found`);
+    return { blockNumber: number, blockHash: block.hash.toLowerCase(), timestamp: Number(BigInt(block.timestamp)) };
+  }
+
+  /**
+   * Vaults registered since the last successful discovery: { count, added }.
+   */
+  async function discoverVaults() {
+    if (!factory) return { count: 0, added: [] };
+    const count = Number(BigInt(await rpcCall('eth_call', [{ to: factory, data: VAULT_COUNT_SELECTOR }, 'latest'])));
+    const indexes = Array.from({ length: Math.max(0, count - factoryCount) }, (_, k) => factoryCount + k);
+    const results = await Promise.all(indexes.map(i => {
+      const data = ALL_VAULTS_SELECTOR + i.toString(16).padStart(64, '0');
+      return rpcCall('eth_call', [{ to: factory, data }, 'latest']);
+    }));
+    const added = results
+      .map(result => ('0x' + result.slice(-40)).toLowerCase())
+      .filter(vault => !tracked.has(vault));
+    return { count, added };
+  }
+
+  /**
+   * Fetch and decode payment events for `addresses` in [from, to]. Ranges the
+   * node refuses as too large are split in half until they pass.
+   */
+  async function fetchRange(addresses, from, to) {
+    let logs;
+    try {
+      logs = await rpcCall('eth_getLogs', [{
+        address: addresses,
+        fromBlock: toHex(from),
+        toBlock: toHex(to),
+        topics: [PAYMENT_TOPICS],
+      }]);
+    } catch (err) {
+      if (to <= from || !/range|limit|too many|exceed/i.test(err.message)) throw err;
+      const mid = Math.floor((from + to) / 2);
+      currentBatch = Math.max(1, Math.floor(currentBatch / 2));
+      return [...await fetchRange(addresses, from, mid), ...await fetchRange(addresses, mid + 1, to)];
+    }
+
+    const decoded = (logs || []).map(decodePaymentLog).filter(Boolean);
+
+    // AccessPaidIndexed duplicates an AccessPaid in the same transaction;
+    // keep it only when its full counterpart is missing.
+    const full = new Set(decoded
+      .filter(e => e.event === 'AccessPaid')
+      .map(e => `${e.txHash}:${e.payer}:${e.resourceHash}`));
+    const kept = decoded.filter(e => e.event === 'AccessPaid' || !full.has(`${e.txHash}:${e.payer}:${e.resourceHash}`));
+
+    // Block time for every event, so time-range queries work for all layouts.
+    // Requested together, so the RPC client sends them as one batch.
+    const numbers = [...new Set(kept.map(event => event.blockNumber))];
+    const blocks = await Promise.all(numbers.map(getBlock));
+    const blockTimes = new Map(blocks.map(block => [block.blockNumber, block.timestamp]));
+
+    return kept.map(event => ({
+      type: 'event',
+      id: `${event.txHash}:${event.logIndex}`,
+      ...event,
+      blockTime: blockTimes.get(event.blockNumber),
+    }));
+  }
+
+  function store(batch) {
+    for (const event of batch) {
+      if (events.has(event.id)) continue;
+      append(event);
+      index(event);
+    }
+  }
+
+  // ─── Reorg handling ─────────────────────────────────────────────
+  async function checkReorg() {
+    const latest = lastCheckpoint();
+    if (!latest) return;
+    if ((await getBlock(latest.blockNumber)).blockHash === latest.blockHash) return;
+
+    let ancestor = null;
+    for (let i = checkpoints.length - 2; i >= 0; i--) {
+      const candidate = checkpoints[i];
+      if ((await getBlock(candidate.blockNumber)).blockHash === candidate.blockHash) {
+        ancestor = candidate;
+        break;
+      }
+    }
+
+    // No retained checkpoint survived: rescan a full window below the oldest.
+    const toBlock = ancestor
+      ? ancestor.blockNumber
+      : Math.max(firstBlock - 1, checkpoints[0].blockNumber - CHECKPOINT_HISTORY * batchSize);
+
+    const dropped = applyRollback(toBlock);
+    append({ type: 'rollback', toBlock });
+    logger.warn('Indexer: reorg, rolled back', { belowBlock: latest.blockNumber, toBlock, dropped });
+  }
+
+  // ─── Main loop ──────────────────────────────────────────────────
+  async function tick() {
+    if (firstBlock == null) {
+      firstBlock = Number(BigInt(await rpcCall('eth_blockNumber', [])));
+      compact();
+      logger.info('Indexer: starting at the chain head', { block: firstBlock });
+    }
+
+    // A registry that can't be read shouldn't stop the vaults we already follow
+    let discovered = { count: factoryCount, added: [] };
+    try {
+      discovered = await discoverVaults();
+      discoveryError = null;
+    } catch (err) {
+      if (err.message !== discoveryError) logger.error('Indexer: vault discovery failed', { err: err.message });
+      discoveryError = err.message;
+    }
+    const position = lastCheckpoint()?.blockNumber ?? firstBlock - 1;
+
+    const newVaults = [...new Set([...pending, ...discovered.added])];
+    if (newVaults.length) {
+      // Bring late arrivals up to where everyone else is before following them
+      for (let from = firstBlock; from <= position; from += batchSize) {
+        store(await fetchRange(newVaults, from, Math.min(from + batchSize - 1, position)));
+      }
+      for (const vault of newVaults) tracked.add(vault);
+      pending = [];
+      logger.info('Indexer: tracking new vaults', { added: newVaults.length, total: tracked.size });
+    }
+    if (newVaults.length || discovered.count !== factoryCount) {
+      append({ type: 'vaults', added: newVaults, factoryCount: discovered.count });
+    }
+    factoryCount = discovered.count;
+
+    if (!tracked.size) return;
+
+    await checkReorg();
+
+    headBlock = Number(BigInt(await rpcCall('eth_blockNumber', [])));
+    for (let i = 0; i < maxBatchesPerTick; i++) {
+      const from = (lastCheckpoint()?.blockNumber ?? firstBlock - 1) + 1;
+      if (from > headBlock) break;
+      const to = Math.min(from + currentBatch - 1, headBlock);
+
+      store(await fetchRange([...tracked], from, to));
+      const checkpoint = await getBlock(to);
+      pushCheckpoint({ blockNumber: checkpoint.blockNumber, blockHash: checkpoint.blockHash });
+      append({ type: 'checkpoint', blockNumber: checkpoint.blockNumber, blockHash: checkpoint.blockHash });
+    }
+  }
+
+  async function run() {
+    if (running) return;
+    running = true;
+    try {
+      await tick();
+      lastError = null;
+    } catch (err) {
+      // Log once per distinct failure rather than every tick
+      if (err.message !== lastError) logger.error('Indexer error', { err: err.message });
+      lastError = err.message;
+    } finally {
+      running = false;
+      if (timer) {
+        timer = setTimeout(run, intervalMs);
+        timer.unref();
+      }
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setTimeout(run, 0);
+    timer.unref();
+    compactTimer = setInterval(compact, DAY_MS);
+    compactTimer.unref();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    clearInterval(compactTimer);
+    timer = compactTimer = null;
+  }
+
+  // ─── Queries ────────────────────────────────────────────────────
+  /**
+   * Events matching every given filter, newest first.
+   *   { vault, resourceId, resourceHash, payer, from, to (unix seconds), limit, offset }
+   */
+  function query({ vault, resourceId, resourceHash, payer, from, to, limit = 100, offset = 0 } = {}) {
+    let ids = null;
+    const narrow = (set) => {
+      const next = set ? [...set] : [];
+      ids = ids ? next.filter(id => ids.has(id)) : next;
+      ids = new Set(ids);
+    };
+    if (vault) narrow(byContract.get(vault.toLowerCase()));
+    if (payer) narrow(byPayer.get(payer.toLowerCase()));
+
+    let matches = ids ? [...ids].map(id => events.get(id)) : [...events.values()];
+    if (resourceId) {
+      const hash = hashResourceId(resourceId);
+      matches = matches.filter(e => e.resourceHash === hash);
+    }
+    if (resourceHash) matches = matches.filter(e => e.resourceHash === resourceHash.toLowerCase());
+    if (from != null) matches = matches.filter(e => e.blockTime >= from);
+    if (to != null) matches = matches.filter(e => e.blockTime <= to);
+
+    matches.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+    return {
+      total: matches.length,
+      events: matches.slice(offset, offset + limit).map(({ type, ...event }) => event),
+    };
+  }
+
+  function status() {
+    const checkpoint = lastCheckpoint();
+    return {
+      running: Boolean(timer),
+      vaults: [...tracked],
+      factory,
+      startBlock: firstBlock,
+      checkpoint,
+      head: headBlock,
+      lag: headBlock != null && checkpoint ? headBlock - checkpoint.blockNumber : null,
+      events: events.size,
+      lastError: lastError || (discoveryError && `Vault discovery failed: ${discoveryError}`),
+    };
+  }
+
+  return {
+    start,
+    stop,
+    tick,
+    query,
+    status,
+    isTracked: (vault) => tracked.has(vault.toLowerCase()),
+  };
+}
+
+module.exports = { SCHEMA_VERSION, createIndexer };
@@ -0,0 +1,229 @@
+/**
+ * Persistent payment ledger — an append-only JSON-lines file.
+ *
+ * Every submitted payment is appended as one line; on open the file is
+ * replayed into memory and indexed by tx hash and by payer, so lookups never
+ * scan the whole ledger. Rewrites of a record (status changes, refunds…) are
+ * appended too: the last line for a tx hash wins.
+ *
+ * File layout:
+ *   {"type":"header","schemaVersion":2,"createdAt":…}
+ *   {"type":"payment","txHash":"0x…","status":"confirmed","vault":"0x…",
+ *    "resourceId":"…","payer":"0x…","creator":"0x…","amount":"…","token":"0x…",
+ *    "decimals":18,"blockNumber":123,"paidAt":…,"lifetime":true,
+ *    "confirmations":3,"requiredConfirmations":3,"clients":["…"],"views":2,
+ *    "statusHistory":[{"status":"pending","at":…},{"status":"confirmed","at":…}],
+ *    "verifiedAt":…,"updatedAt":…}
+ *
+ * Status: a payment is `pending` until it has enough confirmations, then
+ * `confirmed`. A pending payment can instead end up `failed` (reverted or
+ * not a valid payment), `dropped` (left the mempool) or `replaced` (its nonce
+ * was used by another transaction). An admin can later mark a confirmed
+ * payment `refunded` or `revoked`. Only confirmed payments grant access.
+ * Each change is appended to statusHistory.
+ *
+ * Admin grants are records too, with `source: "admin"`, amount 0 and a
+ * `grant:<hex>` id in place of a tx hash.
+ *
+ * paidAt is the paying block's timestamp (ms) and views counts deliveries;
+ * both feed rental terms (lib/rental.js).
+ *
+ * Migrations: records are upgraded from the file's schemaVersion to
+ * SCHEMA_VERSION on load, and the file is compacted (rewritten) afterwards,
+ * keeping the header's createdAt.
+ *
+ * Retention: with retentionDays > 0, compaction drops non-lifetime payments
+ * verified more than retentionDays ago. Compaction runs on open and then
+ * once a day.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const SCHEMA_VERSION = 2;
+const NATIVE_TOKEN = '0x0000000000000000000000000000000000000000';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PAYMENT_STATUS = {
+  pending: 'pending',
+  confirmed: 'confirmed',
+  failed: 'failed',
+  dropped: 'dropped',
+  replaced: 'replaced',
+  refunded: 'refunded',
+  revoked: 'revoked',
+};
+
+// MIGRATIONS[n] upgrades a record from schema version n to n + 1.
+const MIGRATIONS = {
+  // v1: every recorded payment had been accepted on the spot
+  1: (record) => ({
+    ...record,
+    status: PAYMENT_STATUS.confirmed,
+    statusHistory: [{ status: PAYMENT_STATUS.confirmed, at: record.verifiedAt }],
+  }),
+};
+
+function migrate(record, fromVersion) {
+  let current = record;
+  for (let v = fromVersion; v < SCHEMA_VERSION; v++) {
+    current = MIGRATIONS[v](current);
+  }
+  return current;
+}
+
+function readLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        logger.error('Ledger: skipping corrupt line', { file, line: i + 1 });
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Open (or create) the ledger at `file`.
+ */
+function openLedger({ file, retentionDays = 0 }) {
+  const byTx = new Map();
+  const byPayer = new Map();
+  let createdAt = Date.now();
+
+  function index(record) {
+    const txHash = record.txHash.toLowerCase();
+    byTx.set(txHash, record);
+    const payer = record.payer?.toLowerCase();
+    if (payer) {
+      if (!byPayer.has(payer)) byPayer.set(payer, new Set());
+      byPayer.get(payer).add(txHash);
+    }
+  }
+
+  function unindex(txHash) {
+    const record = byTx.get(txHash);
+    if (!record) return;
+    byTx.delete(txHash);
+    byPayer.get(record.payer?.toLowerCase())?.delete(txHash);
+  }
+
+  function header() {
+    return { type: 'header', schemaVersion: SCHEMA_VERSION, createdAt };
+  }
+
+  function compact() {
+    if (retentionDays > 0) {
+      const cutoff = Date.now() - retentionDays * DAY_MS;
+      for (const [txHash, record] of byTx) {
+        if (!record.lifetime && record.verifiedAt < cutoff) unindex(txHash);
+      }
+    }
+
+    const lines = [header(), ...byTx.values()].map(r => JSON.stringify(r));
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, lines.join('\n') + '\n');
+    fs.renameSync(tmp, file);
+  }
+
+  // ─── Load + migrate ─────────────────────────────────────────────
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const lines = readLines(file);
+  if (lines.length && lines[0].type !== 'header') {
+    throw new Error(`Ledger ${file} does not start with a header line`);
+  }
+  const fileVersion = lines[0]?.schemaVersion ?? SCHEMA_VERSION;
+  if (lines[0]?.createdAt) createdAt = lines[0].createdAt;
+  if (fileVersion > SCHEMA_VERSION) {
+    throw new Error(`Ledger ${file} has schema v${fileVersion}, this server supports up to v${SCHEMA_VERSION}`);
+  }
+
+  for (const line of lines) {
+    if (line.type === 'header') continue;
+    if (!line.txHash) continue;
+    index(migrate(line, fileVersion));
+  }
+
+  if (fileVersion !== SCHEMA_VERSION) {
+    logger.info('Ledger: migrated', { file, from: fileVersion, to: SCHEMA_VERSION, payments: byTx.size });
+  }
+  compact();
+
+  const timer = setInterval(compact, DAY_MS);
+  timer.unref();
+
+  // ─── API ────────────────────────────────────────────────────────
+  function record(payment) {
+    const now = Date.now();
+    const existing = byTx.get(payment.txHash.toLowerCase());
+    const entry = {
+      type: 'payment',
+      ...existing,
+      ...payment,
+      txHash: payment.txHash.toLowerCase(),
+      verifiedAt: existing?.verifiedAt || payment.verifiedAt || now,
+      updatedAt: now,
+    };
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    index(entry);
+    return entry;
+  }
+
+  /**
+   * Move a payment to `status`, merging `changes` and noting the change
+   * (with an optional `reason`) in its statusHistory.
+   */
+  function transition(txHash, status, { reason, ...changes } = {}) {
+    const existing = byTx.get(txHash.toLowerCase());
+    const next = { ...changes, txHash, status };
+    if (existing?.status !== status) {
+      next.statusReason = reason || null;
+      next.statusHistory = [...(existing?.statusHistory || []), { status, at: Date.now(), ...(reason ? { reason } : {}) }];
+    }
+    return record(next);
+  }
+
+  function get(txHash) {
+    return byTx.get(txHash.toLowerCase()) || null;
+  }
+
+  function findByPayer(payer) {
+    const hashes = byPayer.get(payer.toLowerCase());
+    return hashes ? [...hashes].map(h => byTx.get(h)) : [];
+  }
+
+  function findByStatus(status) {
+    return [...byTx.values()].filter(record => record.status === status);
+  }
+
+  /**
+   * Records matching every given field, newest first. `since` / `until`
+   * bound verifiedAt (ms).
+   */
+  function search({ payer, vault, resourceId, creator, status, since, until, limit = 100 } = {}) {
+    const records = payer ? findByPayer(payer) : [...byTx.values()];
+    return records
+      .filter(r => !vault || r.vault?.toLowerCase() === vault.toLowerCase())
+      .filter(r => !resourceId || r.resourceId === resourceId)
+      .filter(r => !creator || r.creator?.toLowerCase() === creator.toLowerCase())
+      .filter(r => !status || r.status === status)
+      .filter(r => !since || r.verifiedAt >= since)
+      .filter(r => !until || r.verifiedAt < until)
+      .sort((a, b) => b.verifiedAt - a.verifiedAt)
+      .slice(0, limit);
+  }
+
+  function close() {
+    clearInterval(timer);
+  }
+
+  return { record, transition, get, findByPayer, findByStatus, search, compact, close, size: () => byTx.size };
+}
+
+module.exports = { SCHEMA_VERSION, NATIVE_TOKEN, PAYMENT_STATUS, openLedger };
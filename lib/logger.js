@@ -0,0 +1,64 @@
+/**
+ * Structured logs — one JSON object per line on stdout:
+ *
+ *   {"time":"2026-…","level":"info","msg":"Payment verified","requestId":"…","txHash":"0x…"}
+ *
+ * LOG_LEVEL (debug | info | warn | error, default info) drops quieter lines.
+ * LOG_FORMAT=pretty prints `time level msg key=value …` instead, for local
+ * runs. child(fields) returns a logger that adds `fields` to every line;
+ * server.js gives each request one carrying its request ID.
+ *
+ * Error values are written as { message, code?, stack }.
+ */
+
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function serialize(value) {
+  if (value instanceof Error) {
+    return { message: value.message, ...(value.code !== undefined ? { code: value.code } : {}), stack: value.stack };
+  }
+  if (typeof value === 'bigint') return value.toString();
+  return value;
+}
+
+function createLogger({
+  level = 'info',
+  format = 'json',
+  fields = {},
+  write = line => process.stdout.write(line + '\n'),
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function emit(lineLevel, msg, extra = {}) {
+    if (LEVELS[lineLevel] < threshold) return;
+    const line = { time: new Date().toISOString(), level: lineLevel, msg, ...fields };
+    for (const [key, value] of Object.entries(extra)) line[key] = serialize(value);
+
+    if (format === 'pretty') {
+      const { time, level: lvl, msg: text, ...rest } = line;
+      const pairs = Object.entries(rest).map(([k, v]) => `${k}=${typeof v === 'string' ? v : util.inspect(v, { breakLength: Infinity })}`);
+      write([time, lvl.toUpperCase().padEnd(5), text, ...pairs].join(' '));
+      return;
+    }
+    write(JSON.stringify(line));
+  }
+
+  return {
+    debug: (msg, extra) => emit('debug', msg, extra),
+    info: (msg, extra) => emit('info', msg, extra),
+    warn: (msg, extra) => emit('warn', msg, extra),
+    error: (msg, extra) => emit('error', msg, extra),
+    child: extra => createLogger({ level, format, fields: { ...fields, ...extra }, write }),
+    pretty: format === 'pretty',
+  };
+}
+
+// The process-wide logger, configured from the environment.
+const logger = createLogger({
+  level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+  format: (process.env.LOG_FORMAT || 'json').toLowerCase(),
+});
+
+module.exports = { LEVELS, createLogger, logger };
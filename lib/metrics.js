@@ -0,0 +1,135 @@
+/**
+ * Prometheus metrics — counters, histograms and scrape-time gauges, rendered
+ * in the text exposition format (version 0.0.4) for GET /metrics.
+ *
+ *   const metrics = createMetrics({ prefix: 'a402_' });
+ *   const verifications = metrics.counter('verifications_total', 'Payment verifications', ['outcome']);
+ *   verifications.inc({ outcome: 'verified' });
+ *   metrics.histogram('rpc_request_duration_seconds', 'RPC latency', ['method']).observe({ method }, 0.12);
+ *   metrics.gauge('rpc_endpoint_up', 'RPC endpoint health', ['endpoint'], () => [[{ endpoint: 0 }, 1]]);
+ *   res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+ *
+ * Gauges are collected when render() runs, so they always reflect the
+ * current state. Everything lives in memory and restarts from zero, which
+ * Prometheus handles as a counter reset.
+ */
+
+const { logger } = require('./logger');
+
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(n) {
+  if (n === Infinity) return '+Inf';
+  if (n === -Infinity) return '-Inf';
+  return String(n);
+}
+
+function createMetrics({ prefix = '' } = {}) {
+  const registered = [];
+
+  function register(type, name, help, labelNames) {
+    const metric = { type, name: prefix + name, help, labelNames, series: new Map() };
+    registered.push(metric);
+    return metric;
+  }
+
+  // Series are keyed by their label values, in labelNames order.
+  function seriesFor(metric, labels, init) {
+    const values = metric.labelNames.map(name => labels[name] ?? '');
+    const key = JSON.stringify(values);
+    if (!metric.series.has(key)) metric.series.set(key, { values, ...init() });
+    return metric.series.get(key);
+  }
+
+  /**
+   * A monotonically increasing count: inc(labels, amount = 1).
+   */
+  function counter(name, help, labelNames = []) {
+    const metric = register('counter', name, help, labelNames);
+    return {
+      inc(labels = {}, amount = 1) {
+        if (!(amount >= 0)) return;
+        seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+      },
+    };
+  }
+
+  /**
+   * A distribution over fixed upper bounds: observe(labels, value).
+   */
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const metric = register('histogram', name, help, labelNames);
+    metric.buckets = [...buckets].sort((a, b) => a - b);
+    return {
+      observe(labels, value) {
+        const s = seriesFor(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+        metric.buckets.forEach((bound, i) => { if (value <= bound) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+      },
+    };
+  }
+
+  /**
+   * A value read at scrape time: collect() returns [[labels, value], …].
+   */
+  function gauge(name, help, labelNames, collect) {
+    register('gauge', name, help, labelNames).collect = collect;
+  }
+
+  function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+    if (metric.type === 'gauge') {
+      for (const [labels, value] of metric.collect()) {
+        lines.push(`${metric.name}${formatLabels(metric.labelNames, metric.labelNames.map(n => labels[n]))} ${formatValue(value)}`);
+      }
+      return lines;
+    }
+
+    for (const s of metric.series.values()) {
+      if (metric.type === 'counter') {
+        lines.push(`${metric.name}${formatLabels(metric.labelNames, s.values)} ${formatValue(s.value)}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, s.values, `le="${formatValue(bound)}"`)} ${s.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, s.values)} ${formatValue(s.sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(metric.labelNames, s.values)} ${s.count}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Every metric in the text exposition format. A gauge whose collect()
+   * throws is left out of that scrape.
+   */
+  function render() {
+    const lines = [];
+    for (const metric of registered) {
+      try {
+        lines.push(...renderMetric(metric));
+      } catch (err) {
+        logger.error('Metrics: cannot collect', { metric: metric.name, err: err.message });
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+module.exports = { METRICS_CONTENT_TYPE, createMetrics };
@@ -0,0 +1,306 @@
+/**
+ * Fiat pricing — resources priced in USD (or another fiat currency) are sold
+ * for the APTM amount that is worth at the current exchange rate.
+ *
+ * A price feed reads rates through an adapter, an object with
+ * `fetchRates()` resolving to the fiat value of one APTM per currency:
+ *
+ *   { "rates": { "USD": "0.42", "EUR": "0.39" } }
+ *
+ * Two adapters ship here, both reading that JSON:
+ *   fileRates(file)   a local file, re-read on every refresh — the stand-in
+ *                     for offline use, tests and hand-set rates
+ *   httpRates(url)    an HTTP(S) endpoint, e.g. a small service in front of
+ *                     an exchange API
+ * adapterFor(source) picks one from a PRICE_FEED value. Any other source
+ * plugs in by passing its own adapter to createPriceFeed().
+ *
+ * Quotes pin the converted price for a while: payment-info hands one out
+ * and /verify accepts one payment of at least its price less the slippage
+ * tolerance until it expires (createQuoteBook below).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { formatUnits } = require('./erc20');
+const { parseDuration } = require('./rental');
+const { logger } = require('./logger');
+
+const CURRENCY_RE = /^[A-Z]{3}$/;
+const RATE_DECIMALS = 18;
+const BPS = 10_000n;
+
+// ─── Conversion ───────────────────────────────────────────────────
+/**
+ * A positive decimal (string or number) as a plain decimal string, or null.
+ */
+function decimalString(value) {
+  const s = typeof value === 'number' && Number.isFinite(value)
+    ? value.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 })
+    : typeof value === 'string' ? value.trim() : '';
+  return /^\d+(\.\d+)?$/.test(s) && /[1-9]/.test(s) ? s : null;
+}
+
+function toUnits(decimal, decimals) {
+  const [whole, frac = ''] = decimal.split('.');
+  return BigInt(whole + frac.padEnd(decimals, '0').slice(0, decimals));
+}
+
+/**
+ * APTM wei worth `fiatAmount` when one APTM is worth `rate`, rounded up so
+ * the creator never receives less than the fiat price.
+ */
+function fiatToWei(fiatAmount, rate) {
+  const amount = toUnits(fiatAmount, RATE_DECIMALS);
+  const perAptm = toUnits(rate, RATE_DECIMALS);
+  const scale = 10n ** 18n;
+  return ((amount * scale + perAptm - 1n) / perAptm).toString();
+}
+
+/**
+ * `wei` less `slippageBps` basis points, rounded down.
+ */
+function withSlippage(wei, slippageBps) {
+  return (BigInt(wei) * (BPS - BigInt(slippageBps)) / BPS).toString();
+}
+
+// ─── Adapters ─────────────────────────────────────────────────────
+function fileRates(file) {
+  const resolved = path.resolve(file);
+  return {
+    source: resolved,
+    async fetchRates() {
+      return JSON.parse(await fs.promises.readFile(resolved, 'utf8'));
+    },
+  };
+}
+
+function httpRates(url, { timeoutMs = 5000 } = {}) {
+  return {
+    source: url,
+    async fetchRates() {
+      const response = await fetch(url, {
+        headers: { Accept: 'application/json', 'User-Agent': 'A402-PriceFeed/1' },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) throw new Error(`${url} answered HTTP ${response.status}`);
+      return response.json();
+    },
+  };
+}
+
+/**
+ * The adapter for a PRICE_FEED value: an http(s) URL or a file path.
+ */
+function adapterFor(source) {
+  return /^https?:\/\//.test(source) ? httpRates(source) : fileRates(source);
+}
+
+/**
+ * Validate what an adapter returned. Returns { USD: '0.42', … } or throws.
+ */
+function parseRates(body) {
+  const listed = body?.rates;
+  if (!listed || typeof listed !== 'object' || Array.isArray(listed)) throw new Error('expected a "rates" object');
+  const rates = {};
+  for (const [code, value] of Object.entries(listed)) {
+    const currency = code.toUpperCase();
+    const rate = decimalString(value);
+    if (!CURRENCY_RE.test(currency)) throw new Error(`${code} is not a 3-letter currency code`);
+    if (!rate) throw new Error(`${code}: ${JSON.stringify(value)} is not a positive rate`);
+    rates[currency] = rate;
+  }
+  if (!Object.keys(rates).length) throw new Error('no rates listed');
+  return rates;
+}
+
+// ─── Feed ─────────────────────────────────────────────────────────
+/**
+ * createPriceFeed({ adapter, intervalMs, maxAgeMs, onUpdate })
+ *
+ * Refreshes rates every intervalMs and calls onUpdate(rates) after each
+ * successful read. A failed read keeps the last rates; status() reports
+ * them stale once they are older than maxAgeMs.
+ */
+function createPriceFeed({ adapter, intervalMs = 60_000, maxAgeMs = 10 * 60_000, onUpdate = () => {} }) {
+  let rates = null;
+  let fetchedAt = null;
+  let lastError = null;
+  let timer = null;
+
+  async function refresh() {
+    try {
+      rates = parseRates(await adapter.fetchRates());
+      fetchedAt = Date.now();
+      lastError = null;
+    } catch (err) {
+      lastError = err.message;
+      logger.warn('Price feed: keeping the last rates', { source: adapter.source, err: err.message });
+      return false;
+    }
+    onUpdate(rates);
+    return true;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(refresh, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function status() {
+    const ageMs = fetchedAt ? Date.now() - fetchedAt : null;
+    return {
+      source: adapter.source || null,
+      rates,
+      fetchedAt,
+      ageSeconds: ageMs === null ? null : Math.floor(ageMs / 1000),
+      stale: ageMs === null || ageMs > maxAgeMs,
+      lastError,
+    };
+  }
+
+  return { refresh, start, stop, rates: () => rates, status };
+}
+
+// ─── Quotes ───────────────────────────────────────────────────────
+/**
+ * createQuoteBook({ config, maxQuotes })
+ *
+ * issue(entry) pins a fiat-priced entry's current APTM price:
+ *
+ *   { id: 'q_…', vault, resourceId, fiatPrice, fiatCurrency, rate,
+ *     price, priceWei, minAmountWei, slippageBps, issuedAt, expiresAt }
+ *
+ * minAmountWei is priceWei less config.slippageBps; expiresAt is
+ * config.quoteTtl after issue. Both are read per quote, so a reloaded
+ * config applies to new quotes. Quotes live in memory until they expire;
+ * past maxQuotes the oldest are dropped.
+ *
+ * A quote pays for one transaction: claim(id, entry, txHash) checks it and
+ * reserves it for txHash, release(id, txHash) gives it back when that
+ * transaction turns out not to pay.
+ */
+function createQuoteBook({ config, maxQuotes = 10_000 }) {
+  const quotes = new Map();
+
+  function prune(now) {
+    for (const [id, quote] of quotes) {
+      if (quote.expiresAt > now && quotes.size < maxQuotes) break;
+      quotes.delete(id);
+    }
+  }
+
+  function issue(entry) {
+    const now = Date.now();
+    prune(now);
+    const quote = {
+      id: `q_${crypto.randomBytes(12).toString('hex')}`,
+      vault: entry.vault,
+      resourceId: entry.resourceId,
+      fiatPrice: entry.fiatPrice,
+      fiatCurrency: entry.fiatCurrency,
+      rate: entry.rate,
+      price: entry.price,
+      priceWei: entry.priceWei,
+      minAmountWei: withSlippage(entry.priceWei, config.slippageBps),
+      slippageBps: config.slippageBps,
+      issuedAt: now,
+      expiresAt: now + parseDuration(config.quoteTtl) * 1000,
+    };
+    quotes.set(quote.id, quote);
+    return quote;
+  }
+
+  /**
+   * The quote `id` for `entry`, unless another transaction holds it:
+   * { ok: true, quote } or { ok: false, error }.
+   */
+  function check(id, entry, txHash = null) {
+    const quote = quotes.get(id);
+    if (!quote) return { ok: false, error: 'Unknown quote — request a new one from payment-info' };
+    if (quote.vault.toLowerCase() !== entry.vault.toLowerCase() || quote.resourceId !== entry.resourceId) {
+      return { ok: false, error: 'Quote is for a different resource' };
+    }
+    if (quote.txHash && quote.txHash !== txHash?.toLowerCase()) {
+      return { ok: false, error: 'Quote already used for another payment — request a new one from payment-info' };
+    }
+    if (quote.expiresAt <= Date.now()) return { ok: false, error: 'Quote expired — request a new one from payment-info' };
+    return { ok: true, quote };
+  }
+
+  /**
+   * check() the quote and reserve it for txHash.
+   */
+  function claim(id, entry, txHash) {
+    const result = check(id, entry, txHash);
+    if (result.ok) result.quote.txHash = txHash.toLowerCase();
+    return result;
+  }
+
+  function release(id, txHash) {
+    const quote = quotes.get(id);
+    if (quote && quote.txHash === txHash.toLowerCase()) delete quote.txHash;
+  }
+
+  return { issue, check, claim, release, size: () => quotes.size };
+}
+
+/**
+ * Ledger fields recording the quote a payment was checked against.
+ */
+function quoteFields(quote) {
+  if (!quote) return {};
+  return {
+    quoteId: quote.id,
+    fiatPrice: quote.fiatPrice,
+    fiatCurrency: quote.fiatCurrency,
+    rate: quote.rate,
+    minAmountWei: quote.minAmountWei,
+  };
+}
+
+/**
+ * The quote a ledger record was checked against (the inverse of
+ * quoteFields), or null when it was paid at the listed price.
+ */
+function quoteOf(payment) {
+  if (!payment?.quoteId) return null;
+  return {
+    id: payment.quoteId,
+    fiatPrice: payment.fiatPrice,
+    fiatCurrency: payment.fiatCurrency,
+    rate: payment.rate,
+    minAmountWei: payment.minAmountWei,
+  };
+}
+
+/**
+ * The APTM price fields of a fiat-priced entry at `rate`.
+ */
+function priceAt(fiatPrice, rate) {
+  const priceWei = fiatToWei(fiatPrice, rate);
+  return { rate, price: formatUnits(priceWei, 18), priceWei };
+}
+
+module.exports = {
+  CURRENCY_RE,
+  decimalString,
+  fiatToWei,
+  withSlippage,
+  priceAt,
+  fileRates,
+  httpRates,
+  adapterFor,
+  parseRates,
+  createPriceFeed,
+  createQuoteBook,
+  quoteFields,
+  quoteOf,
+};
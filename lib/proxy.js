@@ -0,0 +1,151 @@
+/**
+ * Gated content proxy — streams protected bytes so the origin stays private.
+ *
+ * Instead of the raw IPFS / direct video URL, paying viewers get a signed,
+ * expiring link:
+ *
+ *   /api/stream/<token>/<file name>
+ *
+ * The token names the catalog entry and the viewer, never the origin. It
+ * must be opened within ttlSeconds (five minutes by default); playback that
+ * started in time keeps working past that — seeking, buffering, HLS segments
+ * all reuse the link — until the link goes unused for idleSeconds. Started
+ * links are remembered in memory, per instance. The
+ * stream route resolves the origin server-side and pipes it through,
+ * forwarding Range requests so MP4/WebM seeking works (206 Partial Content).
+ * IPFS refs are passed through the configured gateway the same way.
+ *
+ * Relative sub-paths (/api/stream/<token>/seg-001.ts) resolve against the
+ * origin's directory, so HLS playlists with relative segment URLs keep
+ * working. Paths that would escape that directory are refused.
+ *
+ * YouTube refs cannot be proxied (the player is an iframe) and are returned
+ * unchanged.
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { logger } = require('./logger');
+
+const PROXIED_TYPES = new Set(['ipfs', 'direct']);
+const MAX_PLAYING = 10000;
+
+// Response headers copied from the origin.
+const PASSTHROUGH_HEADERS = [
+  'content-type',
+  'content-length',
+  'content-range',
+  'accept-ranges',
+  'etag',
+  'last-modified',
+];
+
+function createContentProxy({ secret, ttlSeconds = 300, idleSeconds = 1800 }) {
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    logger.warn('STREAM_URL_SECRET not set — using a random secret; stream links will not survive a restart or work across instances');
+  }
+
+  // Links whose playback has started: signature → last request (ms), oldest
+  // use first
+  const playing = new Map();
+
+  function touch(key, now) {
+    playing.delete(key);
+    playing.set(key, now);
+    for (const [oldKey, seen] of playing) {
+      if (seen > now - idleSeconds * 1000 && playing.size <= MAX_PLAYING) break;
+      playing.delete(oldKey);
+    }
+  }
+
+  function sign(data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+  }
+
+  /**
+   * Signed stream path for `viewer` watching `entry`'s origin `originUrl`.
+   */
+  function signPath(entry, viewer, originUrl) {
+    const claims = {
+      v: entry.vault.toLowerCase(),
+      r: entry.resourceId,
+      a: viewer?.toLowerCase() || null,
+      exp: Math.floor(Date.now() / 1000) + ttlSeconds,
+    };
+    const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const fileName = decodeURIComponent(new URL(originUrl).pathname.split('/').pop()) || 'content';
+    return `/api/stream/${body}.${sign(body)}/${encodeURIComponent(fileName)}`;
+  }
+
+  /**
+   * Verify a stream token: opened before `exp`, or playing since then
+   * without a gap of idleSeconds. Returns { vault, resourceId, viewer, exp }
+   * or throws.
+   */
+  function verifyToken(token) {
+    const [body, signature] = String(token).split('.');
+    const expected = Buffer.from(sign(body || ''));
+    const actual = Buffer.from(signature || '');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new Error('Invalid stream link');
+    }
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    const now = Date.now();
+    if (claims.exp * 1000 <= now && !(playing.get(signature) > now - idleSeconds * 1000)) {
+      throw new Error('Stream link expired');
+    }
+    touch(signature, now);
+    return { vault: claims.v, resourceId: claims.r, viewer: claims.a, exp: claims.exp };
+  }
+
+  /**
+   * Resolve the requested sub-path against the origin. The first segment is
+   * the origin's own file name, so `[fileName]` maps back to the origin itself.
+   */
+  function resolveTarget(originUrl, segments) {
+    const origin = new URL(originUrl);
+    if (!segments?.length) return origin;
+    const target = new URL(segments.map(encodeURIComponent).join('/'), origin);
+    const baseDir = origin.href.slice(0, origin.href.lastIndexOf('/') + 1);
+    if (target.origin !== origin.origin || !target.href.startsWith(baseDir)) return null;
+    // Same file as the origin: keep its query string (e.g. pre-signed URLs)
+    return target.pathname === origin.pathname ? origin : target;
+  }
+
+  /**
+   * Pipe `target` to `res`, forwarding the client's Range header.
+   */
+  async function stream(req, res, target) {
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    const headers = { 'accept-encoding': 'identity' };
+    if (req.get('range')) headers.range = req.get('range');
+    if (req.get('if-range')) headers['if-range'] = req.get('if-range');
+
+    const upstream = await fetch(target, { headers, signal: controller.signal, redirect: 'follow' });
+
+    if (!upstream.ok && upstream.status !== 206) {
+      return res.status([404, 416].includes(upstream.status) ? upstream.status : 502).json({
+        error: `Origin responded with HTTP ${upstream.status}`,
+      });
+    }
+
+    res.status(upstream.status);
+    for (const name of PASSTHROUGH_HEADERS) {
+      const value = upstream.headers.get(name);
+      if (value) res.set(name, value);
+    }
+    res.set('cache-control', 'private, no-store');
+
+    if (!upstream.body) return res.end();
+    Readable.fromWeb(upstream.body)
+      .on('error', () => res.destroy())
+      .pipe(res);
+  }
+
+  return { signPath, verifyToken, resolveTarget, stream };
+}
+
+module.exports = { PROXIED_TYPES, createContentProxy };
@@ -0,0 +1,63 @@
+/**
+ * In-memory rate limits for routes that fan out to the RPC.
+ *
+ * Each key (an IP, an address) gets a token bucket holding `max` requests
+ * that refills evenly over windowMs: a client can burst up to `max` and then
+ * keeps `max` per window. take(key) spends one request:
+ *
+ *   const limiter = createRateLimiter({ max: 60, windowMs: 60_000 });
+ *   const verdict = limiter.take(req.ip);
+ *   // → { ok: true, remaining } | { ok: false, remaining: 0, retryAfterSeconds }
+ *
+ * Buckets that have refilled are swept every windowMs, so memory follows the
+ * number of recently active keys. max = 0 disables the limiter.
+ */
+
+function createRateLimiter({ max, windowMs = 60_000 }) {
+  const buckets = new Map();
+  const ratePerMs = max / windowMs;
+  let timer = null;
+
+  function refill(bucket, now) {
+    bucket.tokens = Math.min(max, bucket.tokens + (now - bucket.at) * ratePerMs);
+    bucket.at = now;
+  }
+
+  function sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      refill(bucket, now);
+      if (bucket.tokens >= max) buckets.delete(key);
+    }
+  }
+
+  function take(key) {
+    if (!max) return { ok: true, remaining: Infinity };
+    if (!timer) {
+      timer = setInterval(sweep, windowMs);
+      timer.unref();
+    }
+
+    const now = Date.now();
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: max, at: now };
+      buckets.set(key, bucket);
+    }
+    refill(bucket, now);
+
+    if (bucket.tokens < 1) {
+      return { ok: false, remaining: 0, retryAfterSeconds: Math.max(1, Math.ceil((1 - bucket.tokens) / ratePerMs / 1000)) };
+    }
+    bucket.tokens -= 1;
+    return { ok: true, remaining: Math.floor(bucket.tokens) };
+  }
+
+  function stats() {
+    return { max, windowMs, trackedKeys: buckets.size };
+  }
+
+  return { take, stats };
+}
+
+module.exports = { createRateLimiter };
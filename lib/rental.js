@@ -0,0 +1,106 @@
+/**
+ * Rental terms for non-lifetime resources.
+ *
+ * A catalog entry may limit each payment to a time window (`rentalWindow`,
+ * e.g. "24h", "7d", or seconds) and/or a number of views (`maxViews`). The
+ * window starts at the paying block's timestamp (`paidAt` in the ledger);
+ * a view is one delivery of the content to the payer. Lifetime resources
+ * and entries without terms are never limited.
+ *
+ * check-access, /verify and /video all deliver the content, and one watch
+ * usually calls more than one of them. Deliveries within `viewWindowSeconds`
+ * of the last counted view are the same view and are not counted again.
+ *
+ * Views are counted in the ledger record (`views`, and `viewedAt` for the
+ * last counted one), so they survive restarts.
+ */
+
+const UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60, w: 7 * 24 * 60 * 60 };
+
+/**
+ * "90m" / "24h" / "7d" / "2w" / "3600" / 3600 → seconds; 0 for none.
+ * Throws on anything else.
+ */
+function parseDuration(value) {
+  if (value == null || value === '' || value === 0) return 0;
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return Math.floor(value);
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhdw]?)$/i);
+  if (!match) throw new Error(`Invalid duration "${value}" (use e.g. 3600, 90m, 24h, 7d)`);
+  return Math.floor(Number(match[1]) * UNITS[(match[2] || 's').toLowerCase()]);
+}
+
+function hasTerms(entry) {
+  return !entry.lifetimeAccess && (entry.rentalSeconds > 0 || entry.maxViews > 0);
+}
+
+// Ledger records from before rentals have no paidAt; verification time is
+// the closest thing.
+function paidAtMs(payment) {
+  return payment.paidAt || payment.verifiedAt;
+}
+
+// Whether `now` is within the view window of the last counted view
+function inView(payment, now, viewWindowSeconds) {
+  return payment.viewedAt > now - viewWindowSeconds * 1000;
+}
+
+/**
+ * Where `payment` stands against `entry`'s terms at `now` (ms):
+ * { active, expiresAt, remainingSeconds, views, maxViews, remainingViews, reason? },
+ * where `active` says whether the payment still grants access. The last
+ * view stays open for `viewWindowSeconds` after it was counted.
+ * Returns null when the entry has no terms.
+ */
+function rentalStatus(entry, payment, now = Date.now(), viewWindowSeconds = 0) {
+  if (!hasTerms(entry)) return null;
+
+  const views = payment.views || 0;
+  const expiresMs = entry.rentalSeconds > 0 ? paidAtMs(payment) + entry.rentalSeconds * 1000 : null;
+  const status = {
+    active: true,
+    expiresAt: expiresMs ? new Date(expiresMs).toISOString() : null,
+    remainingSeconds: expiresMs ? Math.max(0, Math.floor((expiresMs - now) / 1000)) : null,
+    views,
+    maxViews: entry.maxViews || null,
+    remainingViews: entry.maxViews > 0 ? Math.max(0, entry.maxViews - views) : null,
+  };
+
+  if (expiresMs && now >= expiresMs) return { ...status, active: false, reason: 'Rental period has ended' };
+  if (entry.maxViews > 0 && views >= entry.maxViews && !inView(payment, now, viewWindowSeconds)) return { ...status, active: false, reason: 'All views for this payment are used' };
+  return status;
+}
+
+function createRentals({ ledger, viewWindowSeconds = 300 }) {
+  function status(entry, payment, now = Date.now()) {
+    return rentalStatus(entry, payment, now, viewWindowSeconds);
+  }
+
+  /**
+   * The payment (of `payments` for `entry`) to serve from: the most recent
+   * active one, else the most recent one. null when there are none.
+   */
+  function pickPayment(entry, payments) {
+    const sorted = [...payments].sort((a, b) => paidAtMs(b) - paidAtMs(a));
+    if (!hasTerms(entry)) return sorted[0] || null;
+    return sorted.find(p => status(entry, p).active) || sorted[0] || null;
+  }
+
+  /**
+   * Check `payment` and count one view, unless the last one is still open.
+   * Returns { ok: true, rental } (rental is null for unlimited entries) or
+   * { ok: false, rental, error }.
+   */
+  function useView(entry, payment, now = Date.now()) {
+    const before = status(entry, payment, now);
+    if (!before) return { ok: true, rental: null };
+    if (!before.active) return { ok: false, rental: before, error: before.reason };
+    if (inView(payment, now, viewWindowSeconds)) return { ok: true, rental: before };
+
+    const updated = ledger.record({ txHash: payment.txHash, views: (payment.views || 0) + 1, viewedAt: now });
+    return { ok: true, rental: status(entry, updated, now) };
+  }
+
+  return { pickPayment, useView, status };
+}
+
+module.exports = { parseDuration, hasTerms, rentalStatus, createRentals };
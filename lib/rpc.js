@@ -0,0 +1,292 @@
+/**
+ * JSON-RPC client for Apertum with failover, timeouts, retries, batching and
+ * a read cache.
+ *
+ *   const rpc = createRpcClient({ urls: [primary, backup] });
+ *   await rpc.call('eth_blockNumber', []);
+ *   await rpc.call('eth_call', [tx, 'latest'], { cacheTtlMs: 15000 });
+ *   await rpc.batch([['eth_getBlockByNumber', ['0x1', false]], …]);
+ *
+ * Endpoints: every call goes to the healthiest endpoint — the one with the
+ * fewest consecutive failures, in list order on a tie. An endpoint that
+ * fails is benched for cooldownMs (doubling per consecutive failure, up to
+ * 16×) and the call moves on to the next one.
+ *
+ * Retries: transport failures, timeouts, HTTP 429 / 5xx and JSON-RPC
+ * "server busy" style errors are retried up to `retries` times with
+ * exponential backoff (backoffMs · 2^n, ±20% jitter). Application errors
+ * (reverts, invalid params) are thrown straight away.
+ *
+ * Batching: calls issued in the same tick are sent as one JSON-RPC batch.
+ * Endpoints that answer a batch with something other than an array are
+ * remembered and get individual requests from then on.
+ *
+ * Cache: call(…, { cacheTtlMs, cacheIf }) keeps the result for cacheTtlMs
+ * (when cacheIf(result) allows) and shares in-flight requests for the same
+ * key.
+ *
+ * Observing: onCall({ method, durationMs, error }) runs once per call that
+ * reaches the network (cache hits excluded), after retries and failover.
+ * status() names endpoints by index and host only: RPC URLs often carry a
+ * provider API key in their path or query.
+ */
+
+const TRANSIENT_RPC_CODES = new Set([-32005, -32603, -32000]);
+const TRANSIENT_MESSAGE = /timeout|timed out|busy|rate limit|too many requests|header not found|unavailable|try again/i;
+const MAX_CACHE_ENTRIES = 5000;
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return null;
+  }
+}
+
+// Errors carry { code?, data?, transient, url }; only transient ones are retried.
+function rpcError(message, { code, data, transient = false, url } = {}) {
+  return Object.assign(new Error(message), { code, data, transient, url });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createRpcClient({
+  urls,
+  timeoutMs = 8000,
+  retries = 2,
+  backoffMs = 250,
+  cooldownMs = 5000,
+  batching = true,
+  maxBatchSize = 50,
+  onCall = null,
+}) {
+  const list = [].concat(urls).filter(Boolean);
+  if (!list.length) throw new Error('createRpcClient requires at least one RPC URL');
+
+  const endpoints = list.map(url => ({
+    url,
+    failures: 0,
+    benchedUntil: 0,
+    noBatch: false,
+    lastError: null,
+    requests: 0,
+    errors: 0,
+  }));
+
+  let nextId = 1;
+  let queue = [];
+  let flushScheduled = false;
+  const cache = new Map();
+  const inflight = new Map();
+
+  // ─── Endpoint health ────────────────────────────────────────────
+  function ranked() {
+    const now = Date.now();
+    const ready = endpoints.filter(e => e.benchedUntil <= now);
+    const pool = ready.length ? ready : [...endpoints].sort((a, b) => a.benchedUntil - b.benchedUntil);
+    return [...pool].sort((a, b) => a.failures - b.failures);
+  }
+
+  function markHealthy(endpoint) {
+    endpoint.failures = 0;
+    endpoint.benchedUntil = 0;
+  }
+
+  function markFailed(endpoint, err) {
+    endpoint.failures++;
+    endpoint.errors++;
+    endpoint.lastError = err.message;
+    endpoint.benchedUntil = Date.now() + cooldownMs * Math.min(2 ** (endpoint.failures - 1), 16);
+  }
+
+  // ─── Transport ──────────────────────────────────────────────────
+  async function post(endpoint, body) {
+    endpoint.requests++;
+    let response;
+    try {
+      response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (err) {
+      const message = err.name === 'TimeoutError' ? `RPC timed out after ${timeoutMs} ms` : `RPC unreachable: ${err.message}`;
+      throw rpcError(message, { transient: true, url: endpoint.url });
+    }
+    if (response.status === 429 || response.status >= 500) {
+      throw rpcError(`RPC HTTP ${response.status}`, { transient: true, url: endpoint.url });
+    }
+    try {
+      return await response.json();
+    } catch {
+      throw rpcError(`RPC returned invalid JSON (HTTP ${response.status})`, { transient: true, url: endpoint.url });
+    }
+  }
+
+  function toError(error, url) {
+    const transient = TRANSIENT_RPC_CODES.has(error.code) && TRANSIENT_MESSAGE.test(error.message || '');
+    return rpcError(`RPC error: ${error.message}`, { code: error.code, data: error.data, transient, url });
+  }
+
+  /**
+   * Send `requests` ([{ method, params }]) as one batch (or one request) to
+   * the healthiest endpoints, with failover and retries. Resolves to one
+   * { result } | { error } per request, in order.
+   */
+  async function send(requests) {
+    let lastErr;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) await sleep(Math.round(backoffMs * 2 ** (attempt - 1) * (0.8 + Math.random() * 0.4)));
+
+      for (const endpoint of ranked()) {
+        try {
+          const outcomes = await sendTo(endpoint, requests);
+          // A transient per-call error (node overloaded) fails over like a transport error
+          const transient = outcomes.find(o => o.error?.transient);
+          if (transient) throw transient.error;
+          markHealthy(endpoint);
+          return outcomes;
+        } catch (err) {
+          if (!err.transient) throw err;
+          markFailed(endpoint, err);
+          lastErr = err;
+        }
+      }
+    }
+    throw lastErr;
+  }
+
+  async function sendTo(endpoint, requests) {
+    const payload = requests.map(({ method, params }) => ({ jsonrpc: '2.0', id: nextId++, method, params }));
+
+    if (payload.length === 1 || endpoint.noBatch) {
+      const outcomes = [];
+      for (const item of payload) {
+        const reply = await post(endpoint, item);
+        outcomes.push(reply.error ? { error: toError(reply.error, endpoint.url) } : { result: reply.result });
+      }
+      return outcomes;
+    }
+
+    const replies = await post(endpoint, payload);
+    if (!Array.isArray(replies)) {
+      endpoint.noBatch = true;
+      return sendTo(endpoint, requests);
+    }
+    const byId = new Map(replies.map(reply => [reply.id, reply]));
+    return payload.map(({ id }) => {
+      const reply = byId.get(id);
+      if (!reply) return { error: rpcError('RPC batch reply is missing a response', { transient: true, url: endpoint.url }) };
+      return reply.error ? { error: toError(reply.error, endpoint.url) } : { result: reply.result };
+    });
+  }
+
+  // ─── Auto-batching ──────────────────────────────────────────────
+  function flush() {
+    flushScheduled = false;
+    const pending = queue;
+    queue = [];
+    for (let i = 0; i < pending.length; i += maxBatchSize) {
+      const chunk = pending.slice(i, i + maxBatchSize);
+      send(chunk).then(
+        outcomes => outcomes.forEach((o, k) => (o.error ? chunk[k].reject(o.error) : chunk[k].resolve(o.result))),
+        err => chunk.forEach(item => item.reject(err)),
+      );
+    }
+  }
+
+  function observed(method, promise) {
+    if (!onCall) return promise;
+    const started = Date.now();
+    return promise.then(
+      value => { onCall({ method, durationMs: Date.now() - started, error: null }); return value; },
+      err => { onCall({ method, durationMs: Date.now() - started, error: err }); throw err; },
+    );
+  }
+
+  function enqueue(method, params) {
+    if (!batching) return observed(method, send([{ method, params }]).then(([o]) => { if (o.error) throw o.error; return o.result; }));
+    return observed(method, new Promise((resolve, reject) => {
+      queue.push({ method, params, resolve, reject });
+      if (!flushScheduled) {
+        flushScheduled = true;
+        setImmediate(flush);
+      }
+    }));
+  }
+
+  // ─── API ────────────────────────────────────────────────────────
+  /**
+   * One JSON-RPC call. Options: { cacheTtlMs, cacheIf(result) }.
+   */
+  function call(method, params = [], { cacheTtlMs = 0, cacheIf = () => true } = {}) {
+    if (!cacheTtlMs) return enqueue(method, params);
+
+    const key = `${method}:${JSON.stringify(params)}`;
+    const hit = cache.get(key);
+    if (hit && hit.expires > Date.now()) return Promise.resolve(hit.value);
+    if (inflight.has(key)) return inflight.get(key);
+
+    const promise = enqueue(method, params)
+      .then(value => {
+        if (cacheIf(value)) {
+          if (cache.size >= MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+          cache.set(key, { value, expires: Date.now() + cacheTtlMs });
+        }
+        return value;
+      })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Several calls in one round trip: [[method, params], …] → results, in
+   * order. Rejects with the first failing call's error.
+   */
+  async function batch(calls) {
+    const outcomes = [];
+    for (let i = 0; i < calls.length; i += maxBatchSize) {
+      const chunk = calls.slice(i, i + maxBatchSize);
+      const started = Date.now();
+      const report = (k, error) => onCall?.({ method: chunk[k][0], durationMs: Date.now() - started, error });
+      let results;
+      try {
+        results = await send(chunk.map(([method, params]) => ({ method, params })));
+      } catch (err) {
+        chunk.forEach((_, k) => report(k, err));
+        throw err;
+      }
+      results.forEach((o, k) => report(k, o.error || null));
+      outcomes.push(...results);
+    }
+    const failed = outcomes.find(o => o.error);
+    if (failed) throw failed.error;
+    return outcomes.map(o => o.result);
+  }
+
+  function invalidate(predicate = () => true) {
+    for (const key of cache.keys()) if (predicate(key)) cache.delete(key);
+  }
+
+  function status() {
+    const now = Date.now();
+    return endpoints.map((e, index) => ({
+      endpoint: index,
+      host: hostOf(e.url),
+      healthy: e.benchedUntil <= now,
+      consecutiveFailures: e.failures,
+      requests: e.requests,
+      errors: e.errors,
+      batching: !e.noBatch,
+      lastError: e.lastError && e.lastError.split(e.url).join(`<endpoint ${index}>`),
+    }));
+  }
+
+  return { call, batch, invalidate, status };
+}
+
+module.exports = { createRpcClient };
@@ -0,0 +1,145 @@
+/**
+ * secp256k1 signature recovery for Ethereum `personal_sign` signatures.
+ *
+ * Node's crypto module can verify ECDSA signatures but cannot recover a
+ * public key from one, so the curve arithmetic is done here with BigInt.
+ * Only what ecrecover needs is implemented: affine point add/double,
+ * double-and-add scalar multiplication, and y recovery from x.
+ */
+
+const { keccak256 } = require('js-sha3');
+
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const G = {
+  x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+  y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n,
+};
+
+function mod(a, m = P) {
+  const r = a % m;
+  return r >= 0n ? r : r + m;
+}
+
+function powMod(base, exp, m = P) {
+  let result = 1n;
+  base = mod(base, m);
+  while (exp > 0n) {
+    if (exp & 1n) result = (result * base) % m;
+    base = (base * base) % m;
+    exp >>= 1n;
+  }
+  return result;
+}
+
+function invert(a, m = P) {
+  return powMod(a, m - 2n, m);
+}
+
+// ─── Point arithmetic (null = point at infinity) ──────────────────
+function pointAdd(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  if (a.x === b.x) {
+    if (mod(a.y + b.y) === 0n) return null;
+    return pointDouble(a);
+  }
+  const l = mod((b.y - a.y) * invert(mod(b.x - a.x)));
+  const x = mod(l * l - a.x - b.x);
+  return { x, y: mod(l * (a.x - x) - a.y) };
+}
+
+function pointDouble(a) {
+  if (!a || a.y === 0n) return null;
+  const l = mod(3n * a.x * a.x * invert(2n * a.y));
+  const x = mod(l * l - 2n * a.x);
+  return { x, y: mod(l * (a.x - x) - a.y) };
+}
+
+function pointMultiply(point, k) {
+  let result = null;
+  let addend = point;
+  let n = mod(k, N);
+  while (n > 0n) {
+    if (n & 1n) result = pointAdd(result, addend);
+    addend = pointDouble(addend);
+    n >>= 1n;
+  }
+  return result;
+}
+
+// ─── Recovery ─────────────────────────────────────────────────────
+/**
+ * Recover the uncompressed public key (x, y) from a 32-byte message hash and
+ * an (r, s, recoveryId) signature. Returns null for invalid signatures.
+ */
+function recoverPublicKey(hash, r, s, recoveryId) {
+  if (r <= 0n || r >= N || s <= 0n || s >= N) return null;
+
+  const x = recoveryId >= 2 ? r + N : r;
+  if (x >= P) return null;
+
+  const alpha = mod(x * x * x + 7n);
+  let y = powMod(alpha, (P + 1n) / 4n);
+  if (mod(y * y) !== alpha) return null;
+  if ((y & 1n) !== BigInt(recoveryId & 1)) y = P - y;
+
+  const R = { x, y };
+  const z = mod(BigInt('0x' + Buffer.from(hash).toString('hex')), N);
+  const rInv = invert(r, N);
+  const sR = pointMultiply(R, s);
+  const zG = pointMultiply(G, z);
+  const negZG = zG ? { x: zG.x, y: mod(-zG.y) } : null;
+  return pointMultiply(pointAdd(sR, negZG), rInv);
+}
+
+function publicKeyToAddress(pub) {
+  const bytes = Buffer.from(pub.x.toString(16).padStart(64, '0') + pub.y.toString(16).padStart(64, '0'), 'hex');
+  return '0x' + keccak256(bytes).slice(-40);
+}
+
+/**
+ * EIP-55 mixed-case checksum encoding of an address.
+ */
+function toChecksumAddress(address) {
+  const lower = address.toLowerCase().replace(/^0x/, '');
+  const hash = keccak256(lower);
+  let out = '0x';
+  for (let i = 0; i < lower.length; i++) {
+    out += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return out;
+}
+
+/**
+ * EIP-191 hash of a `personal_sign` message.
+ */
+function hashPersonalMessage(message) {
+  const body = Buffer.from(message, 'utf8');
+  const prefix = Buffer.from(`\x19Ethereum Signed Message:\n${body.length}`, 'utf8');
+  return Buffer.from(keccak256.arrayBuffer(Buffer.concat([prefix, body])));
+}
+
+/**
+ * Recover the lowercase address that produced a 65-byte `personal_sign`
+ * signature over `message`. Returns null if the signature is malformed.
+ */
+function recoverPersonalSignature(message, signature) {
+  const hex = String(signature).replace(/^0x/, '');
+  if (!/^[0-9a-fA-F]{130}$/.test(hex)) return null;
+
+  const r = BigInt('0x' + hex.slice(0, 64));
+  const s = BigInt('0x' + hex.slice(64, 128));
+  let v = parseInt(hex.slice(128, 130), 16);
+  if (v >= 27) v -= 27;
+  if (v !== 0 && v !== 1) return null;
+
+  const pub = recoverPublicKey(hashPersonalMessage(message), r, s, v);
+  return pub ? publicKeyToAddress(pub) : null;
+}
+
+module.exports = {
+  toChecksumAddress,
+  hashPersonalMessage,
+  recoverPersonalSignature,
+};
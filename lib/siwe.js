@@ -0,0 +1,169 @@
+/**
+ * Sign-In with Ethereum (EIP-4361) for proving control of an address.
+ *
+ *   1. GET  /api/nonce        → server-issued, single-use nonce with expiry
+ *   2. Client builds an EIP-4361 message with that nonce and `personal_sign`s it
+ *   3. POST /api/siwe/verify  { message, signature }
+ *        → checks domain, chain ID, nonce, validity window and the recovered
+ *          signer, then opens a session bound to the proven address
+ *   4. Gated routes read the session from the X-A402-Session header
+ *
+ * Nonces and sessions live in memory; a restart simply asks users to sign in
+ * again.
+ */
+
+const crypto = require('crypto');
+const { recoverPersonalSignature } = require('./secp256k1');
+
+const SESSION_HEADER = 'X-A402-Session';
+
+const HEADER_RE = /^(?:[a-z][a-z0-9+.-]*:\/\/)?(\S+) wants you to sign in with your Ethereum account:$/;
+const FIELD_RE = /^(URI|Version|Chain ID|Nonce|Issued At|Expiration Time|Not Before|Request ID): (.+)$/;
+const TIME_FIELDS = ['Issued At', 'Expiration Time', 'Not Before'];
+// RFC 3339 date-time, as EIP-4361 requires
+const TIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})$/i;
+
+/**
+ * Parse an EIP-4361 message. Throws on malformed input.
+ */
+function parseMessage(message) {
+  const lines = String(message).split('\n');
+  const header = lines[0]?.match(HEADER_RE);
+  if (!header) throw new Error('Not an EIP-4361 message');
+
+  const address = lines[1]?.trim();
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address || '')) throw new Error('Invalid address line');
+
+  const fields = {};
+  const statement = [];
+  let i = 2;
+  for (; i < lines.length; i++) {
+    const field = lines[i].match(FIELD_RE);
+    if (field) {
+      fields[field[1]] = field[2].trim();
+    } else if (lines[i] === 'Resources:') {
+      break;
+    } else if (!Object.keys(fields).length) {
+      statement.push(lines[i]);
+    }
+  }
+
+  const resources = lines.slice(i + 1)
+    .filter(line => line.startsWith('- '))
+    .map(line => line.slice(2).trim());
+
+  for (const required of ['URI', 'Version', 'Chain ID', 'Nonce', 'Issued At']) {
+    if (!fields[required]) throw new Error(`Missing ${required}`);
+  }
+  for (const name of TIME_FIELDS) {
+    if (fields[name] && (!TIME_RE.test(fields[name]) || Number.isNaN(Date.parse(fields[name])))) {
+      throw new Error(`${name} is not an RFC 3339 timestamp`);
+    }
+  }
+
+  return {
+    domain: header[1],
+    address,
+    statement: statement.join('\n').trim() || null,
+    uri: fields['URI'],
+    version: fields['Version'],
+    chainId: Number(fields['Chain ID']),
+    nonce: fields['Nonce'],
+    issuedAt: fields['Issued At'],
+    expirationTime: fields['Expiration Time'] || null,
+    notBefore: fields['Not Before'] || null,
+    requestId: fields['Request ID'] || null,
+    resources,
+  };
+}
+
+/**
+ * In-memory nonce + session store. `clockSkewMs` is how far in the future a
+ * message's Issued At may lie.
+ */
+function createSiwe({ chainId, domain, nonceTtlMs = 5 * 60 * 1000, sessionTtlMs = 60 * 60 * 1000, clockSkewMs = 60 * 1000 }) {
+  const nonces = new Map();    // nonce → expiresAt
+  const sessions = new Map();  // sessionId → { address, expiresAt, … }
+
+  function sweep() {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of nonces) if (expiresAt <= now) nonces.delete(nonce);
+    for (const [id, session] of sessions) if (session.expiresAt <= now) sessions.delete(id);
+  }
+
+  function issueNonce() {
+    sweep();
+    const nonce = '0x' + crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + nonceTtlMs;
+    nonces.set(nonce, expiresAt);
+    return { nonce, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  function consumeNonce(nonce) {
+    const expiresAt = nonces.get(nonce);
+    nonces.delete(nonce);
+    return Boolean(expiresAt) && expiresAt > Date.now();
+  }
+
+  /**
+   * Verify a signed message for the configured domain, or for
+   * `expectedDomain` (the request Host) when none is configured — which a
+   * proxying origin controls, so production servers must configure one.
+   * Returns { session } or throws with a client-facing message.
+   */
+  function verify(message, signature, expectedDomain) {
+    const parsed = parseMessage(message);
+    const now = Date.now();
+
+    const wantedDomain = domain || expectedDomain;
+    if (parsed.domain !== wantedDomain) throw new Error(`Domain mismatch: expected ${wantedDomain}`);
+    if (parsed.version !== '1') throw new Error(`Unsupported version: ${parsed.version}`);
+    if (parsed.chainId !== chainId) throw new Error(`Wrong chain: expected ${chainId}`);
+    if (Date.parse(parsed.issuedAt) > now + clockSkewMs) throw new Error('Message issued in the future');
+    if (parsed.expirationTime && Date.parse(parsed.expirationTime) <= now) throw new Error('Message expired');
+    if (parsed.notBefore && Date.parse(parsed.notBefore) > now) throw new Error('Message not yet valid');
+
+    const signer = recoverPersonalSignature(message, signature);
+    if (!signer || signer !== parsed.address.toLowerCase()) throw new Error('Signature does not match address');
+
+    // Only burn the nonce once everything else checks out, so a typo in the
+    // domain doesn't force the user to fetch a new one.
+    if (!consumeNonce(parsed.nonce)) throw new Error('Unknown, used or expired nonce');
+
+    const expiresAt = Math.min(
+      now + sessionTtlMs,
+      parsed.expirationTime ? Date.parse(parsed.expirationTime) : Infinity,
+    );
+    const id = crypto.randomBytes(32).toString('hex');
+    const session = { id, address: signer, chainId, issuedAt: now, expiresAt };
+    sessions.set(id, session);
+    return { session };
+  }
+
+  function getSession(id) {
+    if (!id) return null;
+    const session = sessions.get(id);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      sessions.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  function endSession(id) {
+    return sessions.delete(id);
+  }
+
+  /**
+   * Express middleware: attach req.siwe (the session or null).
+   */
+  function attachSession(req, res, next) {
+    req.siwe = getSession(req.get(SESSION_HEADER));
+    next();
+  }
+
+  return { issueNonce, consumeNonce, verify, getSession, endSession, attachSession };
+}
+
+module.exports = { SESSION_HEADER, parseMessage, createSiwe };
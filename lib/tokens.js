@@ -0,0 +1,152 @@
+/**
+ * Signed, expiring access tokens (HS256 JWTs).
+ *
+ * Minted after a payment is verified (or access is proven via SIWE) and
+ * presented as `Authorization: Bearer <token>` on gated routes, so clients
+ * don't keep re-sending tx hashes.
+ *
+ * Claims:
+ *   sub   payer address (lowercase)
+ *   vault vault / verifier contract the resource lives in
+ *   rid   resourceId
+ *   mode  'lifetime' | 'session' | 'credits' (spends a prepaid balance, see credits.js)
+ *   tx    paying tx hash, when the token came from a payment
+ *   cid   client/device ID the token is pinned to, if the client sent one
+ *   jti   token ID, used for revocation
+ *   iat / exp
+ *
+ * Lifetime and credits tokens can be refreshed (even shortly after expiry)
+ * into a new token; session tokens cannot. Revoked token IDs are kept in a
+ * small JSON file until the token would have expired anyway.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const REFRESH_GRACE_SECONDS = 7 * 24 * 60 * 60;
+
+// Response header carrying a freshly minted token where the body belongs to
+// someone else (routes behind a402Paywall).
+const ACCESS_TOKEN_HEADER = 'X-A402-Access-Token';
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * createTokens({ secret, ttlSeconds, revocationFile })
+ */
+function createTokens({ secret, ttlSeconds = 900, revocationFile }) {
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    logger.warn('ACCESS_TOKEN_SECRET not set — using a random secret; tokens will not survive a restart');
+  }
+
+  // jti → exp (seconds)
+  const revoked = new Map();
+  if (revocationFile && fs.existsSync(revocationFile)) {
+    for (const [jti, exp] of Object.entries(JSON.parse(fs.readFileSync(revocationFile, 'utf8')))) {
+      revoked.set(jti, exp);
+    }
+  }
+
+  function persistRevocations() {
+    if (!revocationFile) return;
+    const now = nowSeconds();
+    for (const [jti, exp] of revoked) if (exp + REFRESH_GRACE_SECONDS < now) revoked.delete(jti);
+    fs.mkdirSync(path.dirname(revocationFile), { recursive: true });
+    fs.writeFileSync(revocationFile, JSON.stringify(Object.fromEntries(revoked)));
+  }
+
+  function sign(data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+  }
+
+  /**
+   * Mint a token for { payer, vault, resourceId, mode, txHash?, clientId? }.
+   * Returns { token, claims, expiresAt }.
+   */
+  function issue({ payer, vault, resourceId, mode, txHash, clientId }) {
+    const iat = nowSeconds();
+    const claims = {
+      sub: payer.toLowerCase(),
+      vault: vault.toLowerCase(),
+      rid: resourceId,
+      mode,
+      ...(txHash ? { tx: txHash.toLowerCase() } : {}),
+      ...(clientId ? { cid: clientId } : {}),
+      jti: crypto.randomBytes(16).toString('hex'),
+      iat,
+      exp: iat + ttlSeconds,
+    };
+    const head = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify(claims));
+    return {
+      token: `${head}.${body}.${sign(`${head}.${body}`)}`,
+      claims,
+      expiresAt: new Date(claims.exp * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Check signature and revocation. With `allowExpiredFor` seconds, tokens
+   * expired no longer ago than that still pass (used by refresh).
+   * Returns the claims or throws.
+   */
+  function verify(token, { allowExpiredFor = 0 } = {}) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) throw new Error('Malformed token');
+
+    const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new Error('Invalid token signature');
+    }
+
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    if (revoked.has(claims.jti)) throw new Error('Token revoked');
+    if (claims.exp + allowExpiredFor <= nowSeconds()) throw new Error('Token expired');
+    return claims;
+  }
+
+  function revoke(claims) {
+    revoked.set(claims.jti, claims.exp);
+    persistRevocations();
+  }
+
+  /**
+   * Exchange a (possibly recently expired) lifetime or credits token for a
+   * fresh one. The old token is revoked.
+   */
+  function refresh(token) {
+    const claims = verify(token, { allowExpiredFor: REFRESH_GRACE_SECONDS });
+    if (claims.mode === 'session') throw new Error('Only lifetime and credits tokens can be refreshed');
+    revoke(claims);
+    return issue({
+      payer: claims.sub,
+      vault: claims.vault,
+      resourceId: claims.rid,
+      mode: claims.mode,
+      txHash: claims.tx,
+      clientId: claims.cid,
+    });
+  }
+
+  /**
+   * Read `Authorization: Bearer …` from a request; null if absent.
+   */
+  function readBearer(req) {
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+  }
+
+  return { issue, verify, revoke, refresh, readBearer };
+}
+
+module.exports = { ACCESS_TOKEN_HEADER, createTokens };
@@ -0,0 +1,85 @@
+/**
+ * CreatorVaultV2 lookups through A402FactoryV2.
+ *
+ * Each creator has (at most) one vault proxy, deployed by the factory:
+ * hasVault(creator) / getVault(creator). Vaults report version() >= 2; the
+ * legacy A402Verifier has no version() and serves every creator from one
+ * contract, so it is told apart by that call.
+ *
+ *   contract kind   pay with                                           AccessPaid layout
+ *   'vault'         payForAccess(string,bytes32) / payWithToken(…)     vault-v2 (lib/events.js)
+ *   'verifier'      payForAccess(string,address,uint256,bytes32)        verifier
+ *
+ * Both expose hasAccess(string resourceId, address user). Results are cached
+ * for cacheTtlMs; a creator's vault address never changes once deployed.
+ */
+
+const { keccak256 } = require('js-sha3');
+
+const HAS_VAULT = keccak256('hasVault(address)').slice(0, 8);
+const GET_VAULT = keccak256('getVault(address)').slice(0, 8);
+const VERSION = keccak256('version()').slice(0, 8);
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Pay-call signatures per contract kind, as advertised to clients.
+const PAY_METHODS = {
+  vault: 'payForAccess(string,bytes32)',
+  verifier: 'payForAccess(string,address,uint256,bytes32)',
+};
+
+function createVaultRegistry({ rpcCall, factory, cacheTtlMs = 10 * 60 * 1000 }) {
+  const cache = new Map();
+
+  async function cached(key, load) {
+    const hit = cache.get(key);
+    if (hit && hit.expires > Date.now()) return hit.value;
+    const value = await load();
+    cache.set(key, { value, expires: Date.now() + cacheTtlMs });
+    return value;
+  }
+
+  async function call(to, data) {
+    return rpcCall('eth_call', [{ to, data: '0x' + data }, 'latest']);
+  }
+
+  function hasVault(creator) {
+    return cached(`has:${creator.toLowerCase()}`, async () => {
+      const result = await call(factory, HAS_VAULT + creator.slice(2).toLowerCase().padStart(64, '0'));
+      return Boolean(result && result !== '0x' && BigInt(result) === 1n);
+    });
+  }
+
+  /**
+   * The creator's vault address (lowercase), or null when they have none.
+   */
+  function getVault(creator) {
+    return cached(`vault:${creator.toLowerCase()}`, async () => {
+      if (!factory || !(await hasVault(creator))) return null;
+      const result = await call(factory, GET_VAULT + creator.slice(2).toLowerCase().padStart(64, '0'));
+      const vault = ('0x' + result.slice(-40)).toLowerCase();
+      return vault === ZERO_ADDRESS ? null : vault;
+    });
+  }
+
+  /**
+   * 'vault' for contracts answering version() >= 2, else 'verifier'.
+   * Throws when the chain can't be reached.
+   */
+  function contractKind(address) {
+    return cached(`kind:${address.toLowerCase()}`, async () => {
+      try {
+        const result = await call(address, VERSION);
+        return result && result !== '0x' && BigInt(result) >= 2n ? 'vault' : 'verifier';
+      } catch (err) {
+        // No version() → legacy verifier; anything else (RPC down) is not cached
+        if (/revert/i.test(err.message)) return 'verifier';
+        throw err;
+      }
+    });
+  }
+
+  return { hasVault, getVault, contractKind };
+}
+
+module.exports = { PAY_METHODS, createVaultRegistry };
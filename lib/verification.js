@@ -0,0 +1,160 @@
+/**
+ * Background verification queue — watches submitted payments until they are
+ * final.
+ *
+ * A payment whose transaction is still in the mempool, or mined but not yet
+ * `confirmations` blocks deep, is recorded in the ledger as `pending` and
+ * handed to watch(). Every intervalMs the queue settles each watched
+ * transaction again and moves it on:
+ *
+ *   settles                          → confirmed (onConfirmed is called)
+ *   still pending / not deep enough  → stays pending, confirmations updated
+ *   gone, and its sender's nonce used → replaced
+ *   gone for longer than dropAfterMs → dropped
+ *   any other settlement failure     → failed (reverted, wrong amount, …)
+ *
+ * A mined payment that a reorg takes out of the chain is simply pending
+ * again until it is re-mined. RPC errors leave the payment as it is for the
+ * next pass. Pending payments are picked up from the ledger on start(), so
+ * the queue survives restarts.
+ *
+ * subscribe(txHash, listener) calls listener(payment) with the ledger record
+ * each time the queue changes it (new confirmation count or final status).
+ */
+
+const { EventEmitter } = require('events');
+const { PAYMENT_STATUS } = require('./ledger');
+const { logger } = require('./logger');
+
+/**
+ * createVerificationQueue({ ledger, rpcCall, settle, onConfirmed, intervalMs, dropAfterMs })
+ *
+ * `settle(payment)` re-settles a ledger record against its resource and
+ * returns the facilitator settlement; `onConfirmed(payment, settlement)`
+ * records the confirmed payment.
+ */
+function createVerificationQueue({
+  ledger,
+  rpcCall,
+  settle,
+  onConfirmed,
+  intervalMs = 3000,
+  dropAfterMs = 15 * 60 * 1000,
+}) {
+  // txHash → last time the transaction was seen on-chain or in the mempool
+  const watching = new Map();
+  const changes = new EventEmitter();
+  changes.setMaxListeners(0);
+  let timer = null;
+  let running = false;
+
+  function watch(txHash) {
+    const hash = txHash.toLowerCase();
+    if (!watching.has(hash)) watching.set(hash, Date.now());
+  }
+
+  // Note the sender and nonce while the transaction is visible, so a
+  // replacement can be told apart from a drop once it is gone.
+  async function rememberSender(payment) {
+    if (payment.from && payment.nonce != null) return;
+    const tx = await rpcCall('eth_getTransactionByHash', [payment.txHash]);
+    if (tx?.from && tx.nonce != null) ledger.record({ txHash: payment.txHash, from: tx.from.toLowerCase(), nonce: Number(BigInt(tx.nonce)) });
+  }
+
+  async function handleMissing(payment) {
+    if (payment.from && payment.nonce != null) {
+      const used = Number(BigInt(await rpcCall('eth_getTransactionCount', [payment.from, 'latest'])));
+      if (used > payment.nonce) {
+        return ledger.transition(payment.txHash, PAYMENT_STATUS.replaced, {
+          reason: `Nonce ${payment.nonce} of ${payment.from} was used by another transaction`,
+        });
+      }
+    }
+    if (Date.now() - watching.get(payment.txHash) > dropAfterMs) {
+      return ledger.transition(payment.txHash, PAYMENT_STATUS.dropped, {
+        reason: `Not seen on-chain or in the mempool for ${Math.round(dropAfterMs / 1000)} s`,
+      });
+    }
+    return payment;
+  }
+
+  async function check(txHash) {
+    const payment = ledger.get(txHash);
+    if (!payment || payment.status !== PAYMENT_STATUS.pending) {
+      watching.delete(txHash);
+      return;
+    }
+
+    const settlement = await settle(payment);
+    let next = payment;
+
+    if (settlement.success) {
+      next = onConfirmed(payment, settlement);
+    } else if (settlement.errorReason === 'transaction_pending') {
+      watching.set(txHash, Date.now());
+      if (settlement.confirmations !== payment.confirmations) {
+        next = ledger.record({ txHash, confirmations: settlement.confirmations ?? 0 });
+      }
+      await rememberSender(next);
+    } else if (settlement.errorReason === 'transaction_not_found') {
+      next = await handleMissing(payment);
+    } else {
+      next = ledger.transition(txHash, PAYMENT_STATUS.failed, {
+        reason: settlement.message || settlement.errorReason,
+        failureReason: settlement.errorReason,
+      });
+    }
+
+    if (next !== payment) changes.emit(txHash, next);
+
+    if (next.status !== PAYMENT_STATUS.pending) {
+      watching.delete(txHash);
+      if (next.status !== PAYMENT_STATUS.confirmed) {
+        logger.warn('Payment not confirmed', { txHash, status: next.status, reason: next.statusReason });
+      }
+    }
+  }
+
+  // One pass over the watched payments; never overlaps itself.
+  async function drain() {
+    if (running) return;
+    running = true;
+    try {
+      for (const txHash of [...watching.keys()]) {
+        try {
+          await check(txHash);
+        } catch (err) {
+          logger.error('Verification queue: check failed', { txHash, err: err.message });
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  function subscribe(txHash, listener) {
+    const hash = txHash.toLowerCase();
+    changes.on(hash, listener);
+    return () => changes.off(hash, listener);
+  }
+
+  function start() {
+    if (timer) return;
+    for (const payment of ledger.findByStatus(PAYMENT_STATUS.pending)) watch(payment.txHash);
+    timer = setInterval(() => drain().catch(err => logger.error('Verification queue error', { err: err.message })), intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function stats() {
+    return { watching: watching.size };
+  }
+
+  return { watch, subscribe, drain, start, stop, stats };
+}
+
+module.exports = { createVerificationQueue };
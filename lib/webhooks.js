@@ -0,0 +1,478 @@
+/**
+ * Signed webhooks — payment events POSTed to creator backends.
+ *
+ * Creators register endpoints for their own address; every payment verified
+ * for that creator is queued as one delivery per matching endpoint:
+ *
+ *   POST <url>
+ *   X-A402-Event:      payment.verified
+ *   X-A402-Delivery:   <delivery id>
+ *   X-A402-Signature:  t=<unix seconds>,v1=<hex HMAC-SHA256(secret, `${t}.${body}`)>
+ *
+ *   { "id": "<delivery id>", "type": "payment.verified", "createdAt": …,
+ *     "data": { txHash, vault, resourceId, payer, creator, amount, token, decimals,
+ *               lifetime, blockNumber } }
+ *
+ * Receivers should recompute the HMAC over the raw body, reject stale `t`
+ * values and dedupe on the delivery id (a delivery can arrive more than once).
+ *
+ * Any 2xx response acknowledges a delivery. Failures are retried with
+ * exponential backoff (baseDelayMs · 2^(attempt-1), capped at maxDelayMs, ±20%
+ * jitter); after maxAttempts the delivery is moved to the dead-letter queue,
+ * where it stays until it is redelivered. Each endpoint gets its deliveries
+ * in order, one at a time; up to `concurrency` endpoints are served at once,
+ * so a slow endpoint only holds up its own queue.
+ *
+ * Targets: a creator may register up to maxEndpointsPerCreator endpoints.
+ * Their hosts must resolve to public addresses only — loopback, link-local,
+ * private (RFC 1918, ULA), CGNAT and multicast targets are refused when the
+ * endpoint is added. Every attempt resolves the host once and connects to
+ * the address it checked (publicLookup), so a DNS change — even one between
+ * the check and the connect — cannot point deliveries into the internal
+ * network. allowPrivateTargets lifts this for local development.
+ *
+ * Endpoints and deliveries share one JSON-lines file, like the ledger: the
+ * last line for an id wins, and the file is compacted on open. Acknowledged
+ * deliveries are dropped from it after retentionDays.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { logger } = require('./logger');
+
+const SIGNATURE_HEADER = 'X-A402-Signature';
+const EVENT_HEADER = 'X-A402-Event';
+const DELIVERY_HEADER = 'X-A402-Delivery';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * The X-A402-Signature value for `body` sent at `timestamp` (unix seconds).
+ */
+function signatureHeader(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+}
+
+// ─── Targets ──────────────────────────────────────────────────────
+function isPrivateIPv4(ip) {
+  const [a, b] = ip.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 || a >= 224
+    || (a === 169 && b === 254)
+    || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168)
+    || (a === 100 && b >= 64 && b <= 127)
+    || (a === 198 && (b === 18 || b === 19))
+    || (a === 192 && b === 0);
+}
+
+/**
+ * Whether `ip` is anything but a public unicast address.
+ */
+function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) return isPrivateIPv4(ip);
+  const lower = ip.toLowerCase();
+  const mapped = lower.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (mapped) {
+    if (mapped[1]) return isPrivateIPv4(mapped[1]);
+    const [hi, lo] = [parseInt(mapped[2], 16), parseInt(mapped[3], 16)];
+    return isPrivateIPv4(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+  }
+  return lower === '::' || lower === '::1'
+    || /^f[cd]/.test(lower) // fc00::/7 unique local
+    || /^fe[89ab]/.test(lower) // fe80::/10 link-local
+    || lower.startsWith('ff'); // multicast
+}
+
+/**
+ * Resolve `url`'s host and throw unless every address it has is public.
+ */
+async function assertPublicTarget(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(a => a.address);
+    } catch {
+      throw new Error(`Cannot resolve ${host}`);
+    }
+  }
+  const internal = addresses.find(isPrivateAddress);
+  if (internal) throw new Error(`Webhook URL points to a non-public address (${internal})`);
+}
+
+/**
+ * dns.lookup for outgoing deliveries that fails unless every address the
+ * host resolves to is public. The socket connects to the address checked
+ * here, so nothing can re-resolve the host in between.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const internal = addresses.find(a => isPrivateAddress(a.address));
+    if (internal) return callback(new Error(`Webhook URL points to a non-public address (${internal.address})`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * POST `body` to `url` without following redirects. Resolves to the
+ * response status once the response has been read.
+ */
+function post(url, { headers, body, timeoutMs, lookup }) {
+  const target = new URL(url);
+  return new Promise((resolve, reject) => {
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup,
+    }, (response) => {
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+      response.on('close', () => reject(new Error('Connection closed before the response ended')));
+      response.resume();
+    });
+    const timer = setTimeout(() => request.destroy(new Error(`Timed out after ${timeoutMs} ms`)), timeoutMs);
+    request.on('error', reject);
+    request.on('close', () => clearTimeout(timer));
+    request.end(body);
+  });
+}
+
+function readLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        logger.error('Webhooks: skipping corrupt line', { file, line: i + 1 });
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Endpoints are returned without their secret.
+function publicEndpoint({ type, secret, ...endpoint }) {
+  return endpoint;
+}
+
+function publicDelivery({ type, ...delivery }) {
+  return delivery;
+}
+
+function createWebhooks({
+  file,
+  maxAttempts = 8,
+  baseDelayMs = 10_000,
+  maxDelayMs = 60 * 60 * 1000,
+  timeoutMs = 10_000,
+  intervalMs = 1000,
+  retentionDays = 7,
+  maxEndpointsPerCreator = 5,
+  allowPrivateTargets = false,
+  concurrency = 8,
+}) {
+  const endpoints = new Map();
+  const deliveries = new Map();
+  const active = new Map();        // endpointId → its running queue
+  let timer = null;
+  let compactTimer = null;
+
+  function append(record) {
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+  }
+
+  function compact() {
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    for (const [id, delivery] of deliveries) {
+      if (delivery.status === 'delivered' && delivery.updatedAt < cutoff) deliveries.delete(id);
+    }
+    const lines = [...endpoints.values(), ...deliveries.values()].map(r => JSON.stringify(r));
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmp, file);
+  }
+
+  // ─── Load ───────────────────────────────────────────────────────
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  for (const line of readLines(file)) {
+    if (line.type === 'endpoint') {
+      if (line.deleted) endpoints.delete(line.id);
+      else endpoints.set(line.id, line);
+    } else if (line.type === 'delivery') {
+      deliveries.set(line.id, line);
+    }
+  }
+  compact();
+
+  function saveDelivery(delivery, changes) {
+    const next = { ...delivery, ...changes, updatedAt: Date.now() };
+    deliveries.set(next.id, next);
+    append(next);
+    return next;
+  }
+
+  function backoff(attempts) {
+    const delay = Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  // ─── Endpoints ──────────────────────────────────────────────────
+  /**
+   * Register `url` for payments to `creator`, optionally limited to one vault.
+   * Resolves to the endpoint including its signing secret (shown only here);
+   * rejects past the per-creator limit or for a non-public target.
+   */
+  async function addEndpoint({ creator, url, vault = null, description = '' }) {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('Webhook URL must be http(s)');
+    if (listEndpoints(creator).length >= maxEndpointsPerCreator) {
+      throw new Error(`At most ${maxEndpointsPerCreator} webhook endpoints per creator`);
+    }
+    if (!allowPrivateTargets) await assertPublicTarget(parsed.href);
+
+    const endpoint = {
+      type: 'endpoint',
+      id: newId('we'),
+      creator: creator.toLowerCase(),
+      url: parsed.href,
+      vault: vault ? vault.toLowerCase() : null,
+      description: String(description).slice(0, 200),
+      secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+      createdAt: Date.now(),
+    };
+    endpoints.set(endpoint.id, endpoint);
+    append(endpoint);
+    return { ...publicEndpoint(endpoint), secret: endpoint.secret };
+  }
+
+  function listEndpoints(creator) {
+    return [...endpoints.values()]
+      .filter(e => e.creator === creator.toLowerCase())
+      .map(publicEndpoint);
+  }
+
+  function getEndpoint(id) {
+    const endpoint = endpoints.get(id);
+    return endpoint ? publicEndpoint(endpoint) : null;
+  }
+
+  function removeEndpoint(id) {
+    if (!endpoints.delete(id)) return false;
+    append({ type: 'endpoint', id, deleted: true });
+    return true;
+  }
+
+  // ─── Deliveries ─────────────────────────────────────────────────
+  /**
+   * Queue `type` with `data` for every endpoint of `creator` (that matches
+   * `vault`). Returns the queued deliveries.
+   */
+  function dispatch(type, data, { creator, vault }) {
+    if (!creator) return [];
+    const queued = [];
+    for (const endpoint of endpoints.values()) {
+      if (endpoint.creator !== creator.toLowerCase()) continue;
+      if (endpoint.vault && endpoint.vault !== vault?.toLowerCase()) continue;
+
+      const now = Date.now();
+      const delivery = {
+        type: 'delivery',
+        id: newId('wd'),
+        endpointId: endpoint.id,
+        creator: endpoint.creator,
+        event: type,
+        data,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        lastStatus: null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      deliveries.set(delivery.id, delivery);
+      append(delivery);
+      queued.push(delivery);
+    }
+    if (queued.length) setImmediate(kick);
+    return queued.map(publicDelivery);
+  }
+
+  async function attempt(delivery) {
+    const endpoint = endpoints.get(delivery.endpointId);
+    if (!endpoint) {
+      return saveDelivery(delivery, { status: 'dead', lastError: 'Endpoint was removed', nextAttemptAt: null });
+    }
+
+    const body = JSON.stringify({
+      id: delivery.id,
+      type: delivery.event,
+      createdAt: new Date(delivery.createdAt).toISOString(),
+      data: delivery.data,
+    });
+    const attempts = delivery.attempts + 1;
+
+    let lastStatus = null;
+    let lastError = null;
+    try {
+      // IP literals never reach the lookup
+      if (!allowPrivateTargets && net.isIP(new URL(endpoint.url).hostname.replace(/^\[|\]$/g, ''))) {
+        await assertPublicTarget(endpoint.url);
+      }
+      lastStatus = await post(endpoint.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'A402-Webhooks/1',
+          [EVENT_HEADER]: delivery.event,
+          [DELIVERY_HEADER]: delivery.id,
+          [SIGNATURE_HEADER]: signatureHeader(endpoint.secret, body),
+        },
+        body,
+        timeoutMs,
+        lookup: allowPrivateTargets ? undefined : publicLookup,
+      });
+      if (lastStatus >= 200 && lastStatus < 300) {
+        return saveDelivery(delivery, { status: 'delivered', attempts, lastStatus, lastError: null, nextAttemptAt: null });
+      }
+      lastError = `HTTP ${lastStatus}`;
+    } catch (err) {
+      lastError = err.message;
+    }
+
+    if (attempts >= maxAttempts) {
+      logger.error('Webhook dead-lettered', { delivery: delivery.id, url: endpoint.url, attempts, err: lastError });
+      return saveDelivery(delivery, { status: 'dead', attempts, lastStatus, lastError, nextAttemptAt: null });
+    }
+    return saveDelivery(delivery, {
+      attempts,
+      lastStatus,
+      lastError,
+      nextAttemptAt: Date.now() + backoff(attempts),
+    });
+  }
+
+  /**
+   * Start on the due deliveries of every idle endpoint (up to `concurrency`
+   * endpoints at once), oldest first within each; resolves once every
+   * endpoint in progress is done.
+   */
+  async function drain() {
+    const now = Date.now();
+    const queues = new Map();
+    const due = [...deliveries.values()]
+      .filter(d => d.status === 'pending' && d.nextAttemptAt <= now && !active.has(d.endpointId))
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+    for (const delivery of due) {
+      if (!queues.has(delivery.endpointId)) queues.set(delivery.endpointId, []);
+      queues.get(delivery.endpointId).push(delivery);
+    }
+
+    for (const [endpointId, queue] of queues) {
+      if (active.size >= concurrency) break;
+      const run = (async () => {
+        for (const delivery of queue) await attempt(delivery);
+      })().finally(() => active.delete(endpointId));
+      active.set(endpointId, run);
+    }
+    await Promise.all(active.values());
+  }
+
+  function kick() {
+    drain().catch(err => logger.error('Webhook worker error', { err: err.message }));
+  }
+
+  /**
+   * Deliveries for `creator`, newest first, optionally filtered by status
+   * ('pending' | 'delivered' | 'dead') and endpoint.
+   */
+  function listDeliveries(creator, { status, endpointId, limit = 100 } = {}) {
+    return [...deliveries.values()]
+      .filter(d => d.creator === creator.toLowerCase())
+      .filter(d => !status || d.status === status)
+      .filter(d => !endpointId || d.endpointId === endpointId)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit)
+      .map(publicDelivery);
+  }
+
+  function getDelivery(id) {
+    const delivery = deliveries.get(id);
+    return delivery ? publicDelivery(delivery) : null;
+  }
+
+  /**
+   * Put a delivery (typically a dead-lettered one) back in the queue with a
+   * fresh attempt budget.
+   */
+  function redeliver(id) {
+    const delivery = deliveries.get(id);
+    if (!delivery) return null;
+    if (!endpoints.has(delivery.endpointId)) throw new Error('Endpoint was removed');
+    const next = saveDelivery(delivery, { status: 'pending', attempts: 0, nextAttemptAt: Date.now() });
+    setImmediate(kick);
+    return publicDelivery(next);
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(kick, intervalMs);
+    timer.unref();
+    compactTimer = setInterval(compact, DAY_MS);
+    compactTimer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    clearInterval(compactTimer);
+    timer = compactTimer = null;
+  }
+
+  function stats() {
+    const counts = { pending: 0, delivered: 0, dead: 0 };
+    for (const d of deliveries.values()) counts[d.status]++;
+    return { endpoints: endpoints.size, deliveries: counts };
+  }
+
+  return {
+    addEndpoint,
+    listEndpoints,
+    getEndpoint,
+    removeEndpoint,
+    dispatch,
+    listDeliveries,
+    getDelivery,
+    redeliver,
+    drain,
+    start,
+    stop,
+    stats,
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  EVENT_HEADER,
+  DELIVERY_HEADER,
+  signatureHeader,
+  isPrivateAddress,
+  createWebhooks,
+};
@@ -0,0 +1,127 @@
+/**
+ * x402 wire format helpers.
+ *
+ * 402 responses carry an `accepts` list of payment requirements, both in the
+ * JSON body and base64-encoded in the PAYMENT-REQUIRED header. Clients retry
+ * with a base64 JSON X-PAYMENT header:
+ *
+ *   { "x402Version": 1, "scheme": "a402-tx", "network": "eip155:2786",
+ *     "payload": { "txHash": "0x…" } }
+ *
+ * A402 payments are ordinary vault transactions the payer sends first, not
+ * the EIP-3009 authorizations of the standard `exact` scheme, so they are
+ * advertised under their own scheme, `a402-tx`, whose payload is the hash
+ * of the transaction that paid the vault. Clients without a SIWE
+ * session add `payload.nonce` from GET /api/nonce and `payload.signature`,
+ * the payer's `personal_sign` over paymentProofMessage(txHash, nonce) (see
+ * binding.js), to prove they sent it. On success the server answers with an
+ * X-PAYMENT-RESPONSE settlement header.
+ */
+
+const { PAY_METHODS } = require('./vaults');
+
+const X402_VERSION = 1;
+const NATIVE_ASSET = '0x0000000000000000000000000000000000000000';
+const SCHEME = 'a402-tx';
+
+const HEADERS = {
+  required: 'PAYMENT-REQUIRED',
+  payment: 'X-PAYMENT',
+  response: 'X-PAYMENT-RESPONSE',
+};
+
+function encodeHeader(value) {
+  return Buffer.from(JSON.stringify(value), 'utf8').toString('base64');
+}
+
+function decodeHeader(header) {
+  return JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+}
+
+/**
+ * Payment requirements for one catalog entry, as listed in `accepts`.
+ */
+function buildPaymentRequirements(entry, config, resourceUrl) {
+  return {
+    scheme: SCHEME,
+    network: config.caip2,
+    maxAmountRequired: entry.priceWei,
+    resource: resourceUrl,
+    description: entry.lifetimeAccess
+      ? `Lifetime access to ${entry.title}`
+      : `Access to ${entry.title}`,
+    mimeType: 'application/json',
+    payTo: entry.vault,
+    maxTimeoutSeconds: 300,
+    asset: NATIVE_ASSET,
+    extra: {
+      name: config.currency,
+      decimals: config.decimals,
+      resourceId: entry.resourceId,
+      creator: entry.creator,
+      lifetimeAccess: entry.lifetimeAccess,
+      contract: entry.contract,
+      method: PAY_METHODS[entry.contract] || PAY_METHODS.verifier,
+      confirmations: entry.confirmations,
+      ...(entry.fiatPrice ? { fiatPrice: entry.fiatPrice, fiatCurrency: entry.fiatCurrency } : {}),
+    },
+  };
+}
+
+function buildPaymentRequired(requirements, error) {
+  return { x402Version: X402_VERSION, error, accepts: [requirements] };
+}
+
+/**
+ * Validate a decoded payment payload against the requirements.
+ * Returns the paying tx hash or throws with a client-facing message.
+ */
+function validatePaymentPayload(payment, requirements) {
+  if (payment?.x402Version !== X402_VERSION) {
+    throw new Error(`Unsupported x402Version: ${payment?.x402Version}`);
+  }
+  if (payment.scheme !== requirements.scheme) {
+    throw new Error(`Unsupported scheme: ${payment.scheme}`);
+  }
+  if (payment.network !== requirements.network) {
+    throw new Error(`Wrong network: ${payment.network} (expected ${requirements.network})`);
+  }
+
+  const txHash = payment.payload?.txHash;
+  if (typeof txHash !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(txHash)) {
+    throw new Error('X-PAYMENT payload.txHash must be a 32-byte hex transaction hash');
+  }
+  return txHash;
+}
+
+/**
+ * Decode and validate an X-PAYMENT header against the requirements.
+ * Returns { txHash, payment } or throws with a client-facing message.
+ */
+function parsePaymentHeader(header, requirements) {
+  let payment;
+  try {
+    payment = decodeHeader(header);
+  } catch {
+    throw new Error('X-PAYMENT header is not valid base64 JSON');
+  }
+  return { txHash: validatePaymentPayload(payment, requirements), payment };
+}
+
+function buildSettlementResponse({ txHash, network, payer }) {
+  return { success: true, transaction: txHash, network, payer };
+}
+
+module.exports = {
+  X402_VERSION,
+  SCHEME,
+  NATIVE_ASSET,
+  HEADERS,
+  encodeHeader,
+  decodeHeader,
+  buildPaymentRequirements,
+  buildPaymentRequired,
+  validatePaymentPayload,
+  parsePaymentHeader,
+  buildSettlementResponse,
+};
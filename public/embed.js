@@ -6,9 +6,10 @@
  *   <div class="a402-content"
  *        data-vault="0x..."
  *        data-resource="video-001"
- *        data-theme="dark">        <!-- optional: "dark" | "light" | "auto" (default) -->
+ *        data-theme="dark"         <!-- optional: "dark" | "light" | "auto" (default) -->
+ *        data-server="https://…">  <!-- optional: A402 server for encrypted refs (default: where embed.js is served from) -->
  *   </div>
- *   <script src="embed.js"></script>
+ *   <script src="embed.js" data-rpc="https://…,https://…"></script>  <!-- data-rpc optional: extra RPC endpoints, tried first -->
  *
  * Self-contained: bundles a minimal keccak256, ABI encoder, and RPC client.
  * Renders inside Shadow DOM so host page CSS cannot interfere.
@@ -28,6 +29,8 @@
   const CHAIN_HEX = '0x' + CHAIN_ID.toString(16);
   const EXPLORER = 'https://explorer.apertum.io';
   const FACTORY = '0x88408192d8548CD864f58E7d3c6f97fD577d4451';
+  // A402 server that releases keys for encrypted content refs
+  const DEFAULT_SERVER = document.currentScript ? new URL(document.currentScript.src).origin : window.location.origin;
 
   const TOKEN_META_BY_SYMBOL = {
     'wUSDT': { name: 'Wrapped USDT', icon: 'https://assets.apertum.io/assets/wusdt-aptm.svg' },
@@ -226,18 +229,112 @@
   //  RPC
   // ═══════════════════════════════════════════════════════════════
 
+  // Endpoints: RPC plus any listed in the script tag's data-rpc (comma-separated).
+  // Calls go to the endpoint with the fewest recent failures; a failing one is
+  // benched for a few seconds. Timeouts, network errors, 429/5xx and "busy"
+  // style RPC errors are retried with backoff. Calls made in the same tick go
+  // out as one JSON-RPC batch.
+  const RPC_URLS = [...new Set([
+    ...((document.currentScript && document.currentScript.dataset.rpc) || '').split(',').map(u => u.trim()).filter(Boolean),
+    RPC,
+  ])];
+  const RPC_TIMEOUT_MS = 8000;
+  const RPC_RETRIES = 2;
+  const RPC_CACHE_MS = 15000;
+  const rpcEndpoints = RPC_URLS.map(url => ({ url, failures: 0, benchedUntil: 0, noBatch: false }));
+  const rpcCache = new Map();
   let rpcId = 1;
-  async function rpc(method, params) {
-    const r = await fetch(RPC, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ jsonrpc: '2.0', id: rpcId++, method, params }),
+  let rpcQueue = [];
+
+  function rpcError(message, transient) {
+    return Object.assign(new Error(message), { transient });
+  }
+  function isTransientRpc(e) {
+    return [-32005, -32603, -32000].includes(e.code) && /timeout|timed out|busy|rate limit|too many|header not found|unavailable|try again/i.test(e.message || '');
+  }
+
+  async function rpcPost(ep, body) {
+    const ctl = new AbortController();
+    const timer = setTimeout(() => ctl.abort(), RPC_TIMEOUT_MS);
+    let r;
+    try {
+      r = await fetch(ep.url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body), signal: ctl.signal });
+    } catch (err) {
+      throw rpcError(err.name === 'AbortError' ? 'RPC timed out' : 'RPC unreachable', true);
+    } finally {
+      clearTimeout(timer);
+    }
+    if (r.status === 429 || r.status >= 500) throw rpcError('RPC HTTP ' + r.status, true);
+    try { return await r.json(); } catch { throw rpcError('RPC returned invalid JSON', true); }
+  }
+
+  // [{ method, params }] → [{ result } | { error }] from one endpoint
+  async function rpcSendTo(ep, calls) {
+    const payload = calls.map(c => ({ jsonrpc: '2.0', id: rpcId++, method: c.method, params: c.params }));
+    const toOutcome = d => !d ? { error: rpcError('RPC batch reply is missing a response', true) }
+      : d.error ? { error: Object.assign(rpcError(d.error.message, isTransientRpc(d.error)), { code: d.error.code }) }
+      : { result: d.result };
+    if (payload.length === 1 || ep.noBatch) {
+      const out = [];
+      for (const item of payload) out.push(toOutcome(await rpcPost(ep, item)));
+      return out;
+    }
+    const replies = await rpcPost(ep, payload);
+    if (!Array.isArray(replies)) { ep.noBatch = true; return rpcSendTo(ep, calls); }
+    const byId = new Map(replies.map(d => [d.id, d]));
+    return payload.map(p => toOutcome(byId.get(p.id)));
+  }
+
+  async function rpcSend(calls) {
+    let lastErr;
+    for (let attempt = 0; attempt <= RPC_RETRIES; attempt++) {
+      if (attempt) await new Promise(r => setTimeout(r, 250 * 2 ** (attempt - 1) * (0.8 + Math.random() * 0.4)));
+      const now = Date.now();
+      const ready = rpcEndpoints.filter(e => e.benchedUntil <= now);
+      const pool = (ready.length ? ready : rpcEndpoints.slice()).sort((a, b) => a.failures - b.failures);
+      for (const ep of pool) {
+        try {
+          const out = await rpcSendTo(ep, calls);
+          const busy = out.find(o => o.error && o.error.transient);
+          if (busy) throw busy.error;
+          ep.failures = 0; ep.benchedUntil = 0;
+          return out;
+        } catch (err) {
+          if (!err.transient) throw err;
+          ep.failures++;
+          ep.benchedUntil = Date.now() + 5000 * Math.min(2 ** (ep.failures - 1), 16);
+          lastErr = err;
+        }
+      }
+    }
+    throw lastErr;
+  }
+
+  function rpcFlush() {
+    const pending = rpcQueue;
+    rpcQueue = [];
+    rpcSend(pending).then(
+      out => out.forEach((o, i) => o.error ? pending[i].reject(o.error) : pending[i].resolve(o.result)),
+      err => pending.forEach(c => c.reject(err)),
+    );
+  }
+
+  function rpc(method, params) {
+    return new Promise((resolve, reject) => {
+      if (!rpcQueue.length) setTimeout(rpcFlush, 0);
+      rpcQueue.push({ method, params, resolve, reject });
     });
-    const d = await r.json();
-    if (d.error) throw new Error(d.error.message);
-    return d.result;
   }
-  async function ethCall(to, data) { return rpc('eth_call', [{ to, data }, 'latest']); }
+
+  // eth_call with a short cache; cacheIf(result) decides what is worth keeping
+  async function ethCall(to, data, { cache = false, cacheIf = () => true } = {}) {
+    const key = to.toLowerCase() + ':' + data;
+    const hit = cache && rpcCache.get(key);
+    if (hit && hit.expires > Date.now()) return hit.value;
+    const value = await rpc('eth_call', [{ to, data }, 'latest']);
+    if (cache && cacheIf(value)) rpcCache.set(key, { value, expires: Date.now() + RPC_CACHE_MS });
+    return value;
+  }
 
   // ═══════════════════════════════════════════════════════════════
   //  ON-CHAIN READS
@@ -246,7 +343,7 @@
   async function getResource(vault, resourceId) {
     const s = fnSel('getResource(string)');
     const data = '0x' + s + padUint(32) + encStr(resourceId);
-    const result = await ethCall(vault, data);
+    const result = await ethCall(vault, data, { cache: true });
     const d = result.slice(2);
 
     // V2/V3 ABI: (string resourceId, uint256 price, bool lifetime, bool active,
@@ -280,7 +377,8 @@
   async function hasAccess(vault, resourceId, userAddress) {
     const s = fnSel('hasAccess(string,address)');
     const data = '0x' + s + padUint(64) + padAddr(userAddress) + encStr(resourceId);
-    const result = await ethCall(vault, data);
+    // Only "has access" is cached, so a fresh payment shows up immediately
+    const result = await ethCall(vault, data, { cache: true, cacheIf: r => BigInt(r) === 1n });
     return BigInt(result) === 1n;
   }
 
@@ -378,6 +476,7 @@
 
   function detectSource(ref) {
     if (!ref) return { type: 'unknown', value: '' };
+    if (isEncryptedRef(ref)) return { type: 'encrypted', value: ref };
     if (ref.startsWith('ipfs://') || ref.includes('/ipfs/') || ref.includes('/ipns/'))
       return { type: 'ipfs', value: ref };
     if (/\.(mp4|webm|ogg|mov|m3u8)(\?.*)?$/i.test(ref) && ref.startsWith('http'))
@@ -397,6 +496,83 @@
     return { type: 'unknown', value: ref };
   }
 
+  // ═══════════════════════════════════════════════════════════════
+  //  ENCRYPTED CONTENT REFS
+  //  Sealed refs (a402enc:v1:<iv>.<ciphertext>) are opened with a
+  //  per-resource AES-GCM key the A402 server releases after SIWE
+  //  sign-in, once hasAccess(resourceId, user) is true on-chain.
+  // ═══════════════════════════════════════════════════════════════
+
+  const ENCRYPTED_PREFIX = 'a402enc:v1:';
+
+  function isEncryptedRef(ref) {
+    return typeof ref === 'string' && ref.startsWith(ENCRYPTED_PREFIX);
+  }
+
+  function b64urlToBytes(s) {
+    const bin = atob(s.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(s.length / 4) * 4, '='));
+    return Uint8Array.from(bin, c => c.charCodeAt(0));
+  }
+
+  // Sign-in promises by `${server}|${address}`, shared by every widget on the page
+  const sessions = new Map();
+
+  async function signInWithEthereum(server, address) {
+    const { nonce } = await (await fetch(server + '/api/nonce')).json();
+    // The server checks the message domain against its own host
+    const message = [
+      `${new URL(server).host} wants you to sign in with your Ethereum account:`,
+      address,
+      '',
+      'Sign in to unlock A402 content you have paid for.',
+      '',
+      `URI: ${server}`,
+      'Version: 1',
+      `Chain ID: ${CHAIN_ID}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${new Date().toISOString()}`,
+    ].join('\n');
+    const signature = await window.ethereum.request({ method: 'personal_sign', params: [message, address] });
+    const r = await fetch(server + '/api/siwe/verify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message, signature }),
+    });
+    const d = await r.json();
+    if (!r.ok) throw new Error(d.error || 'Sign-in failed');
+    return d.session;
+  }
+
+  async function decryptContentRef({ server, vault, resourceId, session, encryptedRef }) {
+    const r = await fetch(server + '/api/content-keys/release', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-A402-Session': session },
+      body: JSON.stringify({ vault, resourceId }),
+    });
+    const d = await r.json();
+    if (!r.ok) throw new Error(d.error || 'Key release failed');
+
+    const [iv, sealed] = encryptedRef.slice(ENCRYPTED_PREFIX.length).split('.');
+    const key = await crypto.subtle.importKey('raw', b64urlToBytes(d.key), 'AES-GCM', false, ['decrypt']);
+    const plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: b64urlToBytes(iv), additionalData: new TextEncoder().encode(`${vault.toLowerCase()}:${resourceId}`) },
+      key,
+      b64urlToBytes(sealed),
+    );
+    return new TextDecoder().decode(plain);
+  }
+
+  // Bearer token for an API resource sold through the server's a402Paywall
+  async function requestAccessToken({ server, vault, resourceId, session }) {
+    const r = await fetch(`${server}/api/resources/${vault}/${encodeURIComponent(resourceId)}/check-access`, {
+      headers: { 'X-A402-Session': session },
+    });
+    const d = await r.json();
+    if (!r.ok) throw new Error(d.error || 'Access check failed');
+    if (!d.accessToken) throw new Error(d.message || 'No access token was issued');
+    return d.accessToken;
+  }
+
   // ═══════════════════════════════════════════════════════════════
   //  THEME DETECTION
   // ═══════════════════════════════════════════════════════════════
@@ -641,6 +817,7 @@
       this.vault = hostEl.dataset.vault;
       this.resourceId = hostEl.dataset.resource;
       this.theme = resolveTheme(hostEl.dataset.theme || 'auto');
+      this.server = (hostEl.dataset.server || DEFAULT_SERVER).replace(/\/$/, '');
       this.resource = null;   // on-chain data
       this.userAddress = null;
       this.state = 'loading'; // loading | locked | connecting | paying | unlocked | error
@@ -847,7 +1024,9 @@
         if (this.resource.lifetime) {
           const has = await hasAccess(this.vault, this.resourceId, this.userAddress);
           if (has) {
-            this.unlock();
+            // Never open a wallet prompt without a click
+            if (this.needsSignature()) this.showSignButton();
+            else this.unlock();
             return;
           }
         }
@@ -859,7 +1038,9 @@
     // ── Action button handler ──
     async onAction() {
       if (this.state === 'unlocked') return;
-      if (!this.userAddress) {
+      if (this.state === 'signable') {
+        await this.unlock();
+      } else if (!this.userAddress) {
         await this.connectWallet();
       } else {
         await this.pay();
@@ -935,6 +1116,20 @@
       this.state = 'locked';
     }
 
+    // ── Show sign button (access already paid, unlocking needs a signature) ──
+    showSignButton() {
+      const btn = this.shadow.getElementById('actionBtn');
+      btn.disabled = false;
+      const api = this.resource.contentType === 'api' && !isEncryptedRef(this.resource.contentRef);
+      btn.innerHTML = `<svg viewBox="0 0 24 24"><rect x="3" y="11" width="18" height="11" rx="2"/><path d="M7 11V7a5 5 0 0 1 9.9-1"/></svg> ${api ? 'Get token' : 'Decrypt'}`;
+      this.setStatus('info', 'You already have access. Sign a message in your wallet to ' + (api ? 'get your access token.' : 'decrypt this content.'));
+      this.state = 'signable';
+    }
+
+    needsSignature() {
+      return isEncryptedRef(this.resource.contentRef) || this.resource.contentType === 'api';
+    }
+
     updatePayButtonLabel() {
       const btn = this.shadow.getElementById('actionBtn');
       if (!btn) return;
@@ -1022,15 +1217,7 @@
           this.setStatus('pending', 'Transaction sent! Confirming on Apertum...');
           btn.innerHTML = '<div class="spinner"></div> Confirming...';
 
-          for (let i = 0; i < 30; i++) {
-            await new Promise(r => setTimeout(r, 1500));
-            const receipt = await rpc('eth_getTransactionReceipt', [txHash]);
-            if (receipt) {
-              if (receipt.status !== '0x1') throw new Error('Transaction reverted on-chain');
-              break;
-            }
-            if (i === 29) throw new Error('Confirmation timeout — check explorer');
-          }
+          await this.waitForPayment(txHash);
 
           const msg = this.resource.lifetime
             ? `✓ Lifetime access granted (paid with ${tok.symbol})!`
@@ -1059,15 +1246,7 @@
           this.setStatus('pending', 'Transaction sent! Confirming on Apertum...');
           btn.innerHTML = '<div class="spinner"></div> Confirming...';
 
-          for (let i = 0; i < 30; i++) {
-            await new Promise(r => setTimeout(r, 1500));
-            const receipt = await rpc('eth_getTransactionReceipt', [txHash]);
-            if (receipt) {
-              if (receipt.status !== '0x1') throw new Error('Transaction reverted on-chain');
-              break;
-            }
-            if (i === 29) throw new Error('Confirmation timeout — check explorer');
-          }
+          await this.waitForPayment(txHash);
 
           const msg = this.resource.lifetime
             ? '✓ Lifetime access granted!'
@@ -1082,8 +1261,93 @@
       }
     }
 
+    // ── Wait for a payment to be final ──
+    // Subscribes to the server's payment stream (pending → mined → confirmed
+    // → verified). Servers that don't list this resource, or a stream that
+    // breaks, fall back to polling the receipt.
+    waitForPayment(txHash) {
+      const url = `${this.server}/api/resources/${this.vault}/${encodeURIComponent(this.resourceId)}/payments/${txHash}/events`;
+      if (!window.EventSource) return this.pollReceipt(txHash);
+
+      return new Promise((resolve, reject) => {
+        const events = new EventSource(url);
+        let done = false;
+        const finish = (fn, arg) => { done = true; events.close(); fn(arg); };
+
+        events.addEventListener('mined', (e) => {
+          const d = JSON.parse(e.data);
+          if (d.requiredConfirmations > 1) this.setStatus('pending', `Mined — waiting for confirmations (${d.confirmations}/${d.requiredConfirmations})...`);
+        });
+        events.addEventListener('verified', () => finish(resolve));
+        for (const type of ['reverted', 'failed', 'dropped', 'replaced']) {
+          events.addEventListener(type, (e) => finish(reject, new Error(JSON.parse(e.data).reason || `Payment ${type}`)));
+        }
+        events.onerror = () => {
+          if (!done) finish(() => this.pollReceipt(txHash).then(resolve, reject));
+        };
+      });
+    }
+
+    async pollReceipt(txHash) {
+      for (let i = 0; i < 30; i++) {
+        await new Promise(r => setTimeout(r, 1500));
+        const receipt = await rpc('eth_getTransactionReceipt', [txHash]);
+        if (receipt) {
+          if (receipt.status !== '0x1') throw new Error('Transaction reverted on-chain');
+          return;
+        }
+      }
+      throw new Error('Confirmation timeout — check explorer');
+    }
+
+    // ── SIWE session, signed once per wallet and server for the whole page ──
+    signIn() {
+      const key = `${this.server}|${this.userAddress.toLowerCase()}`;
+      if (!sessions.has(key)) {
+        sessions.set(key, signInWithEthereum(this.server, this.userAddress).catch((err) => {
+          sessions.delete(key);
+          throw err;
+        }));
+      }
+      return sessions.get(key);
+    }
+
     // ── Unlock content ──
-    unlock() {
+    async unlock() {
+      if (isEncryptedRef(this.resource.contentRef)) {
+        try {
+          this.setStatus('pending', 'Sign the message in your wallet to decrypt this content...');
+          this.resource.contentRef = await decryptContentRef({
+            server: this.server,
+            vault: this.vault,
+            resourceId: this.resourceId,
+            session: await this.signIn(),
+            encryptedRef: this.resource.contentRef,
+          });
+          this.setStatus('success', '✓ Content decrypted.');
+        } catch (err) {
+          this.setStatus('error', err.code === 4001 ? 'Signature rejected — content stays locked.' : 'Could not decrypt content: ' + err.message);
+          return;
+        }
+      }
+
+      let apiToken = null;
+      if (this.resource.contentType === 'api') {
+        try {
+          this.setStatus('pending', 'Sign the message in your wallet to get your access token...');
+          apiToken = await requestAccessToken({
+            server: this.server,
+            vault: this.vault,
+            resourceId: this.resourceId,
+            session: await this.signIn(),
+          });
+          this.setStatus('success', '✓ Access token issued.');
+        } catch (err) {
+          this.setStatus('error', err.code === 4001 ? 'Signature rejected — no access token issued.' : 'Could not get an access token: ' + err.message);
+          return;
+        }
+      }
+
       this.state = 'unlocked';
       const overlay = this.shadow.getElementById('lockOverlay');
       if (overlay) overlay.classList.add('hidden');
@@ -1214,9 +1478,7 @@
         area.style.background = 'var(--bg-card)';
         area.style.padding = '28px';
 
-        // Generate a pseudo-token from the user's address + resource + timestamp
-        const tokenData = this.userAddress + ':' + this.resourceId + ':' + Date.now();
-        const token = 'a402_' + keccak256(tokenData).slice(0, 48);
+        const token = apiToken;
 
         const apiDiv = document.createElement('div');
         apiDiv.style.cssText = 'z-index:2;position:relative;';
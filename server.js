@@ -4,124 +4,328 @@
  * Supports YouTube videos, IPFS-hosted videos, and direct video URLs.
  * Contract: A402Verifier (v2) with lifetime access support.
  *
+ * Contracts: a resource is sold either through its creator's CreatorVaultV2
+ * (looked up via A402FactoryV2) or through the legacy A402Verifier; see
+ * lib/vaults.js.
+ *
  * Flow:
  *   1. Client connects wallet → sends address to /api/check-access
  *   2. Server calls hasAccess(resourceId, user) on-chain via eth_call (free)
  *   3. If user already has access → skip payment, serve content immediately
  *   4. If not → standard 402 flow: pay via payForAccess(), verify, unlock
  *
- * Video source priority: VIDEO_URL env var > YOUTUBE_VIDEO_ID env var
+ * Video source priority: videoUrl > youtubeVideoId (CONFIG_FILE or the
+ * VIDEO_URL / YOUTUBE_VIDEO_ID env vars; see lib/config.js)
+ *
+ * Resources: the configured default resource is served under /api/*; any entry
+ * from CATALOG_FILE is served under /api/resources/:vault/:resourceId/*
+ * (see lib/catalog.js).
+ *
+ * Prices: APTM, or a fiat amount converted at the PRICE_FEED rate and pinned
+ * in quotes that /verify honors until they expire (lib/pricefeed.js).
+ *
+ * IPFS and direct content is streamed through /api/stream/* with signed,
+ * expiring links, so the origin URL never reaches the browser (lib/proxy.js).
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const crypto = require('crypto');
 require('dotenv').config();
+const { resolveContentPayload, isResolved, isPriced, loadCatalog } = require('./lib/catalog');
+const x402 = require('./lib/x402');
+const {
+  REASON_STATUS,
+  openSettlements,
+  createFacilitator,
+  createRemoteFacilitator,
+  createFacilitatorRouter,
+} = require('./lib/facilitator');
+const { openLedger, NATIVE_TOKEN, PAYMENT_STATUS } = require('./lib/ledger');
+const { createSiwe, SESSION_HEADER } = require('./lib/siwe');
+const { createTokens, ACCESS_TOKEN_HEADER } = require('./lib/tokens');
+const { createPaymentBinding, CLIENT_HEADER } = require('./lib/binding');
+const { createContentProxy, PROXIED_TYPES } = require('./lib/proxy');
+const { createContentKeys, isEncryptedRef } = require('./lib/encryption');
+const { createIndexer } = require('./lib/indexer');
+const { createWebhooks } = require('./lib/webhooks');
+const { createTokenPricing, formatUnits } = require('./lib/erc20');
+const { createVaultRegistry, PAY_METHODS } = require('./lib/vaults');
+const { createRentals, hasTerms, parseDuration } = require('./lib/rental');
+const { createRpcClient } = require('./lib/rpc');
+const { createVerificationQueue } = require('./lib/verification');
+const { openCredits, CREDITS_BALANCE_HEADER } = require('./lib/credits');
+const { createRateLimiter } = require('./lib/ratelimit');
+const { openAuditLog } = require('./lib/audit');
+const { loadConfig, watchConfig } = require('./lib/config');
+const { createMetrics, METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const {
+  adapterFor,
+  createPriceFeed,
+  createQuoteBook,
+  quoteFields,
+  quoteOf,
+  withSlippage,
+} = require('./lib/pricefeed');
+const { logger } = require('./lib/logger');
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+// TRUST_PROXY (e.g. 1, loopback) makes req.ip the client behind a reverse proxy
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+// Every request gets an ID: the caller's X-Request-Id when it is sane,
+// otherwise a fresh one. It is echoed back, carried by req.log's lines and
+// stored with each audit decision.
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Probes and scrapes are frequent and uninteresting
+const UNLOGGED_PATHS = new Set(['/metrics', '/api/ready', '/api/health']);
 
-// ─── Contract ────────────────────────────────────────────────────
-const VERIFIER_CONTRACT = process.env.VERIFIER_CONTRACT || '0x461dA8e28B276586EB9dC4F010EbfF7F126A7076';
+app.use(cors({ exposedHeaders: [x402.HEADERS.required, x402.HEADERS.response, ACCESS_TOKEN_HEADER, CREDITS_BALANCE_HEADER, CLIENT_HEADER, REQUEST_ID_HEADER] }));
+app.use((req, res, next) => {
+  const given = req.get(REQUEST_ID_HEADER);
+  req.id = given && /^[\w.:-]{1,64}$/.test(given) ? given : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  const started = Date.now();
+  res.on('finish', () => {
+    if (UNLOGGED_PATHS.has(req.path)) return;
+    req.log.info('Request', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Date.now() - started,
+      ip: req.ip,
+    });
+  });
+  next();
+});
+app.use(express.json());
 
 // ─── Configuration ────────────────────────────────────────────────
-const CONFIG = {
-  chainId: 2786,
-  caip2: 'eip155:2786',
-  rpcUrl: process.env.APERTUM_RPC || 'https://rpc.apertum.io/ext/bc/YDJ1r9RMkewATmA7B35q1bdV18aywzmdiXwd9zGBq3uQjsCnn/rpc',
-  verifierContract: VERIFIER_CONTRACT,
-  creatorAddress: process.env.PAYMENT_ADDRESS || '0x0000000000000000000000000000000000000000',
-  price: process.env.PRICE || '0.001',
-  resourceId: process.env.RESOURCE_ID || 'video-001',
-  youtubeVideoId: process.env.YOUTUBE_VIDEO_ID || '',
-  videoUrl: process.env.VIDEO_URL || '',
-  lifetimeAccess: (process.env.LIFETIME_ACCESS || 'true').toLowerCase() === 'true',
-  currency: 'APTM',
-  decimals: 18,
-};
+// CONFIG_FILE (JSON) over the legacy env vars, validated on load; see
+// lib/config.js. The default resource is sold through verifierContract when
+// set, otherwise through creatorAddress's CreatorVaultV2, falling back to the
+// shared verifier when the creator has no vault.
+const LEGACY_VERIFIER_CONTRACT = '0x461dA8e28B276586EB9dC4F010EbfF7F126A7076';
+const CONFIG_FILE = process.env.CONFIG_FILE || null;
+let CONFIG;
+try {
+  CONFIG = loadConfig({ file: CONFIG_FILE });
+} catch (err) {
+  if (require.main !== module) throw err;
+  logger.error('Invalid configuration', { err: err.message });
+  process.exit(1);
+}
 
-const IPFS_GATEWAY = process.env.IPFS_GATEWAY || 'https://ipfs.io';
+// ─── Resource catalog ─────────────────────────────────────────────
+const catalog = loadCatalog(CONFIG);
 
-function toWei(aptm) {
-  const parts = aptm.split('.');
-  const whole = parts[0] || '0';
-  const frac = (parts[1] || '').padEnd(18, '0').slice(0, 18);
-  return BigInt(whole + frac).toString();
-}
+// ─── Fiat pricing ─────────────────────────────────────────────────
+// Entries priced in fiat are re-priced in APTM each time the feed refreshes
+// (PRICE_FEED_INTERVAL_MS, default 60 s); payment-info pins the current price
+// in a quote (lib/pricefeed.js).
+const priceFeed = CONFIG.priceFeed
+  ? createPriceFeed({
+    adapter: adapterFor(CONFIG.priceFeed),
+    intervalMs: Number(process.env.PRICE_FEED_INTERVAL_MS || 60_000),
+    maxAgeMs: Number(process.env.PRICE_FEED_MAX_AGE_MS || 10 * 60_000),
+    onUpdate(rates) {
+      const missing = catalog.reprice(rates);
+      if (missing.length) logger.warn('Price feed: no rate for catalog currencies', { currencies: missing });
+    },
+  })
+  : null;
+const quotes = createQuoteBook({ config: CONFIG });
 
-const priceWei = toWei(CONFIG.price);
+// ─── Payment ledger ───────────────────────────────────────────────
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 
-// ─── Content source detection ─────────────────────────────────────
-function detectContentSource(ref) {
-  if (!ref) return { type: 'unknown', videoUrl: null };
-  const trimmed = ref.trim();
+const ledger = openLedger({
+  file: process.env.LEDGER_FILE || path.join(DATA_DIR, 'ledger.jsonl'),
+  retentionDays: Number(process.env.LEDGER_RETENTION_DAYS || 0),
+});
 
-  if (trimmed.startsWith('ipfs://')) {
-    const cid = trimmed.replace('ipfs://', '');
-    return { type: 'ipfs', videoUrl: `${IPFS_GATEWAY}/ipfs/${cid}` };
-  }
-  if (trimmed.includes('/ipfs/') || trimmed.includes('/ipns/')) {
-    return { type: 'ipfs', videoUrl: trimmed };
-  }
-  if (/\.(mp4|webm|ogg|mov|m3u8)(\?.*)?$/i.test(trimmed) && trimmed.startsWith('http')) {
-    return { type: 'direct', videoUrl: trimmed };
-  }
-  if (trimmed.startsWith('http://') || trimmed.startsWith('https://')) {
-    const ytMatch = trimmed.match(/(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/);
-    if (ytMatch) return { type: 'youtube', videoUrl: `https://www.youtube.com/embed/${ytMatch[1]}`, videoId: ytMatch[1] };
-    return { type: 'direct', videoUrl: trimmed };
-  }
-  if (/^(Qm[a-zA-Z0-9]{44,}|bafy[a-zA-Z0-9]{50,})$/.test(trimmed)) {
-    return { type: 'ipfs', videoUrl: `${IPFS_GATEWAY}/ipfs/${trimmed}` };
-  }
-  if (/^[a-zA-Z0-9_-]{11}$/.test(trimmed)) {
-    return { type: 'youtube', videoUrl: `https://www.youtube.com/embed/${trimmed}`, videoId: trimmed };
-  }
-  return { type: 'unknown', videoUrl: null };
-}
+// ─── SIWE sessions ────────────────────────────────────────────────
+// SIWE_DOMAIN pins the expected message domain; otherwise the request Host is used.
+// Without SIWE_DOMAIN, messages are checked against the request Host, which
+// any proxying origin controls: start() refuses that in production.
+const siwe = createSiwe({
+  chainId: CONFIG.chainId,
+  domain: process.env.SIWE_DOMAIN || null,
+});
 
-/**
- * Resolve the configured content ref to a response payload.
- * Returns { videoId?, videoUrl, contentType }
- * Backward compatible: still includes videoId for YouTube sources.
- */
-function resolveContentPayload() {
-  const ref = CONFIG.videoUrl || CONFIG.youtubeVideoId || 'dQw4w9WgXcQ';
-  const source = detectContentSource(ref);
+// ─── Access tokens ────────────────────────────────────────────────
+const tokens = createTokens({
+  secret: process.env.ACCESS_TOKEN_SECRET,
+  ttlSeconds: Number(process.env.ACCESS_TOKEN_TTL || 900),
+  revocationFile: path.join(DATA_DIR, 'revoked-tokens.json'),
+});
 
-  if (source.type === 'youtube') {
-    const ytId = source.videoId || ref;
-    return {
-      videoId: ytId,
-      videoUrl: `https://www.youtube.com/embed/${ytId}`,
-      contentType: 'youtube',
-    };
-  }
+// ─── Payment binding ──────────────────────────────────────────────
+const binding = createPaymentBinding({
+  ledger,
+  secret: process.env.ACCESS_TOKEN_SECRET,
+  consumeNonce: siwe.consumeNonce,
+  maxClients: Number(process.env.MAX_CLIENTS_PER_PAYMENT ?? 3),
+});
 
-  return {
-    videoUrl: source.videoUrl,
-    contentType: source.type,
+// ─── Rentals ──────────────────────────────────────────────────────
+const rentals = createRentals({ ledger, viewWindowSeconds: parseDuration(process.env.RENTAL_VIEW_WINDOW || '5m') });
+
+// ─── Content proxy ────────────────────────────────────────────────
+// CONTENT_PROXY=false hands raw IPFS / direct URLs to viewers instead.
+const contentProxy = (process.env.CONTENT_PROXY || 'true').toLowerCase() === 'true'
+  ? createContentProxy({
+    secret: process.env.STREAM_URL_SECRET || process.env.ACCESS_TOKEN_SECRET,
+    ttlSeconds: Number(process.env.STREAM_URL_TTL || 300),
+    idleSeconds: Number(process.env.STREAM_IDLE_TIMEOUT || 1800),
+  })
+  : null;
+
+// ─── Encrypted content refs ───────────────────────────────────────
+// Without CONTENT_KEY_SECRET the key endpoints are disabled: a random key
+// would strand every ref sealed before the next restart.
+const contentKeys = process.env.CONTENT_KEY_SECRET
+  ? createContentKeys({ secret: process.env.CONTENT_KEY_SECRET })
+  : null;
+
+// ─── Prepaid credits ──────────────────────────────────────────────
+const credits = openCredits({
+  file: process.env.CREDITS_FILE || path.join(DATA_DIR, 'credits.jsonl'),
+});
+
+// ─── Audit trails ─────────────────────────────────────────────────
+// Admin actions, and every grant/deny decision of /check-access, /video and
+// /verify. Both are hash-chained (lib/audit.js); the decision trail is busy,
+// so it rotates at ACCESS_AUDIT_MAX_BYTES.
+const audit = openAuditLog({
+  file: process.env.ADMIN_AUDIT_FILE || path.join(DATA_DIR, 'admin-audit.jsonl'),
+});
+const accessAudit = openAuditLog({
+  file: process.env.ACCESS_AUDIT_FILE || path.join(DATA_DIR, 'access-audit.jsonl'),
+  maxBytes: Number(process.env.ACCESS_AUDIT_MAX_BYTES ?? 50 * 1024 * 1024),
+  maxInMemory: 1000,
+});
+
+/**
+ * Record a decision on req.entry in the access audit trail and the log.
+ * Evidence is the payment it rests on (tx hash, block) and where access was
+ * looked up: `source` is ledger, on-chain, x402, access-token, tx-hash or
+ * chain (a fresh verification).
+ */
+function auditAccess(req, granted, reason, { source = null, payment = null, txHash = null, address = null } = {}) {
+  const { entry } = req;
+  const viewer = address || payment?.payer || req.siwe?.address || null;
+  const evidence = {
+    source,
+    txHash: (payment?.txHash || txHash)?.toLowerCase() || null,
+    blockNumber: payment?.blockNumber ?? null,
   };
+  accessAudit.record({
+    actor: { type: 'viewer', address: viewer?.toLowerCase() || null },
+    ip: req.ip,
+    requestId: req.id,
+    action: granted ? 'access.allow' : 'access.deny',
+    target: { vault: entry.vault.toLowerCase(), resourceId: entry.resourceId, route: req.route?.path.slice(1) },
+    details: { reason, ...evidence },
+  });
+  req.log.info(granted ? 'Access granted' : 'Access denied', {
+    vault: entry.vault,
+    resourceId: entry.resourceId,
+    address: viewer,
+    reason,
+    ...evidence,
+  });
 }
 
-// ─── In-memory payment ledger ─────────────────────────────────────
-const payments = new Map();
+// ─── Webhooks ─────────────────────────────────────────────────────
+const webhooks = createWebhooks({
+  file: process.env.WEBHOOKS_FILE || path.join(DATA_DIR, 'webhooks.jsonl'),
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 10000),
+  maxEndpointsPerCreator: Number(process.env.WEBHOOK_MAX_ENDPOINTS || 5),
+  concurrency: Number(process.env.WEBHOOK_CONCURRENCY || 8),
+  // Local development only: lets endpoints point at localhost / the LAN
+  allowPrivateTargets: (process.env.WEBHOOK_ALLOW_PRIVATE || 'false').toLowerCase() === 'true',
+});
 
 // ─── Static files ─────────────────────────────────────────────────
 app.use(express.static(path.join(__dirname, 'public')));
 
+// ─── Metrics ──────────────────────────────────────────────────────
+// Served at GET /metrics (lib/metrics.js). Labels are catalog vaults and
+// resource IDs, RPC method names and fixed outcomes, so series stay bounded.
+const metrics = createMetrics({ prefix: 'a402_' });
+const paymentsRequired = metrics.counter('payment_required_total', '402 Payment Required responses served', ['vault', 'resource']);
+const verifications = metrics.counter('verifications_total', 'Payment verifications by outcome', ['vault', 'resource', 'outcome']);
+const onChainAccessChecks = metrics.counter('onchain_access_checks_total', 'On-chain hasAccess() checks by result (hit, miss, error)', ['vault', 'resource', 'result']);
+const revenueVerified = metrics.counter('revenue_verified_total', 'Confirmed payments, in whole units of the paid token', ['vault', 'resource', 'token']);
+const rpcRequests = metrics.counter('rpc_requests_total', 'RPC calls by method and outcome (ok, error)', ['method', 'outcome']);
+const rpcDuration = metrics.histogram('rpc_request_duration_seconds', 'RPC call latency, including retries and failover', ['method']);
+
+function resourceLabels(entry) {
+  return { vault: (entry.vault || '').toLowerCase(), resource: entry.resourceId };
+}
+
 // ─── RPC helper ───────────────────────────────────────────────────
-async function rpcCall(method, params) {
-  const response = await fetch(CONFIG.rpcUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ jsonrpc: '2.0', id: Date.now(), method, params }),
+const rpc = createRpcClient({
+  urls: CONFIG.rpcUrls,
+  timeoutMs: Number(process.env.RPC_TIMEOUT_MS || 8000),
+  retries: Number(process.env.RPC_RETRIES || 2),
+  onCall({ method, durationMs, error }) {
+    rpcRequests.inc({ method, outcome: error ? 'error' : 'ok' });
+    rpcDuration.observe({ method }, durationMs / 1000);
+  },
+});
+
+// hasAccess() results that are true are cached briefly; false ones are not,
+// so access shows up as soon as the payment lands.
+const HAS_ACCESS_CACHE_MS = Number(process.env.RPC_CACHE_TTL_MS || 15000);
+
+function rpcCall(method, params) {
+  return rpc.call(method, params);
+}
+
+// ─── Rate limits ──────────────────────────────────────────────────
+// Routes that reach the RPC are limited per client IP and, when the request
+// names one (SIWE session or ?address=), per address. 0 disables a limit.
+const RATE_LIMIT_WINDOW_MS = parseDuration(process.env.RATE_LIMIT_WINDOW || '1m') * 1000;
+const ipLimiter = createRateLimiter({
+  max: Number(process.env.RATE_LIMIT_PER_IP ?? 60),
+  windowMs: RATE_LIMIT_WINDOW_MS,
+});
+const addressLimiter = createRateLimiter({
+  max: Number(process.env.RATE_LIMIT_PER_ADDRESS ?? 30),
+  windowMs: RATE_LIMIT_WINDOW_MS,
+});
+
+const ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/;
+const TX_HASH_RE = /^0x[0-9a-fA-F]{64}$/;
+
+function tooManyRequests(res, verdict) {
+  res.set('Retry-After', String(verdict.retryAfterSeconds));
+  return res.status(429).json({
+    error: `Too many requests — retry in ${verdict.retryAfterSeconds} s`,
+    retryAfter: verdict.retryAfterSeconds,
   });
-  const data = await response.json();
-  if (data.error) throw new Error(`RPC error: ${data.error.message}`);
-  return data.result;
+}
+
+// Spend one request of the caller's budget; returns the limiter verdict.
+function takeRpcBudget(req) {
+  const verdict = ipLimiter.take(req.ip);
+  if (!verdict.ok) return verdict;
+  const address = siwe.getSession(req.get(SESSION_HEADER))?.address
+    || (ADDRESS_RE.test(req.query.address || '') ? req.query.address.toLowerCase() : null);
+  return address ? addressLimiter.take(address) : verdict;
+}
+
+function limitRpcUse(req, res, next) {
+  const verdict = takeRpcBudget(req);
+  if (!verdict.ok) return tooManyRequests(res, verdict);
+  next();
 }
 
 // ─── ABI encoding helpers ─────────────────────────────────────────
@@ -157,265 +361,1959 @@ function encodeHasAccess(resourceId, userAddress) {
 }
 
 // ─── Check on-chain lifetime access ──────────────────────────────
-async function checkOnChainAccess(resourceId, userAddress) {
+async function checkOnChainAccess(vault, resourceId, userAddress) {
+  const labels = { vault: vault.toLowerCase(), resource: resourceId };
   try {
     const calldata = encodeHasAccess(resourceId, userAddress);
-    const result = await rpcCall('eth_call', [{
-      to: CONFIG.verifierContract,
+    const result = await rpc.call('eth_call', [{
+      to: vault,
       data: calldata,
-    }, 'latest']);
+    }, 'latest'], {
+      cacheTtlMs: HAS_ACCESS_CACHE_MS,
+      cacheIf: r => Boolean(r && r !== '0x' && BigInt(r) === 1n),
+    });
 
-    if (result && result !== '0x' && result !== '0x0') {
-      return BigInt(result) === 1n;
-    }
-    return false;
+    const hasAccess = Boolean(result && result !== '0x' && result !== '0x0' && BigInt(result) === 1n);
+    onChainAccessChecks.inc({ ...labels, result: hasAccess ? 'hit' : 'miss' });
+    return hasAccess;
   } catch (err) {
-    console.log('On-chain access check unavailable:', err.message);
+    onChainAccessChecks.inc({ ...labels, result: 'error' });
+    logger.warn('On-chain access check unavailable', { vault, resourceId, err });
     return false;
   }
 }
 
+// ─── Facilitator ──────────────────────────────────────────────────
+// FACILITATOR_URL delegates payment checks to a shared facilitator; otherwise
+// this process runs its own and exposes it under /facilitator.
+// ERC-20 payments are priced from the vault's getAcceptedTokens(); only
+// ACCEPTED_TOKENS (if set) or the factory allowlist are honored.
+const tokenPricing = createTokenPricing({
+  rpcCall,
+  factory: CONFIG.factoryContract,
+  allowlist: process.env.ACCEPTED_TOKENS
+    ? process.env.ACCEPTED_TOKENS.split(',').map(t => t.trim()).filter(Boolean)
+    : null,
+});
+
+const vaultRegistry = createVaultRegistry({ rpcCall, factory: CONFIG.factoryContract });
+
+const localFacilitator = createFacilitator({
+  config: CONFIG,
+  rpcCall,
+  tokenPricing,
+  vaultRegistry,
+  settlements: openSettlements(process.env.SETTLEMENTS_FILE || path.join(DATA_DIR, 'settlements.jsonl')),
+});
+const facilitator = process.env.FACILITATOR_URL
+  ? createRemoteFacilitator(process.env.FACILITATOR_URL, {
+    timeoutMs: Number(process.env.FACILITATOR_TIMEOUT_MS || 10000),
+  })
+  : localFacilitator;
+
+// ─── Catalog entry resolution ─────────────────────────────────────
+// Why `entry` cannot be sold yet, or null when it can
+function unavailable(entry) {
+  if (!isResolved(entry)) return 'Resource vault is not resolved yet — try again shortly';
+  if (!isPriced(entry)) return `No ${entry.fiatCurrency} exchange rate yet — try again shortly`;
+  return null;
+}
+
+function useDefaultEntry(req, res, next) {
+  const reason = unavailable(catalog.default);
+  if (reason) return res.status(503).json({ error: reason });
+  req.entry = catalog.default;
+  next();
+}
+
+function useCatalogEntry(req, res, next) {
+  const entry = catalog.get(req.params.vault, req.params.resourceId);
+  if (!entry) {
+    return res.status(404).json({ error: `Unknown resource ${req.params.resourceId} in vault ${req.params.vault}` });
+  }
+  const reason = unavailable(entry);
+  if (reason) return res.status(503).json({ error: reason });
+  req.entry = entry;
+  next();
+}
+
+function resourcePath(entry, route) {
+  const base = `/api/resources/${entry.vault}/${encodeURIComponent(entry.resourceId)}`;
+  return route ? `${base}/${route}` : base;
+}
+
+// Tokens are pinned to the caller's server-issued client ID. Top-ups
+// (credits entries) mint credits tokens, which spend the payer's balance.
+function issueAccessToken(req, entry, payer, txHash) {
+  const { token, expiresAt } = tokens.issue({
+    payer,
+    vault: entry.vault,
+    resourceId: entry.resourceId,
+    mode: entry.credits ? 'credits' : entry.lifetimeAccess ? 'lifetime' : 'session',
+    txHash,
+    clientId: req.clientId || binding.clientOf(req),
+  });
+  return { accessToken: token, tokenType: 'Bearer', expiresAt };
+}
+
+/**
+ * Bind `payment` to the caller (see lib/binding.js), handing a newly issued
+ * client ID back in the X-A402-Client header.
+ */
+function bindPayment(req, res, payment, proof) {
+  const bound = binding.bind(payment, binding.identify(req, proof));
+  if (req.clientId && req.clientId !== req.get(CLIENT_HEADER)) res.set(CLIENT_HEADER, req.clientId);
+  return bound;
+}
+
+/**
+ * The `Authorization: Bearer <token>` presented for `entry`: null without
+ * one, else { claims } or { status, error } for tokens that are invalid or
+ * minted for another resource or device. Credits tokens are good for every
+ * metered entry of their vault; callers must debit each use (see
+ * a402Paywall).
+ */
+function readAccessToken(req, entry) {
+  const token = tokens.readBearer(req);
+  if (!token) return null;
+
+  let claims;
+  try {
+    claims = tokens.verify(token);
+  } catch (err) {
+    return { status: 401, error: err.message };
+  }
+  const spendsCredits = claims.mode === 'credits' && entry.callPriceWei;
+  if (claims.vault !== entry.vault.toLowerCase() || (claims.rid !== entry.resourceId && !spendsCredits)) {
+    return { status: 403, error: 'Token was issued for a different resource' };
+  }
+  if (claims.cid && claims.cid !== binding.clientOf(req)) {
+    return { status: 403, error: 'Token was issued to a different device' };
+  }
+  if (claims.mode !== 'credits' && accessRevoked(entry, claims.sub)) {
+    return { status: 403, error: 'Access was revoked' };
+  }
+  return { claims };
+}
+
+/**
+ * Accept a bearer token for req.entry. Sets req.access to the token claims.
+ * Credits tokens are refused: they only pay for metered calls through
+ * a402Paywall, which debits the balance for each one.
+ */
+function acceptAccessToken(req, res, next) {
+  const token = readAccessToken(req, req.entry);
+  if (token?.error) return res.status(token.status).json({ error: token.error });
+  if (token?.claims.mode === 'credits') {
+    return res.status(403).json({ error: 'Credits tokens only pay for metered calls' });
+  }
+  req.access = token?.claims;
+  next();
+}
+
+/**
+ * Count one view for a request carrying access token `claims`. Tokens for
+ * rentals are only good while the payment they came from is.
+ * Returns { ok: true, rental } or { ok: false, error }.
+ */
+function useTokenView(entry, claims) {
+  if (!hasTerms(entry)) return { ok: true, rental: null };
+  const payment = claims.tx && ledger.get(claims.tx);
+  if (!payment) return { ok: false, error: 'No rental on record for this token' };
+  return rentals.useView(entry, payment);
+}
+
+/**
+ * Content payload for a viewer who has access. IPFS and direct refs are
+ * replaced by a signed, expiring /api/stream link so the origin stays private.
+ */
+function deliverContent(req, entry, viewer) {
+  const content = resolveContentPayload(entry);
+  if (!contentProxy || !PROXIED_TYPES.has(content.contentType) || !content.videoUrl) return content;
+
+  const streamPath = contentProxy.signPath(entry, viewer, content.videoUrl);
+  return { ...content, videoUrl: `${req.protocol}://${req.get('host')}${streamPath}`, proxied: true };
+}
+
+function isPaymentFor(payment, entry) {
+  return payment.vault?.toLowerCase() === entry.vault.toLowerCase() && payment.resourceId === entry.resourceId;
+}
+
+// Pending, failed, dropped and replaced payments never grant access
+function grantsAccess(payment, entry) {
+  return payment.status === PAYMENT_STATUS.confirmed && isPaymentFor(payment, entry);
+}
+
+/**
+ * Whether an admin took `address`'s access to `entry` away (revoked or
+ * refunded) without a confirmed payment since. Also overrides on-chain
+ * lifetime access, which the server cannot undo on the contract.
+ */
+function accessRevoked(entry, address) {
+  const records = ledger.findByPayer(address).filter(p => isPaymentFor(p, entry));
+  return records.some(p => p.status === PAYMENT_STATUS.revoked || p.status === PAYMENT_STATUS.refunded)
+    && !records.some(p => p.status === PAYMENT_STATUS.confirmed);
+}
+
+// Where a payment stands, as reported to clients
+function paymentStatus(payment) {
+  return {
+    txHash: payment.txHash,
+    status: payment.status,
+    reason: payment.statusReason || null,
+    confirmations: payment.confirmations ?? null,
+    requiredConfirmations: payment.requiredConfirmations ?? null,
+    history: payment.statusHistory || [],
+  };
+}
+
 // ─── Endpoints ────────────────────────────────────────────────────
 
 app.get('/api/health', (req, res) => {
-  const content = resolveContentPayload();
+  const content = resolveContentPayload(catalog.default);
   res.json({
     status: 'ok',
     chain: CONFIG.caip2,
-    verifierContract: CONFIG.verifierContract,
+    verifierContract: catalog.default.vault,
+    contract: catalog.default.contract,
     creatorAddress: CONFIG.creatorAddress,
     lifetimeAccess: CONFIG.lifetimeAccess,
     contentType: content.contentType,
+    resources: catalog.list().length,
+    ledgerPayments: ledger.size(),
+    webhooks: webhooks.stats(),
+    verificationQueue: verificationQueue.stats(),
+    credits: credits.stats(),
+    rateLimits: { perIp: ipLimiter.stats(), perAddress: addressLimiter.stats(), unknownTxCached: unknownTx.size },
+    rpc: rpc.status(),
+    ...(priceFeed ? { priceFeed: { ...priceFeed.status(), quotes: quotes.size() } } : {}),
+  });
+});
+
+// ─── Readiness and metrics ────────────────────────────────────────
+// /api/health only reports state; /api/ready asks the chain. Its RPC client
+// fails fast (no retries) and reuses an answer for a second, so frequent
+// probes cost at most one round trip per second.
+const readinessRpc = createRpcClient({
+  urls: CONFIG.rpcUrls,
+  timeoutMs: Number(process.env.READY_TIMEOUT_MS || 3000),
+  retries: 0,
+});
+
+app.get('/api/ready', async (req, res) => {
+  const checks = {};
+  try {
+    const [chainId, blockNumber] = await Promise.all([
+      readinessRpc.call('eth_chainId', [], { cacheTtlMs: 1000 }),
+      readinessRpc.call('eth_blockNumber', [], { cacheTtlMs: 1000 }),
+    ]);
+    checks.rpc = Number(BigInt(chainId)) === CONFIG.chainId
+      ? { ok: true, blockNumber: Number(BigInt(blockNumber)) }
+      : { ok: false, error: `RPC is on chain ${Number(BigInt(chainId))}, expected ${CONFIG.chainId}` };
+  } catch (err) {
+    checks.rpc = { ok: false, error: err.message };
+  }
+  checks.catalog = isResolved(catalog.default)
+    ? { ok: true }
+    : { ok: false, error: 'Default resource vault is not resolved yet' };
+  if (priceFeed) {
+    const feed = priceFeed.status();
+    checks.priceFeed = feed.stale
+      ? { ok: false, error: feed.lastError || 'Exchange rates are out of date' }
+      : { ok: true, ageSeconds: feed.ageSeconds };
+  }
+
+  const ready = Object.values(checks).every(check => check.ok);
+  res.status(ready ? 200 : 503).json({ ready, checks });
+});
+
+metrics.gauge('rpc_endpoint_up', 'Whether an RPC endpoint is currently in rotation', ['endpoint', 'host'],
+  () => rpc.status().map(({ endpoint, host, healthy }) => [{ endpoint, host }, healthy ? 1 : 0]));
+metrics.gauge('verification_queue_pending', 'Payments the verification queue is watching', [],
+  () => [[{}, verificationQueue.stats().watching]]);
+metrics.gauge('price_feed_rate', 'Fiat value of one APTM from the price feed', ['currency'],
+  () => Object.entries(priceFeed?.rates() || {}).map(([currency, rate]) => [{ currency }, Number(rate)]));
+metrics.gauge('price_feed_age_seconds', 'Seconds since the price feed was last read', [],
+  () => (priceFeed?.status().ageSeconds != null ? [[{}, priceFeed.status().ageSeconds]] : []));
+
+// METRICS_TOKEN, when set, must be sent as `Authorization: Bearer <token>`.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && !safeEqual(req.get('authorization') || '', `Bearer ${METRICS_TOKEN}`)) {
+    return res.status(401).json({ error: 'A valid metrics token is required' });
+  }
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+// ─── Sign-In with Ethereum ────────────────────────────────────────
+app.get('/api/nonce', (req, res) => {
+  res.json(siwe.issueNonce());
+});
+
+app.post('/api/siwe/verify', (req, res) => {
+  const { message, signature } = req.body || {};
+  if (!message || !signature) {
+    return res.status(400).json({ error: 'message and signature are required' });
+  }
+
+  try {
+    const { session } = siwe.verify(message, signature, req.get('host'));
+    req.log.info('Signed in', { address: session.address });
+    res.json({
+      address: session.address,
+      session: session.id,
+      expiresAt: new Date(session.expiresAt).toISOString(),
+    });
+  } catch (err) {
+    res.status(401).json({ error: 'Sign-in failed: ' + err.message });
+  }
+});
+
+app.post('/api/siwe/logout', (req, res) => {
+  res.json({ loggedOut: siwe.endSession(req.get(SESSION_HEADER)) });
+});
+
+app.get('/api/resources', (req, res) => {
+  res.json({
+    resources: catalog.list().map(entry => ({
+      vault: entry.vault,
+      contract: entry.contract,
+      resourceId: entry.resourceId,
+      title: entry.title,
+      creator: entry.creator,
+      price: entry.price,
+      priceWei: entry.priceWei,
+      ...(entry.fiatPrice ? { fiatPrice: entry.fiatPrice, fiatCurrency: entry.fiatCurrency, rate: entry.rate } : {}),
+      lifetimeAccess: entry.lifetimeAccess,
+      ...(hasTerms(entry) ? { rentalSeconds: entry.rentalSeconds || null, maxViews: entry.maxViews || null } : {}),
+      confirmations: entry.confirmations,
+      ...(entry.credits ? { credits: true } : {}),
+      ...(entry.callPrice ? { callPrice: entry.callPrice, callPriceWei: entry.callPriceWei } : {}),
+      contentType: resolveContentPayload(entry).contentType,
+      path: resourcePath(entry),
+    })),
   });
 });
 
-app.get('/api/payment-info', (req, res) => {
+// Per-resource routes. Mounted twice: under /api/resources/:vault/:resourceId
+// for any catalog entry, and under /api for the default (CONFIG) entry.
+const resourceRoutes = express.Router();
+resourceRoutes.use(limitRpcUse);
+
+// ERC-20 options for a resource: allowlisted tokens the vault prices it in.
+async function listAcceptedTokens(entry) {
+  try {
+    const accepted = await tokenPricing.acceptedTokens(entry.vault, entry.resourceId);
+    const tokens = [];
+    for (const { token, price } of accepted) {
+      if (!(await tokenPricing.isAllowed(token))) continue;
+      const { symbol, decimals } = await tokenPricing.tokenInfo(token);
+      tokens.push({ token, symbol, decimals, price: price.toString(), amount: formatUnits(price, decimals) });
+    }
+    return tokens;
+  } catch (err) {
+    logger.warn('Accepted tokens unavailable', { vault: entry.vault, resourceId: entry.resourceId, err });
+    return [];
+  }
+}
+
+resourceRoutes.get('/payment-info', async (req, res) => {
+  const { entry } = req;
   res.json({
     chainId: CONFIG.chainId,
     caip2: CONFIG.caip2,
     rpcUrl: CONFIG.rpcUrl,
-    verifierContract: CONFIG.verifierContract,
-    creatorAddress: CONFIG.creatorAddress,
-    resourceId: CONFIG.resourceId,
-    price: CONFIG.price,
-    priceWei,
+    verifierContract: entry.vault,
+    vault: entry.vault,
+    contract: entry.contract,
+    method: PAY_METHODS[entry.contract],
+    creatorAddress: entry.creator,
+    resourceId: entry.resourceId,
+    price: entry.price,
+    priceWei: entry.priceWei,
     currency: CONFIG.currency,
     decimals: CONFIG.decimals,
-    lifetimeAccess: CONFIG.lifetimeAccess,
-    description: CONFIG.lifetimeAccess
+    // Fiat prices: pay at least quote.minAmountWei before quote.expiresAt and
+    // send quote.id to /verify with the tx hash
+    ...(entry.fiatPrice ? { fiatPrice: entry.fiatPrice, fiatCurrency: entry.fiatCurrency, quote: quotes.issue(entry) } : {}),
+    // Fiat-priced resources are paid in APTM only
+    acceptedTokens: entry.fiatPrice ? [] : await listAcceptedTokens(entry),
+    lifetimeAccess: entry.lifetimeAccess,
+    ...(hasTerms(entry) ? { rentalSeconds: entry.rentalSeconds || null, maxViews: entry.maxViews || null } : {}),
+    confirmations: entry.confirmations,
+    ...(entry.credits ? { credits: creditsSummary(entry.vault, null) } : {}),
+    ...(entry.callPrice ? { callPrice: entry.callPrice, callPriceWei: entry.callPriceWei } : {}),
+    description: entry.lifetimeAccess
       ? 'Pay once for lifetime access via A402 contract'
       : 'Pay per access via A402 contract',
   });
 });
 
-app.get('/api/nonce', (req, res) => {
-  const nonce = '0x' + crypto.randomBytes(32).toString('hex');
-  res.json({ nonce });
-});
-
 // ─── Check Access ─────────────────────────────────────────────────
-app.get('/api/check-access', async (req, res) => {
-  const userAddress = req.query.address;
+// Access status is public (payments are on-chain anyway), but content is only
+// released to an address proven through a SIWE session.
+resourceRoutes.get('/check-access', siwe.attachSession, async (req, res) => {
+  const { entry } = req;
+  const provenAddress = req.siwe?.address;
+  const userAddress = provenAddress || req.query.address;
   if (!userAddress) {
-    return res.status(400).json({ error: 'address query parameter is required' });
+    return res.status(400).json({ error: `address query parameter or ${SESSION_HEADER} header is required` });
+  }
+  if (!provenAddress && !ADDRESS_RE.test(userAddress)) {
+    return res.status(400).json({ error: 'address must be a 20-byte hex address' });
+  }
+  if (provenAddress && req.query.address && req.query.address.toLowerCase() !== provenAddress) {
+    return res.status(403).json({ error: 'address does not match the signed-in wallet' });
   }
 
-  // 1. Check in-memory ledger first
-  for (const [, payment] of payments) {
-    if (payment.verified && payment.payer?.toLowerCase() === userAddress.toLowerCase()) {
-      return res.json({
-        hasAccess: true,
-        source: 'session',
-        message: 'Access granted (verified this session)',
-        ...resolveContentPayload(),
-      });
-    }
+  let grant = null;
+
+  // 1. Check the payment ledger first
+  const payment = rentals.pickPayment(entry, ledger.findByPayer(userAddress).filter(p => grantsAccess(p, entry)));
+  const rental = payment ? rentals.status(entry, payment) : null;
+  if (payment && (!rental || rental.active)) {
+    grant = {
+      source: 'session',
+      evidence: { source: 'ledger', payment },
+      message: 'Access granted (verified payment on record)',
+      ...(rental ? { rental } : {}),
+    };
   }
 
   // 2. Check on-chain
-  if (CONFIG.lifetimeAccess) {
-    const onChain = await checkOnChainAccess(CONFIG.resourceId, userAddress);
+  if (!grant && entry.lifetimeAccess && !accessRevoked(entry, userAddress)) {
+    const onChain = await checkOnChainAccess(entry.vault, entry.resourceId, userAddress);
     if (onChain) {
-      console.log(`♻️  Lifetime access confirmed on-chain for ${userAddress} → ${CONFIG.resourceId}`);
-      return res.json({
-        hasAccess: true,
+      grant = {
         source: 'on-chain',
+        evidence: { source: 'on-chain', address: userAddress },
         lifetime: true,
         message: 'Lifetime access confirmed — you already paid for this content!',
-        ...resolveContentPayload(),
-      });
+      };
     }
   }
 
   // 3. No access found
-  res.json({
-    hasAccess: false,
-    lifetimeAccess: CONFIG.lifetimeAccess,
-    message: CONFIG.lifetimeAccess
-      ? 'No access found. Pay once to unlock this content forever.'
-      : 'No access found. Payment required.',
-  });
-});
-
-// ─── Protected resource ───────────────────────────────────────────
-app.get('/api/video', (req, res) => {
-  const txHash = req.headers['x-payment-tx'] || req.query.txHash;
-
-  if (!txHash) {
-    return res.status(402).json({
-      status: 402,
-      message: 'Payment Required',
-      'x-payment-required': {
-        network: CONFIG.caip2,
-        chainId: CONFIG.chainId,
-        verifierContract: CONFIG.verifierContract,
-        creator: CONFIG.creatorAddress,
-        resourceId: CONFIG.resourceId,
-        amount: CONFIG.price,
-        amountWei: priceWei,
-        asset: CONFIG.currency,
-        lifetimeAccess: CONFIG.lifetimeAccess,
-        method: 'payForAccess(string,address,uint256,bytes32)',
-        description: CONFIG.lifetimeAccess
-          ? 'Pay once via A402Verifier for lifetime access'
-          : 'Pay via A402Verifier to unlock content',
-      },
+  if (!grant) {
+    if (rental) {
+      auditAccess(req, false, rental.reason, { source: 'ledger', payment });
+      return res.json({
+        hasAccess: false,
+        lifetimeAccess: false,
+        rental,
+        message: `${rental.reason}. Pay again to keep watching.`,
+      });
+    }
+    auditAccess(req, false, 'No payment on record', {
+      source: entry.lifetimeAccess ? 'ledger,on-chain' : 'ledger',
+      address: userAddress,
     });
-  }
-
-  const payment = payments.get(txHash.toLowerCase());
-  if (payment?.verified) {
     return res.json({
-      status: 200,
-      message: 'Payment verified!',
-      ...resolveContentPayload(),
+      hasAccess: false,
+      lifetimeAccess: entry.lifetimeAccess,
+      message: entry.lifetimeAccess
+        ? 'No access found. Pay once to unlock this content forever.'
+        : 'No access found. Payment required.',
     });
   }
 
-  res.status(402).json({ status: 402, message: 'Payment not yet verified.' });
-});
-
-// ─── Verify payment via contract event logs ───────────────────────
-app.post('/api/verify', async (req, res) => {
-  const { txHash } = req.body;
-  if (!txHash) return res.status(400).json({ error: 'txHash is required' });
-
-  const normalizedHash = txHash.toLowerCase();
-
-  if (payments.get(normalizedHash)?.verified) {
+  const { evidence, ...found } = grant;
+  if (!provenAddress) {
+    // Access exists, but nothing is released until the wallet signs in
+    auditAccess(req, false, 'Sign-in required to release content', evidence);
     return res.json({
-      verified: true,
-      message: 'Payment already verified',
-      ...resolveContentPayload(),
+      hasAccess: true,
+      ...found,
+      signInRequired: true,
+      message: 'This address has access. Sign in with the wallet to unlock the content.',
     });
   }
 
-  try {
-    const receipt = await rpcCall('eth_getTransactionReceipt', [txHash]);
-
-    if (!receipt) {
-      const tx = await rpcCall('eth_getTransactionByHash', [txHash]);
-      if (!tx) return res.status(404).json({ verified: false, error: 'Transaction not found' });
-      return res.status(202).json({ verified: false, message: 'Pending — try again shortly.', pending: true });
+  if (grant.source === 'session') {
+    const bound = bindPayment(req, res, payment);
+    if (!bound.ok) {
+      auditAccess(req, false, bound.error, evidence);
+      return res.status(bound.status).json({ hasAccess: false, error: bound.error });
     }
 
-    if (receipt.status !== '0x1') {
-      return res.status(400).json({ verified: false, error: 'Transaction reverted on-chain' });
+    const view = rentals.useView(entry, payment);
+    if (!view.ok) {
+      auditAccess(req, false, view.error, evidence);
+      return res.json({ hasAccess: false, rental: view.rental, message: view.error });
     }
+    if (view.rental) found.rental = view.rental;
+  }
 
-    const tx = await rpcCall('eth_getTransactionByHash', [txHash]);
-    if (!tx || tx.to?.toLowerCase() !== CONFIG.verifierContract.toLowerCase()) {
-      return res.status(400).json({
-        verified: false,
-        error: `Transaction not sent to A402 contract (${CONFIG.verifierContract})`,
-      });
-    }
+  auditAccess(req, true, found.message, evidence);
+  res.json({
+    hasAccess: true,
+    ...found,
+    address: provenAddress,
+    ...issueAccessToken(req, entry, provenAddress, payment?.txHash),
+    ...deliverContent(req, entry, provenAddress),
+  });
+});
 
-    const contractLogs = (receipt.logs || []).filter(
-      log => log.address?.toLowerCase() === CONFIG.verifierContract.toLowerCase()
-    );
+// ─── Payment verification (via the facilitator) ──────────────────
+/**
+ * The least APTM (wei) a payment for `entry` must carry: a quote's minimum,
+ * or for fiat-priced entries the current price less the slippage tolerance.
+ */
+function minimumAmountWei(entry, quote = null) {
+  if (quote) return quote.minAmountWei;
+  if (entry.fiatPrice) return withSlippage(entry.priceWei, CONFIG.slippageBps);
+  return entry.priceWei;
+}
 
-    if (contractLogs.length === 0) {
-      return res.status(400).json({
-        verified: false,
-        error: 'No events from contract — call may have failed',
-      });
-    }
+function settlePayment(entry, txHash, amountWei = minimumAmountWei(entry)) {
+  const requirements = {
+    ...x402.buildPaymentRequirements(entry, CONFIG, resourcePath(entry, 'video')),
+    maxAmountRequired: amountWei,
+  };
+  return facilitator.settle({
+    x402Version: x402.X402_VERSION,
+    scheme: requirements.scheme,
+    network: requirements.network,
+    payload: { txHash },
+  }, requirements);
+}
 
-    let verifiedLog = null;
+/**
+ * Record a settled payment for `entry` as confirmed and announce it.
+ */
+function confirmPayment(entry, txHash, settlement, quote = null) {
+  const payment = ledger.transition(txHash, PAYMENT_STATUS.confirmed, {
+    ...quoteFields(quote),
+    vault: entry.vault,
+    resourceId: entry.resourceId,
+    payer: settlement.payer,
+    creator: entry.creator,
+    amount: settlement.amount,
+    token: settlement.asset || NATIVE_TOKEN,
+    decimals: settlement.decimals ?? CONFIG.decimals,
+    blockNumber: settlement.blockNumber ?? null,
+    paidAt: settlement.blockTimestamp ? settlement.blockTimestamp * 1000 : null,
+    lifetime: entry.lifetimeAccess,
+    confirmations: Math.max(ledger.get(txHash)?.confirmations || 0, entry.confirmations),
+    requiredConfirmations: entry.confirmations,
+  });
 
-    for (const log of contractLogs) {
-      if (!log.topics || log.topics.length < 3) continue;
+  const unit = payment.token === NATIVE_TOKEN ? CONFIG.currency : payment.token;
+  const amount = formatUnits(payment.amount, payment.decimals);
+  revenueVerified.inc({ ...resourceLabels(entry), token: unit }, Number(amount));
+  logger.info('Payment verified', {
+    txHash,
+    blockNumber: payment.blockNumber,
+    payer: payment.payer,
+    creator: payment.creator,
+    vault: entry.vault,
+    resourceId: entry.resourceId,
+    amount,
+    token: unit,
+    access: entry.lifetimeAccess ? 'lifetime' : 'session',
+  });
 
-      const logCreator = '0x' + log.topics[2].slice(-40);
-      if (logCreator.toLowerCase() !== CONFIG.creatorAddress.toLowerCase()) continue;
+  webhooks.dispatch('payment.verified', {
+    txHash: payment.txHash,
+    vault: payment.vault,
+    resourceId: payment.resourceId,
+    payer: payment.payer,
+    creator: payment.creator,
+    amount: payment.amount,
+    token: payment.token,
+    decimals: payment.decimals,
+    lifetime: payment.lifetime,
+    blockNumber: payment.blockNumber,
+  }, { creator: payment.creator, vault: payment.vault });
 
-      const data = log.data.slice(2);
-      if (data.length < 128) continue;
+  if (entry.credits) {
+    creditTopUp(entry, payment).catch(err => logger.error('Credits: cannot credit top-up', { txHash, err }));
+  }
 
-      const logAmount = BigInt('0x' + data.slice(64, 128));
-      if (logAmount < BigInt(priceWei)) continue;
+  return payment;
+}
 
-      const logPayer = '0x' + log.topics[1].slice(-40);
-      verifiedLog = { payer: logPayer, creator: logCreator, amount: logAmount.toString() };
-      break;
-    }
+// ─── Prepaid credits ──────────────────────────────────────────────
+/**
+ * Credit a confirmed payment for a credits entry to its payer's balance.
+ * ERC-20 top-ups count at the rate the vault lists for the entry. Safe to
+ * call more than once per payment.
+ */
+async function creditTopUp(entry, payment) {
+  if (credits.isCredited(payment.txHash)) return;
 
-    if (!verifiedLog) {
-      return res.status(400).json({
-        verified: false,
-        error: 'Payment event not found with matching creator and amount',
-      });
-    }
+  let amount = BigInt(payment.amount);
+  if (payment.token !== NATIVE_TOKEN) {
+    const listed = (await tokenPricing.acceptedTokens(entry.vault, entry.resourceId))
+      .find(t => t.token.toLowerCase() === payment.token.toLowerCase());
+    if (!listed) throw new Error(`${entry.vault} lists no price in ${payment.token} for ${entry.resourceId}`);
+    amount = amount * BigInt(entry.priceWei) / listed.price;
+  }
 
-    payments.set(normalizedHash, {
-      verified: true,
-      payer: verifiedLog.payer,
-      creator: verifiedLog.creator,
-      amount: verifiedLog.amount,
-      timestamp: Date.now(),
+  const line = credits.topUp({
+    vault: entry.vault,
+    address: payment.payer,
+    amount,
+    txHash: payment.txHash,
+    token: payment.token,
+    paid: payment.amount,
+  });
+  if (line) {
+    logger.info('Credits topped up', {
+      vault: entry.vault,
+      address: payment.payer,
+      amount: formatUnits(amount, CONFIG.decimals),
+      balance: formatUnits(line.balance, CONFIG.decimals),
+      currency: CONFIG.currency,
+      txHash: payment.txHash,
     });
+  }
+}
 
-    const accessType = CONFIG.lifetimeAccess ? 'lifetime' : 'session';
-    console.log(`✅ Verified (${accessType}): ${verifiedLog.payer} → ${verifiedLog.creator} | ${verifiedLog.amount} wei | tx: ${txHash}`);
-
-    res.json({
-      verified: true,
-      lifetime: CONFIG.lifetimeAccess,
-      message: CONFIG.lifetimeAccess
-        ? 'Payment verified! You now have lifetime access to this content.'
-        : 'Payment verified! Content unlocked.',
-      payer: verifiedLog.payer,
-      ...resolveContentPayload(),
-    });
+/**
+ * Balance of `address` (when known) on `vault`, with how to top it up.
+ */
+function creditsSummary(vault, address) {
+  const topUp = catalog.creditsFor(vault);
+  const balance = address ? credits.balance(vault, address) : null;
+  return {
+    vault: vault.toLowerCase(),
+    ...(address ? {
+      address: address.toLowerCase(),
+      balance: formatUnits(balance, CONFIG.decimals),
+      balanceWei: balance,
+    } : {}),
+    currency: CONFIG.currency,
+    topUp: topUp && {
+      resourceId: topUp.resourceId,
+      minimum: topUp.price,
+      minimumWei: topUp.priceWei,
+      method: PAY_METHODS[topUp.contract],
+      paymentInfo: resourcePath(topUp, 'payment-info'),
+      verify: resourcePath(topUp, 'verify'),
+    },
+  };
+}
 
-  } catch (err) {
-    console.error('Verification error:', err);
-    res.status(500).json({ verified: false, error: 'Verification failed: ' + err.message });
+/**
+ * Pay one call to metered `entry` from `address`'s balance. Returns
+ * { ok: true, balance } or { ok: false, error } when it does not cover the
+ * call price.
+ */
+function debitCall(entry, address) {
+  const result = credits.debit({
+    vault: entry.vault,
+    address,
+    amount: entry.callPriceWei,
+    resourceId: entry.resourceId,
+  });
+  if (!result.ok) {
+    return {
+      ok: false,
+      error: `Insufficient credits: balance ${formatUnits(result.balance, CONFIG.decimals)} ${CONFIG.currency}, call price ${entry.callPrice} ${CONFIG.currency}`,
+    };
   }
-});
+  return { ok: true, balance: result.balance };
+}
+
+/**
+ * The account a credits request speaks for: the SIWE session's address, or
+ * the subject of a credits token for `vault`. null without either.
+ */
+function creditsAccount(req, vault) {
+  if (req.siwe) return req.siwe.address;
+  const token = tokens.readBearer(req);
+  if (!token) return null;
+  const claims = tokens.verify(token);
+  if (claims.mode !== 'credits' || claims.vault !== vault.toLowerCase()) {
+    throw new Error('Token is not a credits token for this vault');
+  }
+  return claims.sub;
+}
+
+// Pending payments are settled again in the background until they are final
+// (lib/verification.js); clients only need to ask for the outcome.
+const verificationQueue = createVerificationQueue({
+  ledger,
+  rpcCall,
+  settle: async (payment) => {
+    const entry = catalog.get(payment.vault, payment.resourceId);
+    if (!entry) return { success: false, errorReason: 'unknown_resource', message: 'Resource is no longer in the catalog' };
+    return settlePayment(entry, payment.txHash, payment.minAmountWei);
+  },
+  onConfirmed: (payment, settlement) => {
+    // The resource may have been removed while the payment was settling;
+    // the next pass then fails it as unknown_resource.
+    const entry = catalog.get(payment.vault, payment.resourceId);
+    if (!entry) {
+      logger.warn('Verification queue: resource left the catalog, payment not confirmed', {
+        txHash: payment.txHash,
+        vault: payment.vault,
+        resourceId: payment.resourceId,
+      });
+      return payment;
+    }
+    return confirmPayment(entry, payment.txHash, settlement, quoteOf(payment));
+  },
+  intervalMs: Number(process.env.VERIFY_QUEUE_INTERVAL_MS || 3000),
+  dropAfterMs: Number(process.env.VERIFY_DROP_AFTER_MS || 15 * 60 * 1000),
+});
+
+function pendingResult(payment) {
+  return {
+    verified: false,
+    status: 202,
+    pending: true,
+    payment,
+    error: payment.confirmations
+      ? `Waiting for confirmations (${payment.confirmations}/${payment.requiredConfirmations})`
+      : 'Pending — waiting for the transaction to be mined.',
+  };
+}
+
+// Hashes the chain did not know, remembered briefly so repeated lookups of
+// a bogus or not-yet-broadcast hash don't each cost RPC calls.
+const UNKNOWN_TX_CACHE_MS = Number(process.env.UNKNOWN_TX_CACHE_MS || 10000);
+const MAX_UNKNOWN_TX = 10000;
+const unknownTx = new Map();
+
+function rememberUnknownTx(txHash) {
+  if (!UNKNOWN_TX_CACHE_MS) return;
+  unknownTx.delete(txHash);
+  if (unknownTx.size >= MAX_UNKNOWN_TX) unknownTx.delete(unknownTx.keys().next().value);
+  unknownTx.set(txHash, Date.now() + UNKNOWN_TX_CACHE_MS);
+}
+
+function isKnownUnknownTx(txHash) {
+  const expires = unknownTx.get(txHash);
+  if (expires && expires > Date.now()) return true;
+  unknownTx.delete(txHash);
+  return false;
+}
+
+// Facilitator reasons for a transaction that does not pay for the resource
+// it was presented for; counted as `mismatch` in a402_verifications_total.
+const MISMATCH_REASONS = new Set([
+  'insufficient_amount',
+  'invalid_pay_to',
+  'no_contract_events',
+  'payment_event_not_found',
+  'token_not_accepted',
+  'token_not_allowed',
+  'transaction_already_used',
+  'unsupported_asset',
+]);
+
+function verificationOutcome(result) {
+  if (result.verified) return 'verified';
+  if (result.pending) return 'pending';
+  if (result.reason === 'transaction_reverted') return 'reverted';
+  if (result.reason === 'transaction_not_found') return 'not_found';
+  if (MISMATCH_REASONS.has(result.reason)) return 'mismatch';
+  return 'failed';
+}
+
+/**
+ * Verify that txHash paid for `entry`, at least `quote`'s minimum when given
+ * (see minimumAmountWei). On success the payment is recorded in the ledger as
+ * confirmed. A payment that is not final yet is recorded as pending, with the
+ * quote it was checked against, and watched by the verification queue. Returns
+ * { verified: true, payment, cached } or
+ * { verified: false, status, error, reason?, pending?, payment? }.
+ */
+async function verifyPaymentTx(entry, txHash, quote = null) {
+  let result;
+  try {
+    result = await lookUpPaymentTx(entry, txHash, quote);
+  } catch (err) {
+    verifications.inc({ ...resourceLabels(entry), outcome: 'error' });
+    throw err;
+  }
+  verifications.inc({ ...resourceLabels(entry), outcome: verificationOutcome(result) });
+  return result;
+}
+
+async function lookUpPaymentTx(entry, txHash, quote) {
+  const normalizedHash = txHash.toLowerCase();
+
+  const existing = ledger.get(normalizedHash);
+  if (existing) {
+    if (!isPaymentFor(existing, entry)) {
+      return { verified: false, status: 400, reason: 'transaction_already_used', error: 'Transaction already used for a different resource' };
+    }
+    if (existing.status === PAYMENT_STATUS.pending) return pendingResult(existing);
+    if (existing.status !== PAYMENT_STATUS.confirmed) {
+      return {
+        verified: false,
+        status: 400,
+        payment: existing,
+        reason: existing.failureReason,
+        error: `Payment ${existing.status}: ${existing.statusReason}`,
+      };
+    }
+    return { verified: true, payment: existing, cached: true };
+  }
+
+  if (isKnownUnknownTx(normalizedHash)) {
+    return {
+      verified: false,
+      status: REASON_STATUS.transaction_not_found,
+      reason: 'transaction_not_found',
+      error: 'Transaction not found',
+    };
+  }
+
+  const settlement = await settlePayment(entry, txHash, minimumAmountWei(entry, quote));
+
+  if (!settlement.success) {
+    if (settlement.errorReason === 'transaction_pending') {
+      const payment = ledger.transition(normalizedHash, PAYMENT_STATUS.pending, {
+        ...quoteFields(quote),
+        vault: entry.vault,
+        resourceId: entry.resourceId,
+        creator: entry.creator,
+        lifetime: entry.lifetimeAccess,
+        confirmations: settlement.confirmations ?? 0,
+        requiredConfirmations: entry.confirmations,
+      });
+      verificationQueue.watch(normalizedHash);
+      return pendingResult(payment);
+    }
+    if (settlement.errorReason === 'transaction_not_found') rememberUnknownTx(normalizedHash);
+    return {
+      verified: false,
+      status: REASON_STATUS[settlement.errorReason] || 400,
+      reason: settlement.errorReason,
+      error: settlement.message || settlement.errorReason,
+    };
+  }
+
+  return { verified: true, payment: confirmPayment(entry, normalizedHash, settlement, quote), cached: false };
+}
+
+// ─── Protected resource ───────────────────────────────────────────
+function sendPaymentRequired(req, res, entry, error, extra = {}) {
+  const resourceUrl = `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`;
+  const requirements = x402.buildPaymentRequirements(entry, CONFIG, resourceUrl);
+  const body = x402.buildPaymentRequired(requirements, error);
+
+  res.set(x402.HEADERS.required, x402.encodeHeader(body));
+  paymentsRequired.inc(resourceLabels(entry));
+  return res.status(402).json({
+    ...body,
+    ...extra,
+    status: 402,
+    message: 'Payment Required',
+    // Legacy clients: pay, then resend the tx hash as `x-payment-tx` / ?txHash=
+    'x-payment-required': {
+      network: CONFIG.caip2,
+      chainId: CONFIG.chainId,
+      verifierContract: entry.vault,
+      contract: entry.contract,
+      creator: entry.creator,
+      resourceId: entry.resourceId,
+      amount: entry.price,
+      amountWei: entry.priceWei,
+      asset: CONFIG.currency,
+      lifetimeAccess: entry.lifetimeAccess,
+      method: PAY_METHODS[entry.contract],
+      description: `${entry.lifetimeAccess ? 'Pay once for lifetime access' : 'Pay to unlock content'} via ${entry.contract === 'vault' ? "the creator's vault" : 'A402Verifier'}`,
+    },
+  });
+}
+
+/**
+ * Verify an X-PAYMENT header for `entry`, bind the payment to the requester
+ * and count one view. On success sets X-PAYMENT-RESPONSE and returns
+ * { ok: true, payment, rental }; otherwise { ok: false, error, txHash?,
+ * payment? } for a 402. Throws when the payment can't be checked.
+ */
+async function acceptPaymentHeader(req, res, entry, header) {
+  const requirements = x402.buildPaymentRequirements(entry, CONFIG, req.originalUrl);
+  let txHash, payment;
+  try {
+    ({ txHash, payment } = x402.parsePaymentHeader(header, requirements));
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+
+  const result = await verifyPaymentTx(entry, txHash);
+  if (!result.verified) return { ok: false, error: result.error, txHash };
+
+  const { signature, nonce } = payment.payload;
+  const bound = bindPayment(req, res, result.payment, { txHash, signature, nonce });
+  if (!bound.ok) return { ok: false, error: bound.error, payment: result.payment };
+
+  const view = rentals.useView(entry, result.payment);
+  if (!view.ok) return { ok: false, error: view.error, payment: result.payment };
+
+  res.set(x402.HEADERS.response, x402.encodeHeader(x402.buildSettlementResponse({
+    txHash: result.payment.txHash,
+    network: CONFIG.caip2,
+    payer: result.payment.payer,
+  })));
+  return { ok: true, payment: result.payment, rental: view.rental };
+}
+
+resourceRoutes.get('/video', siwe.attachSession, acceptAccessToken, async (req, res) => {
+  const { entry } = req;
+
+  if (req.access) {
+    const evidence = { source: 'access-token', txHash: req.access.tx, address: req.access.sub };
+    const view = useTokenView(entry, req.access);
+    if (!view.ok) {
+      auditAccess(req, false, view.error, evidence);
+      return sendPaymentRequired(req, res, entry, view.error);
+    }
+    auditAccess(req, true, 'Access token accepted', evidence);
+    return res.json({
+      status: 200,
+      message: 'Access token accepted',
+      ...(view.rental ? { rental: view.rental } : {}),
+      ...deliverContent(req, entry, req.access.sub),
+    });
+  }
+
+  const paymentHeader = req.get(x402.HEADERS.payment);
+
+  // x402: X-PAYMENT carries the paying tx hash; verify it inline and settle.
+  if (paymentHeader) {
+    try {
+      const result = await acceptPaymentHeader(req, res, entry, paymentHeader);
+      if (!result.ok) {
+        auditAccess(req, false, result.error, { source: 'x402', payment: result.payment, txHash: result.txHash });
+        return sendPaymentRequired(req, res, entry, result.error);
+      }
+      auditAccess(req, true, 'Payment verified', { source: 'x402', payment: result.payment });
+      return res.json({
+        status: 200,
+        message: 'Payment verified!',
+        ...(result.rental ? { rental: result.rental } : {}),
+        ...issueAccessToken(req, entry, result.payment.payer, result.payment.txHash),
+        ...deliverContent(req, entry, result.payment.payer),
+      });
+    } catch (err) {
+      req.log.error('x402 verification error', { err });
+      auditAccess(req, false, `Verification failed: ${err.message}`, { source: 'x402' });
+      return res.status(500).json({ error: 'Verification failed: ' + err.message });
+    }
+  }
+
+  // Legacy scheme: tx hash previously verified through /verify
+  const txHash = req.headers['x-payment-tx'] || req.query.txHash;
+  if (!txHash) {
+    auditAccess(req, false, 'No payment presented');
+    return sendPaymentRequired(req, res, entry, `${x402.HEADERS.payment} header is required`);
+  }
+  if (!TX_HASH_RE.test(txHash)) {
+    return res.status(400).json({ status: 400, message: 'txHash must be a 32-byte hex transaction hash' });
+  }
+
+  const payment = ledger.get(txHash);
+  if (payment && grantsAccess(payment, entry)) {
+    const evidence = { source: 'tx-hash', payment };
+    const bound = bindPayment(req, res, payment);
+    if (!bound.ok) {
+      auditAccess(req, false, bound.error, evidence);
+      return res.status(bound.status).json({ status: bound.status, message: bound.error });
+    }
+
+    const view = rentals.useView(entry, payment);
+    if (!view.ok) {
+      auditAccess(req, false, view.error, evidence);
+      paymentsRequired.inc(resourceLabels(entry));
+      return res.status(402).json({ status: 402, message: view.error, rental: view.rental });
+    }
+
+    auditAccess(req, true, 'Verified payment on record', evidence);
+    return res.json({
+      status: 200,
+      message: 'Payment verified!',
+      ...(view.rental ? { rental: view.rental } : {}),
+      ...deliverContent(req, entry, payment.payer),
+    });
+  }
+
+  auditAccess(req, false, 'Payment not yet verified', { source: 'tx-hash', txHash });
+  paymentsRequired.inc(resourceLabels(entry));
+  res.status(402).json({ status: 402, message: 'Payment not yet verified.' });
+});
+
+resourceRoutes.post('/verify', siwe.attachSession, async (req, res) => {
+  const { entry } = req;
+  const { txHash, quoteId } = req.body || {};
+  if (!txHash) return res.status(400).json({ error: 'txHash is required' });
+  if (!TX_HASH_RE.test(txHash)) return res.status(400).json({ error: 'txHash must be a 32-byte hex transaction hash' });
+
+  // A quote only matters the first time a payment is checked; after that the
+  // ledger record keeps the amount it was held to. It is held for this
+  // transaction while the check runs and spent once the payment is recorded.
+  let quote = null;
+  if (quoteId && !ledger.get(txHash)) {
+    const quoted = quotes.claim(String(quoteId), entry, txHash);
+    if (!quoted.ok) {
+      auditAccess(req, false, quoted.error, { source: 'chain', txHash });
+      return res.status(400).json({ verified: false, error: quoted.error });
+    }
+    quote = quoted.quote;
+  }
+
+  try {
+    const result = await verifyPaymentTx(entry, txHash, quote).catch((err) => {
+      if (quote) quotes.release(quote.id, txHash);
+      throw err;
+    });
+    if (quote && !result.verified && !result.pending) quotes.release(quote.id, txHash);
+    const evidence = { source: result.cached ? 'ledger' : 'chain', payment: result.payment, txHash };
+
+    if (!result.verified) {
+      auditAccess(req, false, result.error, evidence);
+      if (result.pending) {
+        return res.status(202).json({
+          verified: false,
+          pending: true,
+          message: result.error,
+          ...paymentStatus(result.payment),
+        });
+      }
+      return res.status(result.status).json({
+        verified: false,
+        error: result.error,
+        ...(result.payment ? paymentStatus(result.payment) : {}),
+      });
+    }
+
+    // The payment is valid on-chain; only hand out content to its payer.
+    const bound = bindPayment(req, res, result.payment);
+    if (!bound.ok && bound.status === 401) {
+      auditAccess(req, false, 'Sign-in required to release content', evidence);
+      return res.json({
+        verified: true,
+        signInRequired: true,
+        payer: result.payment.payer,
+        message: 'Payment verified. Sign in with the paying wallet to unlock the content.',
+      });
+    }
+    if (!bound.ok) {
+      auditAccess(req, false, bound.error, evidence);
+      return res.status(bound.status).json({ verified: false, error: bound.error });
+    }
+
+    if (entry.credits) {
+      await creditTopUp(entry, result.payment);
+      auditAccess(req, true, 'Top-up credited', evidence);
+      return res.json({
+        verified: true,
+        message: result.cached ? 'Top-up already credited' : 'Payment verified! Credits added to your balance.',
+        payer: result.payment.payer,
+        credits: creditsSummary(entry.vault, result.payment.payer),
+        ...issueAccessToken(req, entry, result.payment.payer, result.payment.txHash),
+      });
+    }
+
+    const view = rentals.useView(entry, result.payment);
+    if (!view.ok) {
+      auditAccess(req, false, view.error, evidence);
+      paymentsRequired.inc(resourceLabels(entry));
+      return res.status(402).json({ verified: true, hasAccess: false, rental: view.rental, error: view.error });
+    }
+    const rental = view.rental ? { rental: view.rental } : {};
+    auditAccess(req, true, result.cached ? 'Payment already verified' : 'Payment verified', evidence);
+
+    if (result.cached) {
+      return res.json({
+        verified: true,
+        message: 'Payment already verified',
+        ...rental,
+        ...issueAccessToken(req, entry, result.payment.payer, result.payment.txHash),
+        ...deliverContent(req, entry, result.payment.payer),
+      });
+    }
+
+    res.json({
+      verified: true,
+      lifetime: entry.lifetimeAccess,
+      message: entry.lifetimeAccess
+        ? 'Payment verified! You now have lifetime access to this content.'
+        : 'Payment verified! Content unlocked.',
+      payer: result.payment.payer,
+      ...rental,
+      ...issueAccessToken(req, entry, result.payment.payer, result.payment.txHash),
+      ...deliverContent(req, entry, result.payment.payer),
+    });
+
+  } catch (err) {
+    req.log.error('Verification error', { txHash, err });
+    auditAccess(req, false, `Verification failed: ${err.message}`, { source: 'chain', txHash });
+    res.status(500).json({ verified: false, error: 'Verification failed: ' + err.message });
+  }
+});
+
+// Status of a submitted payment; pending ones settle in the background.
+app.get('/api/payments/:txHash', (req, res) => {
+  if (!TX_HASH_RE.test(req.params.txHash)) {
+    return res.status(400).json({ error: 'txHash must be a 32-byte hex transaction hash' });
+  }
+  const payment = ledger.get(req.params.txHash);
+  if (!payment) return res.status(404).json({ error: 'Unknown transaction' });
+  res.json({
+    ...paymentStatus(payment),
+    vault: payment.vault,
+    resourceId: payment.resourceId,
+    payer: payment.payer || null,
+  });
+});
+
+// ─── Payment status stream ────────────────────────────────────────
+// Server-Sent Events for one transaction, so clients subscribe once instead
+// of polling:
+//
+//   pending → mined (per new confirmation) → confirmed → verified
+//
+// or a final reverted / failed / dropped / replaced. Each event's data is the
+// payment status (see paymentStatus()); `verified` adds the payer and amount.
+// The stream ends after a final event. A transaction the server has not seen
+// yet is verified against the resource first, like POST /verify; one that is
+// not visible on-chain yet is looked up again for PAYMENT_STREAM_LOOKUP_MS.
+const PAYMENT_STREAM_LOOKUP_MS = Number(process.env.PAYMENT_STREAM_LOOKUP_MS || 60000);
+const PAYMENT_STREAM_HEARTBEAT_MS = 15000;
+
+function paymentEvents(payment) {
+  const status = paymentStatus(payment);
+  switch (payment.status) {
+    case PAYMENT_STATUS.pending:
+      return [[status.confirmations > 0 ? 'mined' : 'pending', status]];
+    case PAYMENT_STATUS.confirmed:
+      return [
+        ['confirmed', status],
+        ['verified', {
+          ...status,
+          payer: payment.payer,
+          amount: payment.amount,
+          token: payment.token,
+          decimals: payment.decimals,
+          lifetime: payment.lifetime,
+        }],
+      ];
+    case PAYMENT_STATUS.failed:
+      return [[payment.failureReason === 'transaction_reverted' ? 'reverted' : 'failed', status]];
+    default:
+      return [[payment.status, status]];
+  }
+}
+
+resourceRoutes.get('/payments/:txHash/events', async (req, res) => {
+  const { entry } = req;
+  const txHash = req.params.txHash.toLowerCase();
+  if (!TX_HASH_RE.test(txHash)) {
+    return res.status(400).json({ error: 'txHash must be a 32-byte hex transaction hash' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const sent = new Set();
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), PAYMENT_STREAM_HEARTBEAT_MS);
+
+  function send(event, data) {
+    const key = `${event}:${data.confirmations}`;
+    if (closed || sent.has(key)) return;
+    sent.add(key);
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  }
+
+  function publish(payment) {
+    for (const [event, data] of paymentEvents(payment)) send(event, data);
+    if (payment.status !== PAYMENT_STATUS.pending) close();
+  }
+
+  // Subscribe before the lookup so no change from the queue is missed
+  const unsubscribe = verificationQueue.subscribe(txHash, publish);
+  res.on('close', close);
+
+  const deadline = Date.now() + PAYMENT_STREAM_LOOKUP_MS;
+  while (!closed) {
+    const known = ledger.get(txHash);
+    if (known) return publish(known);
+
+    let result;
+    try {
+      result = await verifyPaymentTx(entry, txHash);
+    } catch (err) {
+      result = { verified: false, reason: 'rpc_unavailable', error: err.message };
+    }
+    if (result.payment) return publish(result.payment);
+
+    const retry = ['transaction_not_found', 'rpc_unavailable'].includes(result.reason);
+    if (!retry || Date.now() > deadline) {
+      send(result.reason === 'transaction_reverted' ? 'reverted' : 'failed', {
+        txHash,
+        status: PAYMENT_STATUS.failed,
+        reason: result.error,
+        confirmations: null,
+        requiredConfirmations: entry.confirmations,
+        history: [],
+      });
+      return close();
+    }
+    send('pending', { txHash, status: PAYMENT_STATUS.pending, reason: null, confirmations: 0, requiredConfirmations: entry.confirmations, history: [] });
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+});
+
+// ─── Gated content stream ─────────────────────────────────────────
+// The address a stream request signs in as (SIWE session or access token),
+// lowercased, or null
+function streamRequester(req) {
+  const session = siwe.getSession(req.get(SESSION_HEADER));
+  if (session) return session.address.toLowerCase();
+  const token = tokens.readBearer(req);
+  if (!token) return null;
+  try {
+    return tokens.verify(token).sub.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+app.get('/api/stream/:token{/*path}', async (req, res) => {
+  if (!contentProxy) return res.status(404).json({ error: 'Content proxy disabled' });
+
+  let link;
+  try {
+    link = contentProxy.verifyToken(req.params.token);
+  } catch (err) {
+    return res.status(403).json({ error: err.message });
+  }
+  // Media elements cannot send headers, so a link works on its own while it
+  // is valid; a request that does say who it is must be the link's viewer.
+  const requester = streamRequester(req);
+  if (requester && link.viewer && requester !== link.viewer) {
+    return res.status(403).json({ error: 'Stream link was issued to a different viewer' });
+  }
+
+  const entry = catalog.get(link.vault, link.resourceId);
+  const origin = entry && resolveContentPayload(entry);
+  if (!origin || !PROXIED_TYPES.has(origin.contentType) || !origin.videoUrl) {
+    return res.status(404).json({ error: 'Resource is not available for streaming' });
+  }
+
+  const target = contentProxy.resolveTarget(origin.videoUrl, req.params.path);
+  if (!target) return res.status(400).json({ error: 'Invalid stream path' });
+
+  try {
+    await contentProxy.stream(req, res, target);
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    req.log.error('Stream error', { err: err.message });
+    if (!res.headersSent) res.status(502).json({ error: 'Origin unavailable' });
+  }
+});
+
+// ─── Payment event indexer ────────────────────────────────────────
+// Follows INDEXER_VAULTS if set; otherwise the catalog's contracts plus every
+// vault in the factory registry.
+
+const indexer = (process.env.INDEXER_ENABLED || 'false').toLowerCase() === 'true'
+  ? createIndexer({
+    rpcCall,
+    file: process.env.INDEXER_FILE || path.join(DATA_DIR, 'events.jsonl'),
+    vaults: process.env.INDEXER_VAULTS
+      ? process.env.INDEXER_VAULTS.split(',').map(v => v.trim()).filter(Boolean)
+      : [...new Set(catalog.list().map(entry => entry.vault.toLowerCase()))],
+    factory: process.env.INDEXER_VAULTS ? null : CONFIG.factoryContract,
+    startBlock: process.env.INDEXER_START_BLOCK ? Number(process.env.INDEXER_START_BLOCK) : null,
+    batchSize: Number(process.env.INDEXER_BATCH_BLOCKS || 2000),
+    intervalMs: Number(process.env.INDEXER_INTERVAL_MS || 5000),
+  })
+  : null;
+
+// Unix seconds or an ISO date; undefined when absent, NaN when invalid.
+function parseTime(value) {
+  if (value == null || value === '') return undefined;
+  return /^\d+$/.test(value) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+}
+
+app.get('/api/indexer/status', (req, res) => {
+  if (!indexer) return res.status(404).json({ error: 'Indexer disabled' });
+  res.json(indexer.status());
+});
+
+app.get('/api/indexer/events', (req, res) => {
+  if (!indexer) return res.status(404).json({ error: 'Indexer disabled' });
+
+  const { vault, resourceId, resourceHash, payer } = req.query;
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: 'from / to must be unix seconds or ISO dates' });
+  }
+  for (const [name, value] of Object.entries({ vault, payer })) {
+    if (value && !/^0x[0-9a-fA-F]{40}$/.test(value)) return res.status(400).json({ error: `Invalid ${name} address` });
+  }
+
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  const result = indexer.query({ vault, resourceId, resourceHash, payer, from, to, limit, offset });
+  res.json({
+    ...result,
+    limit,
+    offset,
+    ...(vault ? { indexed: indexer.isTracked(vault) } : {}),
+    checkpoint: indexer.status().checkpoint,
+  });
+});
+
+// ─── Content key release ──────────────────────────────────────────
+function readResourceParams(body) {
+  const { vault, resourceId } = body || {};
+  if (!/^0x[0-9a-fA-F]{40}$/.test(vault || '') || typeof resourceId !== 'string' || !resourceId) return null;
+  return { vault, resourceId };
+}
+
+// Sealing needs no sign-in: it never reveals the key, and only the creator
+// can write the result to their vault.
+app.post('/api/content-keys/encrypt', (req, res) => {
+  if (!contentKeys) return res.status(503).json({ error: 'Content encryption is not configured' });
+
+  const resource = readResourceParams(req.body);
+  const { contentRef } = req.body || {};
+  if (!resource || typeof contentRef !== 'string' || !contentRef.trim()) {
+    return res.status(400).json({ error: 'vault, resourceId and contentRef are required' });
+  }
+  if (isEncryptedRef(contentRef)) return res.status(400).json({ error: 'contentRef is already encrypted' });
+
+  res.json({ contentRef: contentKeys.encrypt(resource.vault, resource.resourceId, contentRef.trim()) });
+});
+
+app.post('/api/content-keys/release', limitRpcUse, siwe.attachSession, async (req, res) => {
+  if (!contentKeys) return res.status(503).json({ error: 'Content encryption is not configured' });
+
+  const resource = readResourceParams(req.body);
+  if (!resource) return res.status(400).json({ error: 'vault and resourceId are required' });
+  if (!req.siwe) return res.status(401).json({ error: 'Sign in with the wallet that holds access' });
+
+  const hasAccess = !accessRevoked(resource, req.siwe.address)
+    && await checkOnChainAccess(resource.vault, resource.resourceId, req.siwe.address);
+  if (!hasAccess) return res.status(403).json({ error: 'No on-chain access for this resource' });
+
+  req.log.info('Content key released', { vault: resource.vault, resourceId: resource.resourceId, address: req.siwe.address });
+  res.set('cache-control', 'no-store').json({
+    vault: resource.vault,
+    resourceId: resource.resourceId,
+    algorithm: 'AES-256-GCM',
+    key: contentKeys.keyFor(resource.vault, resource.resourceId).toString('base64url'),
+  });
+});
+
+// ─── Webhook endpoints ────────────────────────────────────────────
+// A signed-in address manages the endpoints that receive its own payments.
+// Only creators may add endpoints: addresses that sell a catalog resource or
+// own a vault in the factory registry.
+async function isKnownCreator(address) {
+  return isCatalogCreator(address) || Boolean(await vaultRegistry.getVault(address));
+}
+
+const webhookRoutes = express.Router();
+webhookRoutes.use(siwe.attachSession, (req, res, next) => {
+  if (!req.siwe) return res.status(401).json({ error: 'Sign in with the creator wallet' });
+  next();
+});
+
+webhookRoutes.get('/', (req, res) => {
+  res.json({ endpoints: webhooks.listEndpoints(req.siwe.address) });
+});
+
+webhookRoutes.post('/', async (req, res) => {
+  const { url, vault, description } = req.body || {};
+  if (typeof url !== 'string' || !url) return res.status(400).json({ error: 'url is required' });
+  if (vault && !/^0x[0-9a-fA-F]{40}$/.test(vault)) return res.status(400).json({ error: 'Invalid vault address' });
+
+  let creator;
+  try {
+    creator = await isKnownCreator(req.siwe.address);
+  } catch (err) {
+    req.log.warn('Cannot look up the creator vault', { address: req.siwe.address, err: err.message });
+    return res.status(503).json({ error: 'Cannot check the creator right now — try again shortly' });
+  }
+  if (!creator) return res.status(403).json({ error: 'Only creators with a catalog resource or a vault can add webhooks' });
+
+  try {
+    const endpoint = await webhooks.addEndpoint({ creator: req.siwe.address, url, vault, description });
+    req.log.info('Webhook added', { url: endpoint.url, address: req.siwe.address });
+    res.status(201).json(endpoint);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+webhookRoutes.get('/deliveries', (req, res) => {
+  const { status, endpointId } = req.query;
+  if (status && !['pending', 'delivered', 'dead'].includes(status)) {
+    return res.status(400).json({ error: 'status must be pending, delivered or dead' });
+  }
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  res.json({ deliveries: webhooks.listDeliveries(req.siwe.address, { status, endpointId, limit }) });
+});
+
+webhookRoutes.post('/deliveries/:id/redeliver', (req, res) => {
+  const delivery = webhooks.getDelivery(req.params.id);
+  if (!delivery || delivery.creator !== req.siwe.address.toLowerCase()) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  if (delivery.status === 'pending') return res.status(409).json({ error: 'Delivery is already queued' });
+
+  try {
+    res.json(webhooks.redeliver(delivery.id));
+  } catch (err) {
+    res.status(409).json({ error: err.message });
+  }
+});
+
+webhookRoutes.delete('/:id', (req, res) => {
+  const endpoint = webhooks.getEndpoint(req.params.id);
+  if (!endpoint || endpoint.creator !== req.siwe.address.toLowerCase()) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  webhooks.removeEndpoint(endpoint.id);
+  res.json({ deleted: true });
+});
+
+app.use('/api/webhooks', webhookRoutes);
+
+// ─── Credit balances ──────────────────────────────────────────────
+// A buyer reads their own balance on a vault, signed in or with a credits token.
+const creditRoutes = express.Router({ mergeParams: true });
+creditRoutes.use(siwe.attachSession, (req, res, next) => {
+  if (!ADDRESS_RE.test(req.params.vault)) return res.status(400).json({ error: 'Invalid vault address' });
+  try {
+    req.account = creditsAccount(req, req.params.vault);
+  } catch (err) {
+    return res.status(401).json({ error: err.message });
+  }
+  if (!req.account) return res.status(401).json({ error: 'Sign in or send a credits token as Authorization: Bearer' });
+  next();
+});
+
+creditRoutes.get('/', (req, res) => {
+  res.json(creditsSummary(req.params.vault, req.account));
+});
+
+creditRoutes.get('/history', (req, res) => {
+  const { kind, resourceId } = req.query;
+  if (kind && !['topup', 'debit', 'refund'].includes(kind)) {
+    return res.status(400).json({ error: 'kind must be topup, debit or refund' });
+  }
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  res.json({
+    ...creditsSummary(req.params.vault, req.account),
+    history: credits.history(req.params.vault, req.account, { kind, resourceId, limit }),
+  });
+});
+
+app.use('/api/credits/:vault', creditRoutes);
+
+// ─── Admin API ────────────────────────────────────────────────────
+// ADMIN_API_KEY (sent as X-A402-Admin-Key) has full access. A creator signed
+// in with SIWE manages the payments and grants of their own resources.
+// Every change is written to the audit trail (lib/audit.js).
+const ADMIN_KEY_HEADER = 'X-A402-Admin-Key';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+
+// Constant-time comparison of two secrets of any length.
+function safeEqual(given, expected) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(expected), digest(given));
+}
+
+function isAdminKey(key) {
+  return Boolean(ADMIN_API_KEY) && safeEqual(key, ADMIN_API_KEY);
+}
+
+function isCatalogCreator(address) {
+  const lower = address.toLowerCase();
+  return catalog.list().some(entry => entry.creator?.toLowerCase() === lower);
+}
+
+// Creators only manage their own resources
+function mayManage(admin, entry) {
+  return admin.type === 'key' || entry.creator?.toLowerCase() === admin.address;
+}
+
+function auditAdmin(req, action, target, details = {}) {
+  return audit.record({ actor: req.admin, ip: req.ip, action, target, details });
+}
+
+/**
+ * The catalog entry named by { vault, resourceId } in `body`, if the admin
+ * may manage it. Returns { entry } or { status, error }.
+ */
+function adminEntry(req, body) {
+  const resource = readResourceParams(body);
+  if (!resource) return { status: 400, error: 'vault and resourceId are required' };
+  const entry = catalog.get(resource.vault, resource.resourceId);
+  if (!entry || !mayManage(req.admin, entry)) {
+    return { status: 404, error: `Unknown resource ${resource.resourceId} in vault ${resource.vault}` };
+  }
+  return { entry };
+}
+
+const adminRoutes = express.Router();
+adminRoutes.use(siwe.attachSession, (req, res, next) => {
+  const key = req.get(ADMIN_KEY_HEADER);
+  if (key) {
+    if (!isAdminKey(key)) return res.status(401).json({ error: 'Invalid admin key' });
+    req.admin = { type: 'key' };
+    return next();
+  }
+  if (!req.siwe) return res.status(401).json({ error: `Send ${ADMIN_KEY_HEADER} or sign in with a creator wallet` });
+  if (!isCatalogCreator(req.siwe.address)) {
+    return res.status(403).json({ error: 'The signed-in wallet is not a creator of any resource here' });
+  }
+  req.admin = { type: 'creator', address: req.siwe.address.toLowerCase() };
+  next();
+});
+
+adminRoutes.get('/payments', (req, res) => {
+  const { payer, vault, resourceId, status } = req.query;
+  if (payer && !ADDRESS_RE.test(payer)) return res.status(400).json({ error: 'payer must be a 20-byte hex address' });
+  if (vault && !ADDRESS_RE.test(vault)) return res.status(400).json({ error: 'vault must be a 20-byte hex address' });
+  if (status && !Object.values(PAYMENT_STATUS).includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${Object.values(PAYMENT_STATUS).join(', ')}` });
+  }
+  const since = req.query.since ? Date.parse(req.query.since) : null;
+  const until = req.query.until ? Date.parse(req.query.until) : null;
+  if (Number.isNaN(since) || Number.isNaN(until)) return res.status(400).json({ error: 'since and until must be ISO dates' });
+
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  const creator = req.admin.type === 'creator' ? req.admin.address : req.query.creator;
+  res.json({ payments: ledger.search({ payer, vault, resourceId, creator, status, since, until, limit }) });
+});
+
+adminRoutes.get('/payments/:txHash', (req, res) => {
+  const payment = ledger.get(req.params.txHash);
+  if (!payment || (req.admin.type === 'creator' && payment.creator?.toLowerCase() !== req.admin.address)) {
+    return res.status(404).json({ error: 'Unknown payment' });
+  }
+  res.json(payment);
+});
+
+adminRoutes.post('/payments/:txHash/refund', (req, res) => {
+  const { reason, refundTxHash } = req.body || {};
+  const payment = ledger.get(req.params.txHash);
+  if (!payment || (req.admin.type === 'creator' && payment.creator?.toLowerCase() !== req.admin.address)) {
+    return res.status(404).json({ error: 'Unknown payment' });
+  }
+  if (payment.status !== PAYMENT_STATUS.confirmed) {
+    return res.status(409).json({ error: `Only confirmed payments can be refunded (this one is ${payment.status})` });
+  }
+  if (refundTxHash && !TX_HASH_RE.test(refundTxHash)) {
+    return res.status(400).json({ error: 'refundTxHash must be a 32-byte hex transaction hash' });
+  }
+
+  const refunded = ledger.transition(payment.txHash, PAYMENT_STATUS.refunded, {
+    reason: reason ? String(reason).slice(0, 500) : 'Refunded',
+    refundTxHash: refundTxHash ? refundTxHash.toLowerCase() : null,
+    refundedAt: Date.now(),
+  });
+  // A refunded top-up must not leave its credit spendable
+  const creditsRefund = credits.refund(payment.txHash);
+  auditAdmin(req, 'payment.refund', { txHash: payment.txHash }, {
+    reason: refunded.statusReason,
+    refundTxHash: refunded.refundTxHash,
+    ...(creditsRefund ? { creditsWithdrawn: creditsRefund.amount } : {}),
+  });
+  req.log.info('Payment refunded', { txHash: payment.txHash, reason: refunded.statusReason });
+  res.json(creditsRefund ? { ...refunded, creditsWithdrawn: creditsRefund.amount, creditsBalance: creditsRefund.balance } : refunded);
+});
+
+adminRoutes.post('/grants', (req, res) => {
+  const { address, note } = req.body || {};
+  if (!ADDRESS_RE.test(address || '')) return res.status(400).json({ error: 'address must be a 20-byte hex address' });
+  const { entry, status, error } = adminEntry(req, req.body);
+  if (error) return res.status(status).json({ error });
+
+  const grantedBy = req.admin.type === 'key' ? 'admin key' : req.admin.address;
+  const grant = ledger.transition(`grant:${crypto.randomBytes(16).toString('hex')}`, PAYMENT_STATUS.confirmed, {
+    reason: `Granted by ${grantedBy}`,
+    source: 'admin',
+    vault: entry.vault,
+    resourceId: entry.resourceId,
+    payer: address.toLowerCase(),
+    creator: entry.creator,
+    amount: '0',
+    token: NATIVE_TOKEN,
+    decimals: CONFIG.decimals,
+    blockNumber: null,
+    paidAt: Date.now(),
+    lifetime: entry.lifetimeAccess,
+    note: note ? String(note).slice(0, 500) : null,
+  });
+  auditAdmin(req, 'access.grant', { address: grant.payer, vault: entry.vault, resourceId: entry.resourceId }, { grant: grant.txHash, note: grant.note });
+  req.log.info('Access granted by admin', { address: grant.payer, vault: entry.vault, resourceId: entry.resourceId, grantedBy });
+  res.status(201).json(grant);
+});
+
+adminRoutes.post('/revocations', (req, res) => {
+  const { address, reason } = req.body || {};
+  if (!ADDRESS_RE.test(address || '')) return res.status(400).json({ error: 'address must be a 20-byte hex address' });
+  const { entry, status, error } = adminEntry(req, req.body);
+  if (error) return res.status(status).json({ error });
+
+  const why = reason ? String(reason).slice(0, 500) : `Revoked by ${req.admin.type === 'key' ? 'admin key' : req.admin.address}`;
+  let revoked = ledger.findByPayer(address)
+    .filter(p => grantsAccess(p, entry))
+    .map(p => ledger.transition(p.txHash, PAYMENT_STATUS.revoked, { reason: why }));
+  // Nothing on record (e.g. paid on-chain only): leave a marker that blocks
+  // on-chain lifetime access too
+  if (!revoked.length) {
+    revoked = [ledger.transition(`grant:${crypto.randomBytes(16).toString('hex')}`, PAYMENT_STATUS.revoked, {
+      reason: why,
+      source: 'admin',
+      vault: entry.vault,
+      resourceId: entry.resourceId,
+      payer: address.toLowerCase(),
+      creator: entry.creator,
+      amount: '0',
+      token: NATIVE_TOKEN,
+      lifetime: entry.lifetimeAccess,
+    })];
+  }
+  auditAdmin(req, 'access.revoke', { address: address.toLowerCase(), vault: entry.vault, resourceId: entry.resourceId }, {
+    reason: why,
+    records: revoked.map(p => p.txHash),
+  });
+  req.log.info('Access revoked by admin', { address: address.toLowerCase(), vault: entry.vault, resourceId: entry.resourceId, reason: why });
+  res.json({ revoked: revoked.map(paymentStatus) });
+});
+
+adminRoutes.post('/reload', async (req, res) => {
+  if (req.admin.type !== 'key') return res.status(403).json({ error: 'Reloading needs the admin key' });
+  try {
+    const changes = catalog.reload();
+    await resolveCatalog();
+    auditAdmin(req, 'config.reload', { catalogFile: process.env.CATALOG_FILE || null }, changes);
+    req.log.info('Catalog reloaded', changes);
+    res.json({ reloaded: true, ...changes, resources: catalog.list().length });
+  } catch (err) {
+    auditAdmin(req, 'config.reload', { catalogFile: process.env.CATALOG_FILE || null }, { error: err.message });
+    res.status(400).json({ reloaded: false, error: err.message });
+  }
+});
+
+adminRoutes.get('/audit', (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  const address = req.admin.type === 'creator' ? req.admin.address : req.query.address;
+  res.json({ entries: audit.list({ address, action: req.query.action, limit }) });
+});
+
+// Re-check both hash chains from disk.
+adminRoutes.get('/audit/verify', (req, res) => {
+  if (req.admin.type !== 'key') return res.status(403).json({ error: 'Verifying the audit trails needs the admin key' });
+  const admin = audit.verify();
+  const access = accessAudit.verify();
+  res.status(admin.ok && access.ok ? 200 : 409).json({ ok: admin.ok && access.ok, admin, access });
+});
+
+app.use('/api/admin', adminRoutes);
+
+// ─── Access token lifecycle ───────────────────────────────────────
+app.post('/api/tokens/refresh', (req, res) => {
+  const token = tokens.readBearer(req);
+  if (!token) return res.status(401).json({ error: 'Bearer token required' });
+
+  try {
+    const { token: accessToken, expiresAt } = tokens.refresh(token);
+    res.json({ accessToken, tokenType: 'Bearer', expiresAt });
+  } catch (err) {
+    res.status(401).json({ error: err.message });
+  }
+});
+
+app.post('/api/tokens/revoke', (req, res) => {
+  const token = tokens.readBearer(req);
+  if (!token) return res.status(401).json({ error: 'Bearer token required' });
+
+  try {
+    tokens.revoke(tokens.verify(token));
+    res.json({ revoked: true });
+  } catch (err) {
+    res.status(401).json({ error: err.message });
+  }
+});
+
+app.use('/facilitator', limitRpcUse, createFacilitatorRouter(localFacilitator));
+app.use('/api/resources/:vault/:resourceId', useCatalogEntry, resourceRoutes);
+app.use('/api', useDefaultEntry, resourceRoutes);
+
+// ─── Paywall middleware ───────────────────────────────────────────
+/**
+ * a402Paywall({ vault, resourceId, price | fiatPrice, fiatCurrency?, creator?,
+ *               lifetimeAccess?, rentalWindow?, maxViews?, confirmations?,
+ *               callPrice?, title? })
+ *
+ * Sells any Express route through A402:
+ *
+ *   const { a402Paywall } = require('./server');
+ *   app.get('/v1/quotes', a402Paywall({ vault, resourceId: 'quotes-api', price: '0.01' }), handler);
+ *
+ * The resource joins the catalog (an entry already listed for the vault and
+ * resourceId wins), so its /api/resources/:vault/:resourceId/* routes —
+ * payment-info, verify, the payment stream, check-access — work as usual.
+ * `creator` is required for resources sold through the legacy A402Verifier.
+ *
+ * A request passes with one of
+ *   - Authorization: Bearer <access token> minted for the resource
+ *   - X-PAYMENT: the paying tx hash (x402), verified on-chain
+ *   - X-A402-Session: a SIWE session whose address has paid
+ * and handlers find { payer, txHash, via: 'token' | 'x402' | 'session', rental? }
+ * in req.a402. Anything else gets a 402 with the payment requirements.
+ *
+ * With a `callPrice`, a credits token or a session without a payment pays
+ * the call from the prepaid balance instead (via: 'credits', see
+ * lib/credits.js); a short balance gets a 402 that says how to top up.
+ */
+function a402Paywall({ creator = null, ...options }) {
+  const entry = catalog.add({ ...options, creator });
+  if (!isResolved(entry)) resolveCatalog();
+
+  function spendCredits(payer) {
+    if (!entry.callPriceWei) return { status: 403, error: 'Credits only pay for metered resources' };
+    const debit = debitCall(entry, payer);
+    if (!debit.ok) return { payer, error: debit.error };
+    return {
+      payer,
+      txHash: null,
+      via: 'credits',
+      rental: null,
+      credits: {
+        charged: entry.callPrice,
+        balance: formatUnits(debit.balance, CONFIG.decimals),
+        balanceWei: debit.balance,
+      },
+    };
+  }
+
+  async function grant(req, res) {
+    req.siwe = siwe.getSession(req.get(SESSION_HEADER));
+    const token = readAccessToken(req, entry);
+    if (token?.error) return { status: token.status, error: token.error };
+    if (token?.claims.mode === 'credits') return spendCredits(token.claims.sub);
+    if (token) {
+      const view = useTokenView(entry, token.claims);
+      if (!view.ok) return { error: view.error };
+      return { payer: token.claims.sub, txHash: token.claims.tx || null, via: 'token', rental: view.rental };
+    }
+
+    const paymentHeader = req.get(x402.HEADERS.payment);
+    if (paymentHeader) {
+      const result = await acceptPaymentHeader(req, res, entry, paymentHeader);
+      if (!result.ok) return { error: result.error };
+      // Later requests can present this instead of paying proof
+      res.set(ACCESS_TOKEN_HEADER, issueAccessToken(req, entry, result.payment.payer, result.payment.txHash).accessToken);
+      return { payer: result.payment.payer, txHash: result.payment.txHash, via: 'x402', rental: result.rental };
+    }
+
+    const session = req.siwe;
+    if (session) {
+      const payments = ledger.findByPayer(session.address).filter(p => grantsAccess(p, entry));
+      const payment = rentals.pickPayment(entry, payments);
+      if (payment) {
+        const bound = bindPayment(req, res, payment);
+        if (!bound.ok) return { status: bound.status, error: bound.error };
+        const view = rentals.useView(entry, payment);
+        if (!view.ok) return { error: view.error };
+        return { payer: session.address, txHash: payment.txHash, via: 'session', rental: view.rental };
+      }
+      if (entry.lifetimeAccess && !accessRevoked(entry, session.address)
+        && await checkOnChainAccess(entry.vault, entry.resourceId, session.address)) {
+        return { payer: session.address, txHash: null, via: 'session', rental: null };
+      }
+      if (entry.callPriceWei) return spendCredits(session.address);
+      return { error: 'No payment found for the signed-in wallet' };
+    }
+
+    return { error: `${x402.HEADERS.payment} header is required` };
+  }
+
+  return async function paywall(req, res, next) {
+    const reason = unavailable(entry);
+    if (reason) return res.status(503).json({ error: reason });
+    if (entry.contract === 'verifier' && !entry.creator) {
+      return res.status(500).json({ error: `a402Paywall: "${entry.resourceId}" is sold through A402Verifier and needs a creator` });
+    }
+
+    // Payment proofs are checked on-chain and count against the RPC budget
+    if (req.get(x402.HEADERS.payment)) {
+      const verdict = takeRpcBudget(req);
+      if (!verdict.ok) return tooManyRequests(res, verdict);
+    }
+
+    let access;
+    try {
+      access = await grant(req, res);
+    } catch (err) {
+      req.log.error('Paywall verification error', { err });
+      return res.status(500).json({ error: 'Verification failed: ' + err.message });
+    }
+    if (access.error) {
+      if (access.status) return res.status(access.status).json({ error: access.error });
+      const offer = entry.callPriceWei
+        ? { credits: { callPrice: entry.callPrice, callPriceWei: entry.callPriceWei, ...creditsSummary(entry.vault, access.payer) } }
+        : {};
+      return sendPaymentRequired(req, res, entry, access.error, offer);
+    }
+
+    if (access.credits) res.set(CREDITS_BALANCE_HEADER, access.credits.balanceWei);
+    req.a402 = access;
+    next();
+  };
+}
 
 // ─── Start ────────────────────────────────────────────────────────
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  const mode = CONFIG.lifetimeAccess ? 'LIFETIME' : 'PER-ACCESS';
-  const content = resolveContentPayload();
-  const sourceLabel = content.contentType === 'youtube'
-    ? `YouTube: ${content.videoId}`
-    : `${content.contentType.toUpperCase()}: ${(content.videoUrl || '').slice(0, 40)}...`;
-
-  console.log(`
+// Entries whose vault lookup failed (RPC unreachable) answer 503 and are
+// retried every 30 s.
+let resolveTimer = null;
+async function resolveCatalog() {
+  const unresolved = await catalog.resolve(vaultRegistry, LEGACY_VERIFIER_CONTRACT);
+  clearTimeout(resolveTimer);
+  if (unresolved) {
+    resolveTimer = setTimeout(resolveCatalog, 30_000);
+    resolveTimer.unref();
+  }
+}
+
+// Every RPC endpoint must serve CONFIG.chainId: a payment verified on the
+// wrong chain would grant access for nothing. Endpoints that cannot be
+// reached are only warned about, like an unresolved catalog.
+async function verifyChainId() {
+  for (const url of CONFIG.rpcUrls) {
+    let chainId;
+    try {
+      chainId = Number(BigInt(await createRpcClient({ urls: [url], retries: 0 }).call('eth_chainId', [])));
+    } catch (err) {
+      logger.warn('Cannot read eth_chainId', { url, err: err.message });
+      continue;
+    }
+    if (chainId !== CONFIG.chainId) {
+      throw new Error(`RPC endpoint ${url} is on chain ${chainId}, expected chainId ${CONFIG.chainId}`);
+    }
+  }
+}
+
+// Fiat-priced entries need rates before they can be sold. A feed that cannot
+// be read at startup is only warned about; those entries answer 503 until a
+// later refresh succeeds.
+async function loadPrices() {
+  const currencies = catalog.fiatCurrencies();
+  if (!priceFeed) {
+    if (currencies.length) logger.error('Fiat-priced resources need PRICE_FEED; they cannot be sold', { currencies });
+    return;
+  }
+  await priceFeed.refresh();
+}
+
+// Edits to CONFIG_FILE apply without a restart. CONFIG and the default
+// catalog entry are updated in place, so every module holding them sees the
+// change at once — including requests in flight, which may read some fields
+// from before the reload and some from after.
+function watchConfigFile() {
+  if (!CONFIG_FILE) return;
+  watchConfig({
+    file: CONFIG_FILE,
+    current: CONFIG,
+    onChange(next, changed) {
+      Object.assign(CONFIG, next);
+      try {
+        catalog.reconfigure(CONFIG);
+      } catch (err) {
+        logger.error('Config: catalog not updated', { err: err.message });
+      }
+      resolveCatalog();
+      logger.info('Config reloaded', { changed });
+    },
+  });
+}
+
+/**
+ * Check the chain, resolve the catalog, listen on `port` and start the
+ * background workers. Runs on `node server.js`; processes that require this
+ * module for a402Paywall call it themselves.
+ */
+function start(port = process.env.PORT || 3000) {
+  if (!process.env.SIWE_DOMAIN) {
+    if (process.env.NODE_ENV === 'production') return Promise.reject(new Error('SIWE_DOMAIN is required in production'));
+    logger.warn('SIWE_DOMAIN not set — sign-in messages are checked against the request Host');
+  }
+  return verifyChainId().then(resolveCatalog).then(loadPrices).then(() => app.listen(port, () => {
+    const mode = CONFIG.lifetimeAccess ? 'LIFETIME' : 'PER-ACCESS';
+    const priceLabel = CONFIG.fiatPrice ? `${CONFIG.fiatPrice} ${CONFIG.fiatCurrency} in APTM` : `${CONFIG.price} APTM`;
+    const content = resolveContentPayload(catalog.default);
+    const sourceLabel = content.contentType === 'youtube'
+      ? `YouTube: ${content.videoId}`
+      : `${content.contentType.toUpperCase()}: ${(content.videoUrl || '').slice(0, 40)}...`;
+    const contractLabel = catalog.default.vault
+      ? `${catalog.default.vault} (${catalog.default.contract || '?'})`
+      : 'unresolved';
+
+    // The banner is for people; log collectors get the same facts as one line
+    if (logger.pretty) {
+      console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║   🔷 Apertum A402 — Dual-Mode Video Edition                  ║
 ║                                                               ║
-║   Server:     http://localhost:${PORT}                          ║
-║   Chain:      Apertum (eip155:2786)                           ║
-║   Contract:   ${VERIFIER_CONTRACT}       ║
+║   Server:     http://localhost:${port}                          ║
+║   Chain:      ${`Apertum (${CONFIG.caip2})`.padEnd(44)}   ║
+║   Contract:   ${contractLabel.padEnd(44)}   ║
 ║   Creator:    ${CONFIG.creatorAddress.slice(0, 10)}...${CONFIG.creatorAddress.slice(-6)}                              ║
-║   Price:      ${CONFIG.price} APTM + gas                           ║
+║   Price:      ${`${priceLabel} + gas`.padEnd(44)}   ║
 ║   Mode:       ${mode.padEnd(10)}                                    ║
 ║   Resource:   ${CONFIG.resourceId}                                      ║
+║   Catalog:    ${String(catalog.list().length).padEnd(3)} resource(s)                                ║
 ║   Source:     ${sourceLabel.slice(0, 44).padEnd(44)}   ║
 ╚═══════════════════════════════════════════════════════════════╝
-  `);
-});
+      `);
+    }
+    logger.info('Server listening', {
+      port: Number(port),
+      chain: CONFIG.caip2,
+      contract: contractLabel,
+      creator: CONFIG.creatorAddress,
+      price: priceLabel,
+      mode,
+      resourceId: CONFIG.resourceId,
+      resources: catalog.list().length,
+      contentType: content.contentType,
+    });
+
+    indexer?.start();
+    webhooks.start();
+    verificationQueue.start();
+    priceFeed?.start();
+    watchConfigFile();
+  }));
+}
+
+if (require.main === module) {
+  start().catch(err => {
+    logger.error('Server failed to start', { err: err.message });
+    process.exit(1);
+  });
+}
+
+module.exports = { app, a402Paywall, start };
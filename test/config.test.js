@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig } = require('../lib/config');
+
+const CREATOR = '0xDe9CCa897299668620b859d127B381341853c070';
+
+describe('config', () => {
+  it('takes checksummed addresses from the env', () => {
+    const config = loadConfig({ env: { PAYMENT_ADDRESS: CREATOR } });
+    assert.equal(config.creatorAddress, CREATOR);
+    assert.equal(config.caip2, 'eip155:2786');
+  });
+
+  it('refuses addresses that are not EIP-55 checksummed', () => {
+    for (const address of [CREATOR.toLowerCase(), '0x' + CREATOR.slice(2).toUpperCase(), CREATOR.replace('De9', 'de9')]) {
+      assert.throws(() => loadConfig({ env: { PAYMENT_ADDRESS: address } }), /is not EIP-55 checksummed \(expected 0xDe9CCa/, address);
+    }
+    assert.throws(() => loadConfig({ env: {} }), /creatorAddress: required/);
+    assert.throws(() => loadConfig({ env: { PAYMENT_ADDRESS: '0x' + '00'.repeat(20) } }), /zero address/);
+  });
+
+  it('accepts single-case addresses only when allowed', () => {
+    const env = { PAYMENT_ADDRESS: CREATOR.toLowerCase(), ALLOW_UNCHECKSUMMED_ADDRESSES: 'true' };
+    assert.equal(loadConfig({ env }).creatorAddress, CREATOR);
+    assert.throws(() => loadConfig({ env: { ...env, PAYMENT_ADDRESS: CREATOR.replace('De9', 'de9') } }), /not EIP-55 checksummed/);
+  });
+});
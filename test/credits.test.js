@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openCredits } = require('../lib/credits');
+
+const VAULT = '0x' + '22'.repeat(20);
+const OTHER_VAULT = '0x' + '33'.repeat(20);
+const BUYER = '0x' + 'aa'.repeat(20);
+const NATIVE = '0x' + '00'.repeat(20);
+const txHash = (n) => '0x' + n.toString(16).padStart(64, '0');
+
+describe('credits', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a402-credits-'));
+    file = path.join(dir, 'credits.jsonl');
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('credits a payment once', () => {
+    const credits = openCredits({ file });
+    const line = credits.topUp({ vault: VAULT, address: BUYER, amount: 1000n, txHash: txHash(1), token: NATIVE, paid: '1000' });
+    assert.equal(line.balance, '1000');
+    assert.equal(credits.isCredited('0x' + txHash(1).slice(2).toUpperCase()), true);
+    assert.equal(credits.topUp({ vault: VAULT, address: BUYER, amount: 1000n, txHash: txHash(1), token: NATIVE, paid: '1000' }), null);
+    assert.equal(credits.balance(VAULT, BUYER), '1000');
+  });
+
+  it('debits calls until the balance runs out', () => {
+    const credits = openCredits({ file });
+    credits.topUp({ vault: VAULT, address: BUYER, amount: 250n, txHash: txHash(1), token: NATIVE, paid: '250' });
+
+    const debit = () => credits.debit({ vault: VAULT, address: '0x' + 'AA'.repeat(20), amount: '100', resourceId: 'quotes-api' });
+    assert.deepEqual([debit(), debit()].map(r => [r.ok, r.balance]), [[true, '150'], [true, '50']]);
+    assert.deepEqual(debit(), { ok: false, balance: '50' });
+    assert.equal(credits.balance(VAULT, BUYER), '50');
+    assert.equal(credits.history(VAULT, BUYER, { kind: 'debit' }).length, 2);
+    assert.deepEqual(credits.history(VAULT, BUYER, { limit: 1 }).map(l => l.kind), ['debit']);
+  });
+
+  it('keeps balances per vault', () => {
+    const credits = openCredits({ file });
+    credits.topUp({ vault: VAULT, address: BUYER, amount: 100n, txHash: txHash(1), token: NATIVE, paid: '100' });
+    assert.equal(credits.debit({ vault: OTHER_VAULT, address: BUYER, amount: '1', resourceId: 'x' }).ok, false);
+    assert.equal(credits.balance(OTHER_VAULT, BUYER), '0');
+  });
+
+  it('takes a refunded top-up back off the balance, once', () => {
+    const credits = openCredits({ file });
+    credits.topUp({ vault: VAULT, address: BUYER, amount: 500n, txHash: txHash(1), token: NATIVE, paid: '500' });
+    credits.topUp({ vault: VAULT, address: BUYER, amount: 300n, txHash: txHash(2), token: NATIVE, paid: '300' });
+
+    const refund = credits.refund('0x' + txHash(2).slice(2).toUpperCase());
+    assert.deepEqual([refund.kind, refund.amount, refund.balance, refund.refundOf], ['refund', '300', '500', txHash(2)]);
+    assert.equal(credits.refund(txHash(2)), null);
+    assert.equal(credits.refund(txHash(9)), null);
+
+    credits.debit({ vault: VAULT, address: BUYER, amount: '400', resourceId: 'quotes-api' });
+    assert.equal(credits.refund(txHash(1)).amount, '100');
+    assert.equal(credits.balance(VAULT, BUYER), '0');
+
+    const reopened = openCredits({ file });
+    assert.equal(reopened.balance(VAULT, BUYER), '0');
+    assert.equal(reopened.refund(txHash(1)), null);
+  });
+
+  it('compacts the file to recent history and a snapshot per account', () => {
+    const credits = openCredits({ file, historyLimit: 3 });
+    credits.topUp({ vault: VAULT, address: BUYER, amount: 1000n, txHash: txHash(1), token: NATIVE, paid: '1000' });
+    for (let i = 0; i < 10; i++) credits.debit({ vault: VAULT, address: BUYER, amount: '10', resourceId: 'quotes-api' });
+    assert.equal(credits.history(VAULT, BUYER).length, 3);
+    assert.equal(credits.stats().debits, 10);
+
+    const reopened = openCredits({ file, historyLimit: 3 });
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(l => l.kind), ['topup', 'debit', 'debit', 'debit', 'account']);
+    assert.deepEqual([lines.at(-1).balance, lines.at(-1).debits], ['900', 10]);
+    assert.equal(reopened.balance(VAULT, BUYER), '900');
+    assert.equal(reopened.isCredited(txHash(1)), true);
+    assert.deepEqual(reopened.stats(), { accounts: 1, topUps: 1, debits: 10 });
+
+    reopened.debit({ vault: VAULT, address: BUYER, amount: '10', resourceId: 'quotes-api' });
+    assert.deepEqual(openCredits({ file }).stats(), { accounts: 1, topUps: 1, debits: 11 });
+  });
+
+  it('rebuilds balances and credited payments from the file', () => {
+    const credits = openCredits({ file });
+    credits.topUp({ vault: VAULT, address: BUYER, amount: 300n, txHash: txHash(1), token: NATIVE, paid: '300' });
+    credits.debit({ vault: VAULT, address: BUYER, amount: '120', resourceId: 'quotes-api' });
+
+    const reopened = openCredits({ file });
+    assert.equal(reopened.balance(VAULT, BUYER), '180');
+    assert.equal(reopened.isCredited(txHash(1)), true);
+    assert.equal(reopened.debit({ vault: VAULT, address: BUYER, amount: '180', resourceId: 'quotes-api' }).balance, '0');
+    assert.deepEqual(reopened.stats(), { accounts: 1, topUps: 1, debits: 2 });
+  });
+});
@@ -0,0 +1,179 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { EVENT_LAYOUTS } = require('../lib/events');
+const { createFacilitator, createRemoteFacilitator, openSettlements } = require('../lib/facilitator');
+const x402 = require('../lib/x402');
+
+const CONFIG = { caip2: 'eip155:2786', chainId: 2786, currency: 'APTM', decimals: 18 };
+const VERIFIER = '0x' + '11'.repeat(20);
+const VAULT = '0x' + '22'.repeat(20);
+const CREATOR = '0x' + 'cc'.repeat(20);
+const PAYER = '0x' + 'aa'.repeat(20);
+const TOKEN = '0x' + '77'.repeat(20);
+const topic = (layout) => EVENT_LAYOUTS.find(e => e.layout === layout).topic;
+const word = (value) => BigInt(value).toString(16).padStart(64, '0');
+const txHash = (n) => '0x' + n.toString(16).padStart(64, '0');
+
+function encodeString(s) {
+  const hex = Buffer.from(s).toString('hex');
+  return word(s.length) + hex.padEnd(Math.ceil(hex.length / 64) * 64, '0');
+}
+
+function verifierLog(resourceId, amount) {
+  return {
+    address: VERIFIER,
+    topics: [topic('verifier'), '0x' + word(PAYER), '0x' + word(CREATOR)],
+    data: '0x' + word(0x80) + word(amount) + word(1) + word(1700000000) + encodeString(resourceId),
+  };
+}
+
+function vaultLog(resourceId, amount, token) {
+  return {
+    address: VAULT,
+    topics: [topic('vault-v2'), '0x' + word(PAYER)],
+    data: '0x' + word(0xa0) + word(amount) + word(token) + word(1) + word(1700000000) + encodeString(resourceId),
+  };
+}
+
+// A chain of mined transactions: txHash → { to, logs, blockNumber }
+function fakeChain(txs, head = 100) {
+  return async (method, [arg]) => {
+    if (method === 'eth_blockNumber') return '0x' + head.toString(16);
+    if (method === 'eth_getBlockByNumber') return { timestamp: '0x6553f100' };
+    const tx = txs[arg];
+    if (!tx) return null;
+    if (method === 'eth_getTransactionByHash') return { hash: arg, to: tx.to };
+    if (method === 'eth_getTransactionReceipt') {
+      if (tx.pending) return null;
+      return { status: '0x1', blockNumber: '0x' + (tx.blockNumber || 90).toString(16), logs: tx.logs };
+    }
+    throw new Error(`unexpected ${method}`);
+  };
+}
+
+function requirementsFor(entry) {
+  return x402.buildPaymentRequirements({
+    vault: VERIFIER,
+    creator: CREATOR,
+    resourceId: 'video-001',
+    title: 'Video',
+    priceWei: '1000',
+    lifetimeAccess: true,
+    contract: 'verifier',
+    confirmations: 1,
+    ...entry,
+  }, CONFIG, 'http://localhost/api/video');
+}
+
+function payment(hash) {
+  return { x402Version: x402.X402_VERSION, scheme: x402.SCHEME, network: CONFIG.caip2, payload: { txHash: hash } };
+}
+
+describe('facilitator', () => {
+  const txs = {
+    [txHash(1)]: { to: VERIFIER, logs: [verifierLog('video-001', 1000)] },
+    [txHash(2)]: { to: VERIFIER, logs: [verifierLog('video-001', 999)] },
+    [txHash(3)]: { to: VERIFIER, pending: true },
+    [txHash(4)]: { to: VERIFIER, logs: [verifierLog('video-001', 1000)], blockNumber: 99 },
+    [txHash(5)]: { to: VAULT, logs: [vaultLog('video-001', 5, TOKEN)] },
+    [txHash(6)]: { to: VERIFIER, logs: [verifierLog('video-002', 1000)] },
+  };
+
+  it('settles a native payment that covers the price', async () => {
+    const facilitator = createFacilitator({ config: CONFIG, rpcCall: fakeChain(txs) });
+    const result = await facilitator.settle(payment(txHash(1)), requirementsFor());
+    assert.equal(result.success, true);
+    assert.equal(result.payer, PAYER);
+    assert.equal(result.amount, '1000');
+    assert.equal(result.blockNumber, 90);
+    assert.equal(result.blockTimestamp, 0x6553f100);
+  });
+
+  it('reports why a payment does not settle', async () => {
+    const facilitator = createFacilitator({ config: CONFIG, rpcCall: fakeChain(txs) });
+    const settle = async (n, entry) => (await facilitator.settle(payment(txHash(n)), requirementsFor(entry))).errorReason;
+    assert.equal(await settle(2), 'insufficient_amount');
+    assert.equal(await settle(3), 'transaction_pending');
+    assert.equal(await settle(9), 'transaction_not_found');
+    assert.equal(await settle(6), 'payment_event_not_found');
+    assert.equal(await settle(1, { vault: VAULT }), 'invalid_pay_to');
+  });
+
+  it('waits for the required confirmations', async () => {
+    const facilitator = createFacilitator({ config: CONFIG, rpcCall: fakeChain(txs) });
+    const result = await facilitator.settle(payment(txHash(4)), requirementsFor({ confirmations: 3 }));
+    assert.equal(result.errorReason, 'transaction_pending');
+    assert.equal(result.confirmations, 2);
+  });
+
+  it('settles a transaction again only for the resource it paid for', async () => {
+    const facilitator = createFacilitator({ config: CONFIG, rpcCall: fakeChain({
+      ...txs,
+      [txHash(7)]: { to: VERIFIER, logs: [verifierLog('video-001', 1000), verifierLog('video-002', 1000)] },
+    }) });
+    assert.equal((await facilitator.settle(payment(txHash(7)), requirementsFor())).success, true);
+    assert.equal((await facilitator.settle(payment(txHash(7)), requirementsFor())).success, true);
+    const other = await facilitator.settle(payment(txHash(7)), requirementsFor({ resourceId: 'video-002' }));
+    assert.equal(other.errorReason, 'transaction_already_used');
+  });
+
+  it('remembers settled transactions across restarts with openSettlements', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a402-settlements-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'settlements.jsonl');
+    const rpcCall = fakeChain({
+      [txHash(7)]: { to: VERIFIER, logs: [verifierLog('video-001', 1000), verifierLog('video-002', 1000)] },
+    });
+
+    const first = createFacilitator({ config: CONFIG, rpcCall, settlements: openSettlements(file) });
+    assert.equal((await first.settle(payment(txHash(7)), requirementsFor())).success, true);
+
+    const restarted = createFacilitator({ config: CONFIG, rpcCall, settlements: openSettlements(file) });
+    const other = await restarted.settle(payment(txHash(7)), requirementsFor({ resourceId: 'video-002' }));
+    assert.equal(other.errorReason, 'transaction_already_used');
+  });
+
+  it('checks ERC-20 payments with the token pricing, and refuses them for fiat prices', async () => {
+    const tokenPricing = {
+      checkPayment: async (vault, resourceId, token, amount) => (BigInt(amount) >= 5n
+        ? { ok: true, decimals: 6 }
+        : { ok: false, reason: 'insufficient_amount', message: 'too little' }),
+    };
+    const facilitator = createFacilitator({ config: CONFIG, rpcCall: fakeChain(txs), tokenPricing });
+    const entry = { vault: VAULT, contract: 'vault', creator: undefined };
+
+    const paid = await facilitator.settle(payment(txHash(5)), requirementsFor(entry));
+    assert.equal(paid.success, true);
+    assert.equal(paid.asset, TOKEN);
+    assert.equal(paid.decimals, 6);
+
+    const fiat = await facilitator.verify(payment(txHash(5)), requirementsFor({ ...entry, fiatPrice: '4.99', fiatCurrency: 'USD' }));
+    assert.equal(fiat.invalidReason, 'unsupported_asset');
+
+    const without = createFacilitator({ config: CONFIG, rpcCall: fakeChain(txs) });
+    assert.equal((await without.verify(payment(txHash(5)), requirementsFor(entry))).invalidReason, 'unsupported_asset');
+  });
+
+  it('refuses payloads for another network', async () => {
+    const facilitator = createFacilitator({ config: CONFIG, rpcCall: fakeChain(txs) });
+    const result = await facilitator.verify({ ...payment(txHash(1)), network: 'eip155:1' }, requirementsFor());
+    assert.equal(result.invalidReason, 'invalid_payload');
+  });
+
+  it('gives up on a remote facilitator that does not answer', async (t) => {
+    const server = http.createServer(() => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+      server.closeAllConnections();
+      server.close();
+    });
+
+    const remote = createRemoteFacilitator(`http://127.0.0.1:${server.address().port}/`, { timeoutMs: 200 });
+    await assert.rejects(remote.settle(payment(txHash(1)), requirementsFor()), /Facilitator \/settle timed out after 200 ms/);
+    await assert.rejects(remote.supported(), /Facilitator \/supported timed out/);
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EVENT_LAYOUTS } = require('../lib/events');
+const { createIndexer } = require('../lib/indexer');
+
+const VAULT = '0x' + '22'.repeat(20);
+const OTHER_VAULT = '0x' + '33'.repeat(20);
+const FACTORY = '0x' + 'ff'.repeat(20);
+const PAYER = '0x' + 'aa'.repeat(20);
+const TOPIC = EVENT_LAYOUTS.find(e => e.layout === 'vault-v1').topic;
+const word = (value) => BigInt(value).toString(16).padStart(64, '0');
+const hex = (n) => '0x' + n.toString(16);
+const txHash = (n) => '0x' + word(n);
+
+function paymentLog(blockNumber, n, address = VAULT) {
+  const id = Buffer.from('video-001').toString('hex');
+  return {
+    address,
+    blockNumber,
+    transactionHash: txHash(n),
+    logIndex: 0,
+    topics: [TOPIC, '0x' + word(PAYER)],
+    data: '0x' + word(0x80) + word(1000) + word(1) + word(1700000000) + word(9) + id.padEnd(64, '0'),
+  };
+}
+
+/**
+ * An in-memory chain: blocks at or above `forkFrom` get hashes from the
+ * current `fork`, so switching it replaces those blocks. `registry` lists
+ * the factory's vaults; `scans` records each eth_getLogs request.
+ */
+function fakeChain({ head, logs, registry = [] }) {
+  const chain = { head, logs, registry, scans: [], fork: 'a', forkFrom: Infinity };
+  const blockHash = (n) => '0x' + word(n).slice(0, 62) + (n >= chain.forkFrom ? chain.fork : '0').padStart(2, '0');
+  chain.rpcCall = async (method, [arg]) => {
+    if (method === 'eth_blockNumber') return hex(chain.head);
+    if (method === 'eth_getBlockByNumber') {
+      const n = Number(BigInt(arg));
+      return n > chain.head ? null : { hash: blockHash(n), timestamp: hex(1700000000 + n) };
+    }
+    if (method === 'eth_call' && arg.to === FACTORY) {
+      if (arg.data.length === 10) return '0x' + word(chain.registry.length);
+      return '0x' + chain.registry[Number(BigInt('0x' + arg.data.slice(10)))].slice(2).padStart(64, '0');
+    }
+    if (method === 'eth_getLogs') {
+      chain.scans.push(arg);
+      const from = Number(BigInt(arg.fromBlock));
+      const to = Number(BigInt(arg.toBlock));
+      return chain.logs
+        .filter(log => log.blockNumber >= from && log.blockNumber <= to && arg.address.includes(log.address))
+        .map(log => ({ ...log, blockNumber: hex(log.blockNumber), blockHash: blockHash(log.blockNumber) }));
+    }
+    throw new Error(`unexpected ${method}`);
+  };
+  return chain;
+}
+
+describe('indexer', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a402-indexer-'));
+    file = path.join(dir, 'events.jsonl');
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('indexes payment events up to the chain head', async () => {
+    const chain = fakeChain({ head: 100, logs: [paymentLog(10, 1), paymentLog(95, 2)] });
+    const indexer = createIndexer({ rpcCall: chain.rpcCall, file, vaults: [VAULT], startBlock: 1, batchSize: 30 });
+    await indexer.tick();
+
+    assert.equal(indexer.status().checkpoint.blockNumber, 100);
+    const { total, events } = indexer.query({ vault: VAULT });
+    assert.equal(total, 2);
+    assert.deepEqual(events.map(e => e.txHash), [txHash(2), txHash(1)]);
+    assert.equal(events[0].resourceId, 'video-001');
+    assert.equal(events[0].blockTime, 1700000095);
+    assert.equal(indexer.query({ payer: PAYER, from: 1700000050 }).total, 1);
+  });
+
+  it('rolls back events from blocks a reorg replaced and rescans', async () => {
+    const chain = fakeChain({ head: 100, logs: [paymentLog(10, 1), paymentLog(95, 2)] });
+    const indexer = createIndexer({ rpcCall: chain.rpcCall, file, vaults: [VAULT], startBlock: 1, batchSize: 5 });
+    await indexer.tick();
+    assert.equal(indexer.query().total, 2);
+
+    // Blocks from 90 on are replaced: tx 2 is gone, tx 3 landed in block 97
+    chain.forkFrom = 90;
+    chain.fork = 'b';
+    chain.logs = [paymentLog(10, 1), paymentLog(97, 3)];
+    chain.head = 102;
+    await indexer.tick();
+
+    assert.deepEqual(indexer.query().events.map(e => e.txHash), [txHash(3), txHash(1)]);
+    assert.equal(indexer.status().checkpoint.blockNumber, 102);
+    assert.ok(fs.readFileSync(file, 'utf8').includes('"type":"rollback","toBlock":85'));
+
+    const reloaded = createIndexer({ rpcCall: chain.rpcCall, file, vaults: [VAULT] });
+    assert.deepEqual(reloaded.query().events.map(e => e.txHash), [txHash(3), txHash(1)]);
+    assert.equal(reloaded.status().checkpoint.blockNumber, 102);
+  });
+
+  it('starts a new store at the chain head and remembers where it started', async () => {
+    const chain = fakeChain({ head: 100, logs: [paymentLog(10, 1), paymentLog(105, 2)] });
+    const indexer = createIndexer({ rpcCall: chain.rpcCall, file, vaults: [VAULT] });
+    await indexer.tick();
+    assert.equal(indexer.status().startBlock, 100);
+    assert.equal(indexer.query().total, 0);
+
+    chain.head = 110;
+    const reloaded = createIndexer({ rpcCall: chain.rpcCall, file, vaults: [VAULT] });
+    assert.equal(reloaded.status().startBlock, 100);
+    await reloaded.tick();
+    assert.deepEqual(reloaded.query().events.map(e => e.txHash), [txHash(2)]);
+  });
+
+  it('backfills only vaults that are new to the store, across restarts', async () => {
+    const chain = fakeChain({ head: 100, logs: [paymentLog(10, 1, OTHER_VAULT)], registry: [OTHER_VAULT] });
+    const open = (vaults) => createIndexer({ rpcCall: chain.rpcCall, file, vaults, factory: FACTORY, startBlock: 1, batchSize: 50 });
+    await open([VAULT]).tick();
+    chain.head = 120;
+    const indexer = open([VAULT]);
+    await indexer.tick();
+    assert.deepEqual(indexer.status().vaults.sort(), [VAULT, OTHER_VAULT]);
+
+    // A restart rescans nothing already covered
+    chain.scans = [];
+    const restarted = open([VAULT]);
+    await restarted.tick();
+    assert.deepEqual(chain.scans.map(scan => [Number(scan.fromBlock), Number(scan.toBlock)]), []);
+    assert.equal(restarted.query({ vault: OTHER_VAULT }).total, 1);
+
+    // A newly configured vault is backfilled from the start block
+    const NEW_VAULT = '0x' + '44'.repeat(20);
+    chain.logs.push(paymentLog(20, 2, NEW_VAULT));
+    const reconfigured = open([VAULT, NEW_VAULT]);
+    await reconfigured.tick();
+    assert.deepEqual(chain.scans.map(scan => scan.address), [[NEW_VAULT], [NEW_VAULT], [NEW_VAULT]]);
+    assert.equal(reconfigured.query({ vault: NEW_VAULT }).total, 1);
+  });
+
+  it('compacts the store to recent checkpoints on open', async () => {
+    const chain = fakeChain({ head: 500, logs: [paymentLog(10, 1)] });
+    const indexer = createIndexer({ rpcCall: chain.rpcCall, file, vaults: [VAULT], startBlock: 1, batchSize: 1, maxBatchesPerTick: 500 });
+    await indexer.tick();
+    const lines = () => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(lines().filter(l => l.type === 'checkpoint').length, 500);
+
+    createIndexer({ rpcCall: chain.rpcCall, file, vaults: [VAULT] });
+    const compacted = lines();
+    assert.equal(compacted[0].type, 'header');
+    assert.equal(compacted[0].startBlock, 1);
+    assert.equal(compacted.filter(l => l.type === 'event').length, 1);
+    assert.equal(compacted.filter(l => l.type === 'checkpoint').length, 64);
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openLedger, PAYMENT_STATUS, SCHEMA_VERSION } = require('../lib/ledger');
+
+const PAYER = '0x' + 'aa'.repeat(20);
+const txHash = (n) => '0x' + n.toString(16).padStart(64, '0');
+const upper = (hex) => '0x' + hex.slice(2).toUpperCase();
+
+function readFile(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('ledger', () => {
+  let dir;
+  let file;
+  const open = [];
+  const openAt = (options = {}) => {
+    const ledger = openLedger({ file, ...options });
+    open.push(ledger);
+    return ledger;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a402-ledger-'));
+    file = path.join(dir, 'ledger.jsonl');
+  });
+
+  afterEach(() => {
+    for (const ledger of open.splice(0)) ledger.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('replays the file on open, the last line for a tx winning', () => {
+    const ledger = openAt();
+    ledger.transition(txHash(1), PAYMENT_STATUS.pending, { payer: PAYER, vault: '0xV', resourceId: 'video-001' });
+    ledger.transition(txHash(1), PAYMENT_STATUS.confirmed, { amount: '1000' });
+    ledger.record({ txHash: txHash(1), views: 2 });
+    ledger.transition(txHash(2), PAYMENT_STATUS.confirmed, { payer: upper(PAYER) });
+    ledger.close();
+
+    const reopened = openAt();
+    const payment = reopened.get(upper(txHash(1)));
+    assert.equal(payment.status, PAYMENT_STATUS.confirmed);
+    assert.equal(payment.amount, '1000');
+    assert.equal(payment.views, 2);
+    assert.equal(payment.resourceId, 'video-001');
+    assert.deepEqual(payment.statusHistory.map(h => h.status), ['pending', 'confirmed']);
+    assert.equal(reopened.findByPayer(PAYER).length, 2);
+    assert.equal(reopened.findByStatus(PAYMENT_STATUS.confirmed).length, 2);
+  });
+
+  it('compacts to one line per payment behind a header that keeps createdAt', () => {
+    fs.writeFileSync(file, JSON.stringify({ type: 'header', schemaVersion: SCHEMA_VERSION, createdAt: 1234 }) + '\n');
+    const ledger = openAt();
+    ledger.transition(txHash(1), PAYMENT_STATUS.pending, { payer: PAYER });
+    ledger.transition(txHash(1), PAYMENT_STATUS.confirmed);
+    ledger.compact();
+
+    const lines = readFile(file);
+    assert.deepEqual(lines[0], { type: 'header', schemaVersion: SCHEMA_VERSION, createdAt: 1234 });
+    assert.equal(lines.length, 2);
+    assert.equal(lines[1].status, PAYMENT_STATUS.confirmed);
+  });
+
+  it('migrates v1 records to confirmed payments', () => {
+    fs.writeFileSync(file, [
+      { type: 'header', schemaVersion: 1, createdAt: 1234 },
+      { type: 'payment', txHash: txHash(1), payer: PAYER, amount: '5', verifiedAt: 1000 },
+    ].map(line => JSON.stringify(line)).join('\n') + '\n');
+
+    const ledger = openAt();
+    const payment = ledger.get(txHash(1));
+    assert.equal(payment.status, PAYMENT_STATUS.confirmed);
+    assert.deepEqual(payment.statusHistory, [{ status: PAYMENT_STATUS.confirmed, at: 1000 }]);
+    assert.deepEqual(readFile(file)[0], { type: 'header', schemaVersion: SCHEMA_VERSION, createdAt: 1234 });
+  });
+
+  it('skips corrupt lines and refuses files without a header or from a newer schema', () => {
+    fs.writeFileSync(file, [
+      JSON.stringify({ type: 'header', schemaVersion: SCHEMA_VERSION, createdAt: 1 }),
+      '{"type":"payment","txHash":',
+      JSON.stringify({ type: 'payment', txHash: txHash(1), status: 'confirmed' }),
+    ].join('\n') + '\n');
+    assert.equal(openAt().size(), 1);
+
+    fs.writeFileSync(file, JSON.stringify({ type: 'payment', txHash: txHash(1) }) + '\n');
+    assert.throws(() => openAt(), /does not start with a header/);
+
+    fs.writeFileSync(file, JSON.stringify({ type: 'header', schemaVersion: SCHEMA_VERSION + 1 }) + '\n');
+    assert.throws(() => openAt(), /has schema v/);
+  });
+
+  it('drops old non-lifetime payments past the retention period', () => {
+    const old = Date.now() - 10 * 24 * 60 * 60 * 1000;
+    const ledger = openAt();
+    ledger.record({ txHash: txHash(1), status: 'confirmed', lifetime: false, verifiedAt: old });
+    ledger.record({ txHash: txHash(2), status: 'confirmed', lifetime: true, verifiedAt: old });
+    ledger.record({ txHash: txHash(3), status: 'confirmed', lifetime: false });
+    ledger.close();
+
+    const kept = openAt({ retentionDays: 7 });
+    assert.equal(kept.get(txHash(1)), null);
+    assert.ok(kept.get(txHash(2)));
+    assert.ok(kept.get(txHash(3)));
+  });
+});
@@ -0,0 +1,141 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  decimalString,
+  fiatToWei,
+  withSlippage,
+  parseRates,
+  fileRates,
+  createPriceFeed,
+  createQuoteBook,
+  priceAt,
+  quoteFields,
+  quoteOf,
+} = require('../lib/pricefeed');
+
+const VAULT = '0x' + '22'.repeat(20);
+const entry = (fields = {}) => ({
+  vault: VAULT,
+  resourceId: 'masterclass',
+  fiatPrice: '4.99',
+  fiatCurrency: 'USD',
+  ...priceAt('4.99', '0.42'),
+  ...fields,
+});
+const txHash = (n) => '0x' + n.toString(16).padStart(64, '0');
+
+describe('fiat conversion', () => {
+  it('converts fiat to wei, rounding up for the creator', () => {
+    assert.equal(fiatToWei('1', '0.5'), '2000000000000000000');
+    assert.equal(fiatToWei('1', '3'), '333333333333333334');
+    assert.deepEqual(priceAt('4.99', '0.42'), {
+      rate: '0.42',
+      price: '11.880952380952380953',
+      priceWei: '11880952380952380953',
+    });
+  });
+
+  it('takes the slippage off, rounding down', () => {
+    assert.equal(withSlippage('10000', 100), '9900');
+    assert.equal(withSlippage('999', 100), '989');
+    assert.equal(withSlippage('999', 0), '999');
+  });
+
+  it('reads rates as plain decimals', () => {
+    assert.equal(decimalString(0.1), '0.1');
+    assert.equal(decimalString(1e-7), '0.0000001');
+    assert.equal(decimalString(' 0.42 '), '0.42');
+    for (const bad of ['0', '-1', '1e-3', 'abc', NaN, Infinity, null]) assert.equal(decimalString(bad), null, String(bad));
+
+    assert.deepEqual(parseRates({ rates: { usd: 0.42, EUR: '0.39' } }), { USD: '0.42', EUR: '0.39' });
+    assert.throws(() => parseRates({}), /"rates" object/);
+    assert.throws(() => parseRates({ rates: {} }), /no rates/);
+    assert.throws(() => parseRates({ rates: { USD: '0' } }), /not a positive rate/);
+    assert.throws(() => parseRates({ rates: { DOLLAR: '1' } }), /3-letter currency code/);
+  });
+});
+
+describe('price feed', () => {
+  it('keeps the last rates when a refresh fails', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a402-rates-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'rates.json');
+    fs.writeFileSync(file, JSON.stringify({ rates: { USD: '0.42' } }));
+
+    const updates = [];
+    const feed = createPriceFeed({ adapter: fileRates(file), maxAgeMs: 60_000, onUpdate: rates => updates.push(rates) });
+    assert.equal(feed.status().stale, true);
+    assert.equal(await feed.refresh(), true);
+    assert.deepEqual(feed.rates(), { USD: '0.42' });
+
+    fs.writeFileSync(file, '{ not json');
+    assert.equal(await feed.refresh(), false);
+    const status = feed.status();
+    assert.deepEqual(status.rates, { USD: '0.42' });
+    assert.equal(status.stale, false);
+    assert.match(status.lastError, /JSON/);
+    assert.deepEqual(updates, [{ USD: '0.42' }]);
+  });
+
+  it('reports rates older than maxAgeMs as stale', async () => {
+    const feed = createPriceFeed({ adapter: { fetchRates: async () => ({ rates: { USD: '1' } }) }, maxAgeMs: -1 });
+    await feed.refresh();
+    assert.equal(feed.status().stale, true);
+  });
+});
+
+describe('quote book', () => {
+  const config = { slippageBps: 100, quoteTtl: '5m' };
+
+  it('pins the converted price and the minimum it accepts', () => {
+    const quotes = createQuoteBook({ config });
+    const quote = quotes.issue(entry());
+    assert.match(quote.id, /^q_[0-9a-f]{24}$/);
+    assert.equal(quote.priceWei, '11880952380952380953');
+    assert.equal(quote.minAmountWei, withSlippage('11880952380952380953', 100));
+    assert.equal(quote.expiresAt - quote.issuedAt, 300_000);
+    assert.equal(quotes.check(quote.id, entry()).quote, quote);
+  });
+
+  it('refuses unknown, expired and foreign quotes', () => {
+    const quotes = createQuoteBook({ config });
+    assert.match(quotes.check('q_nope', entry()).error, /Unknown quote/);
+    assert.match(quotes.check(quotes.issue(entry()).id, entry({ resourceId: 'other' })).error, /different resource/);
+
+    const expiring = createQuoteBook({ config: { ...config, quoteTtl: 0 } });
+    assert.match(expiring.check(expiring.issue(entry()).id, entry()).error, /expired/);
+  });
+
+  it('lets one transaction hold a quote at a time', () => {
+    const quotes = createQuoteBook({ config });
+    const { id } = quotes.issue(entry());
+
+    assert.equal(quotes.claim(id, entry(), txHash(1)).ok, true);
+    assert.equal(quotes.claim(id, entry(), '0x' + txHash(1).slice(2).toUpperCase()).ok, true);
+    assert.match(quotes.claim(id, entry(), txHash(2)).error, /already used/);
+
+    quotes.release(id, txHash(2));
+    assert.equal(quotes.check(id, entry(), txHash(2)).ok, false);
+    quotes.release(id, txHash(1));
+    assert.equal(quotes.claim(id, entry(), txHash(2)).ok, true);
+  });
+
+  it('drops the oldest quotes past maxQuotes', () => {
+    const quotes = createQuoteBook({ config, maxQuotes: 2 });
+    const first = quotes.issue(entry());
+    quotes.issue(entry());
+    quotes.issue(entry());
+    assert.equal(quotes.size(), 2);
+    assert.equal(quotes.check(first.id, entry()).ok, false);
+  });
+
+  it('reads back the quote a ledger record was checked against', () => {
+    const quote = createQuoteBook({ config }).issue(entry());
+    const fields = quoteFields(quote);
+    assert.deepEqual(quoteFields(quoteOf({ txHash: txHash(1), ...fields })), fields);
+    assert.equal(quoteOf({ txHash: txHash(1) }), null);
+  });
+});
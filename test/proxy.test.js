@@ -0,0 +1,53 @@
+const { describe, it, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createContentProxy } = require('../lib/proxy');
+
+const entry = { vault: '0x' + '22'.repeat(20), resourceId: 'film' };
+const VIEWER = '0x' + 'aa'.repeat(20);
+
+describe('content proxy', () => {
+  const realNow = Date.now;
+  let now;
+  const at = (ms) => { now = ms; };
+  Date.now = () => now;
+  afterEach(() => at(realNow()));
+  after(() => { Date.now = realNow; });
+
+  const tokenOf = (path) => path.split('/')[3];
+
+  it('signs per-viewer links and refuses tampered ones', () => {
+    at(realNow());
+    const proxy = createContentProxy({ secret: 's' });
+    const token = tokenOf(proxy.signPath(entry, VIEWER, 'https://cdn.example/films/film.mp4'));
+    assert.deepEqual(
+      (({ vault, resourceId, viewer }) => ({ vault, resourceId, viewer }))(proxy.verifyToken(token)),
+      { vault: entry.vault, resourceId: 'film', viewer: VIEWER },
+    );
+    assert.throws(() => createContentProxy({ secret: 'other' }).verifyToken(token), /Invalid stream link/);
+  });
+
+  it('keeps a started link playing past its expiry until it goes idle', () => {
+    at(1_000_000_000_000);
+    const proxy = createContentProxy({ secret: 's', ttlSeconds: 300, idleSeconds: 60 });
+    const started = tokenOf(proxy.signPath(entry, VIEWER, 'https://cdn.example/film.mp4'));
+    const unopened = tokenOf(proxy.signPath({ ...entry, resourceId: 'other' }, VIEWER, 'https://cdn.example/film.mp4'));
+
+    proxy.verifyToken(started);
+    for (let step = 1; step <= 30; step++) {
+      at(1_000_000_000_000 + step * 50_000);
+      proxy.verifyToken(started);
+    }
+    assert.throws(() => proxy.verifyToken(unopened), /expired/);
+
+    at(now + 61_000);
+    assert.throws(() => proxy.verifyToken(started), /expired/);
+  });
+
+  it('resolves sub-paths inside the origin directory only', () => {
+    const proxy = createContentProxy({ secret: 's' });
+    const origin = 'https://cdn.example/hls/master.m3u8?sig=1';
+    assert.equal(proxy.resolveTarget(origin, ['master.m3u8']).href, origin);
+    assert.equal(proxy.resolveTarget(origin, ['seg-001.ts']).href, 'https://cdn.example/hls/seg-001.ts');
+    assert.equal(proxy.resolveTarget(origin, ['..', 'secret.mp4']), null);
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createRpcClient } = require('../lib/rpc');
+
+const servers = [];
+
+/**
+ * A JSON-RPC node answering with `reply(request, n)` — an object
+ * { status?, body } — and recording the requests it got.
+ */
+async function fakeNode(reply) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(raw);
+      requests.push(request);
+      const { status = 200, body } = reply(request, requests.length);
+      res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  servers.push(server);
+  return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+const answer = (result) => (request) => ({
+  body: Array.isArray(request)
+    ? request.map(({ id, method }) => ({ jsonrpc: '2.0', id, result: `${method}:${result}` }))
+    : { jsonrpc: '2.0', id: request.id, result: `${request.method}:${result}` },
+});
+
+describe('rpc client', () => {
+  after(() => {
+    for (const server of servers) {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  it('fails over to the next endpoint and benches the failing one', async () => {
+    const down = await fakeNode(() => ({ status: 503, body: {} }));
+    const up = await fakeNode(answer('up'));
+    const rpc = createRpcClient({ urls: [down.url, up.url], retries: 0, cooldownMs: 60_000 });
+
+    assert.equal(await rpc.call('eth_blockNumber'), 'eth_blockNumber:up');
+    assert.equal(await rpc.call('eth_chainId'), 'eth_chainId:up');
+    assert.equal(down.requests.length, 1);
+
+    const [bad, good] = rpc.status();
+    assert.equal(bad.endpoint, 0);
+    assert.equal(bad.host, new URL(down.url).host);
+    assert.equal(bad.url, undefined);
+    assert.equal(bad.healthy, false);
+    assert.equal(bad.lastError, 'RPC HTTP 503');
+    assert.equal(good.healthy, true);
+  });
+
+  it('retries transient errors and throws application errors straight away', async () => {
+    const node = await fakeNode((request, n) => {
+      if (request.method === 'eth_call') return { body: { jsonrpc: '2.0', id: request.id, error: { code: 3, message: 'execution reverted' } } };
+      if (n <= 2) return { body: { jsonrpc: '2.0', id: request.id, error: { code: -32005, message: 'rate limit exceeded' } } };
+      return answer('ok')(request);
+    });
+    const rpc = createRpcClient({ urls: [node.url], retries: 2, backoffMs: 1, cooldownMs: 0 });
+
+    assert.equal(await rpc.call('eth_blockNumber'), 'eth_blockNumber:ok');
+    assert.equal(node.requests.length, 3);
+
+    await assert.rejects(rpc.call('eth_call', [{}, 'latest']), (err) => err.code === 3 && !err.transient);
+    assert.equal(node.requests.length, 4);
+  });
+
+  it('gives up after the retries with the last error', async () => {
+    const node = await fakeNode(() => ({ status: 502, body: {} }));
+    const rpc = createRpcClient({ urls: [node.url], retries: 1, backoffMs: 1, cooldownMs: 0 });
+    await assert.rejects(rpc.call('eth_blockNumber'), /RPC HTTP 502/);
+    assert.equal(node.requests.length, 2);
+  });
+
+  it('batches calls made in the same tick, and stops batching for nodes that refuse', async () => {
+    const batching = await fakeNode(answer('b'));
+    const rpc = createRpcClient({ urls: [batching.url] });
+    assert.deepEqual(
+      await Promise.all([rpc.call('eth_chainId'), rpc.call('eth_blockNumber')]),
+      ['eth_chainId:b', 'eth_blockNumber:b'],
+    );
+    assert.equal(batching.requests.length, 1);
+    assert.equal(batching.requests[0].length, 2);
+
+    const single = await fakeNode((request) => (Array.isArray(request)
+      ? { body: { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'batch not supported' } } }
+      : answer('s')(request)));
+    const plain = createRpcClient({ urls: [single.url] });
+    assert.deepEqual(await plain.batch([['eth_chainId', []], ['eth_blockNumber', []]]), ['eth_chainId:s', 'eth_blockNumber:s']);
+    assert.equal(plain.status()[0].batching, false);
+  });
+
+  it('caches results and shares in-flight requests', async () => {
+    const node = await fakeNode(answer('c'));
+    const rpc = createRpcClient({ urls: [node.url], batching: false });
+    const [a, b] = await Promise.all([
+      rpc.call('eth_call', [{ to: '0x1' }, 'latest'], { cacheTtlMs: 60_000 }),
+      rpc.call('eth_call', [{ to: '0x1' }, 'latest'], { cacheTtlMs: 60_000 }),
+    ]);
+    assert.equal(a, b);
+    await rpc.call('eth_call', [{ to: '0x1' }, 'latest'], { cacheTtlMs: 60_000 });
+    assert.equal(node.requests.length, 1);
+
+    rpc.invalidate();
+    await rpc.call('eth_call', [{ to: '0x1' }, 'latest'], { cacheTtlMs: 60_000 });
+    assert.equal(node.requests.length, 2);
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMessage, createSiwe } = require('../lib/siwe');
+
+const ADDRESS = '0x' + 'aa'.repeat(20);
+
+function message(fields = {}) {
+  const lines = {
+    URI: 'https://a402.example/',
+    Version: '1',
+    'Chain ID': '2786',
+    Nonce: '0x01',
+    'Issued At': new Date().toISOString(),
+    ...fields,
+  };
+  return [
+    'a402.example wants you to sign in with your Ethereum account:',
+    ADDRESS,
+    '',
+    ...Object.entries(lines).filter(([, value]) => value !== undefined).map(([name, value]) => `${name}: ${value}`),
+  ].join('\n');
+}
+
+describe('siwe', () => {
+  it('parses an EIP-4361 message', () => {
+    const parsed = parseMessage(message({ 'Expiration Time': '2030-01-01T00:00:00Z' }));
+    assert.equal(parsed.domain, 'a402.example');
+    assert.equal(parsed.address, ADDRESS);
+    assert.equal(parsed.chainId, 2786);
+    assert.equal(parsed.expirationTime, '2030-01-01T00:00:00Z');
+  });
+
+  it('refuses timestamps that are not RFC 3339', () => {
+    for (const name of ['Issued At', 'Expiration Time', 'Not Before']) {
+      for (const value of ['tomorrow', '2030-01-01', '2030-13-45T00:00:00Z']) {
+        assert.throws(() => parseMessage(message({ [name]: value })), new RegExp(`${name} is not an RFC 3339 timestamp`), `${name}: ${value}`);
+      }
+    }
+    assert.throws(() => parseMessage(message({ 'Issued At': undefined })), /Missing Issued At/);
+  });
+
+  it('refuses messages issued in the future or for another domain', () => {
+    const siwe = createSiwe({ chainId: 2786, domain: 'a402.example' });
+    const later = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+    assert.throws(() => siwe.verify(message({ 'Issued At': later }), '0x'), /issued in the future/);
+    assert.throws(() => createSiwe({ chainId: 2786, domain: 'other.example' }).verify(message(), '0x', 'a402.example'), /Domain mismatch/);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTokens } = require('../lib/tokens');
+
+const SECRET = 'test-secret';
+const GRANT = {
+  payer: '0x' + 'AA'.repeat(20),
+  vault: '0x' + 'BB'.repeat(20),
+  resourceId: 'video-001',
+  mode: 'lifetime',
+  txHash: '0x' + 'CD'.repeat(32),
+};
+
+describe('access tokens', () => {
+  it('verifies the claims it issued', () => {
+    const tokens = createTokens({ secret: SECRET, ttlSeconds: 60 });
+    const { token, claims } = tokens.issue({ ...GRANT, clientId: 'device-1' });
+    const verified = tokens.verify(token);
+    assert.deepEqual(verified, claims);
+    assert.equal(verified.sub, GRANT.payer.toLowerCase());
+    assert.equal(verified.vault, GRANT.vault.toLowerCase());
+    assert.equal(verified.rid, 'video-001');
+    assert.equal(verified.tx, GRANT.txHash.toLowerCase());
+    assert.equal(verified.cid, 'device-1');
+    assert.equal(verified.exp - verified.iat, 60);
+  });
+
+  it('refuses tampered, foreign, malformed and expired tokens', () => {
+    const tokens = createTokens({ secret: SECRET });
+    const { token } = tokens.issue(GRANT);
+    const [head, body, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, 'base64url')), rid: 'other' })).toString('base64url');
+
+    assert.throws(() => tokens.verify(`${head}.${forged}.${signature}`), /Invalid token signature/);
+    assert.throws(() => createTokens({ secret: 'other' }).verify(token), /Invalid token signature/);
+    assert.throws(() => tokens.verify('not-a-token'), /Malformed token/);
+
+    const expired = createTokens({ secret: SECRET, ttlSeconds: -1 }).issue(GRANT).token;
+    assert.throws(() => tokens.verify(expired), /Token expired/);
+    assert.ok(tokens.verify(expired, { allowExpiredFor: 60 }));
+  });
+
+  it('refreshes lifetime tokens into new ones and revokes the old', () => {
+    const tokens = createTokens({ secret: SECRET });
+    const { token } = tokens.issue(GRANT);
+    const fresh = tokens.refresh(token);
+    assert.equal(tokens.verify(fresh.token).rid, 'video-001');
+    assert.throws(() => tokens.verify(token), /Token revoked/);
+    assert.throws(() => tokens.refresh(token), /Token revoked/);
+
+    const session = tokens.issue({ ...GRANT, mode: 'session' }).token;
+    assert.throws(() => tokens.refresh(session), /Only lifetime and credits tokens/);
+  });
+
+  it('keeps revocations across restarts', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a402-tokens-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const revocationFile = path.join(dir, 'revoked.json');
+
+    const tokens = createTokens({ secret: SECRET, revocationFile });
+    const { token, claims } = tokens.issue(GRANT);
+    tokens.revoke(claims);
+
+    const restarted = createTokens({ secret: SECRET, revocationFile });
+    assert.throws(() => restarted.verify(token), /Token revoked/);
+  });
+
+  it('reads bearer tokens from the Authorization header', () => {
+    const tokens = createTokens({ secret: SECRET });
+    const request = (authorization) => ({ get: (name) => (name === 'authorization' ? authorization : undefined) });
+    assert.equal(tokens.readBearer(request('Bearer abc.def.ghi')), 'abc.def.ghi');
+    assert.equal(tokens.readBearer(request('Basic abc')), null);
+    assert.equal(tokens.readBearer(request(undefined)), null);
+  });
+});
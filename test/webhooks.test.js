@@ -0,0 +1,162 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createWebhooks, isPrivateAddress, signatureHeader, SIGNATURE_HEADER } = require('../lib/webhooks');
+
+const CREATOR = '0x' + 'cc'.repeat(20);
+const VAULT = '0x' + '22'.repeat(20);
+
+describe('webhooks', () => {
+  let server;
+  let url;
+  let received;
+  let statuses;
+  let dir;
+  let webhooks;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        // /slow never answers
+        if (req.url === '/slow') return;
+        received.push({ headers: req.headers, body });
+        res.writeHead(statuses.shift() ?? 200).end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  beforeEach(() => {
+    received = [];
+    statuses = [];
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a402-webhooks-'));
+  });
+
+  afterEach(() => {
+    webhooks?.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const open = (options = {}) => {
+    webhooks = createWebhooks({ file: path.join(dir, 'webhooks.jsonl'), allowPrivateTargets: true, baseDelayMs: 0, ...options });
+    return webhooks;
+  };
+
+  it('signs each delivery with the endpoint secret', async () => {
+    const hooks = open();
+    const { secret } = await hooks.addEndpoint({ creator: CREATOR, url });
+    const [queued] = hooks.dispatch('payment.verified', { txHash: '0x01' }, { creator: CREATOR, vault: VAULT });
+    await hooks.drain();
+
+    assert.equal(received.length, 1);
+    const { headers, body } = received[0];
+    assert.equal(headers['x-a402-event'], 'payment.verified');
+    assert.equal(headers['x-a402-delivery'], queued.id);
+    assert.deepEqual(JSON.parse(body).data, { txHash: '0x01' });
+
+    const { t, v1 } = Object.fromEntries(headers[SIGNATURE_HEADER.toLowerCase()].split(',').map(p => p.split('=')));
+    const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+    assert.equal(v1, expected);
+    assert.equal(signatureHeader(secret, body, Number(t)), `t=${t},v1=${expected}`);
+    assert.equal(hooks.getDelivery(queued.id).status, 'delivered');
+  });
+
+  it('only queues deliveries for the endpoint creator and vault', async () => {
+    const hooks = open();
+    await hooks.addEndpoint({ creator: CREATOR, url, vault: VAULT });
+    assert.equal(hooks.dispatch('payment.verified', {}, { creator: '0x' + 'dd'.repeat(20), vault: VAULT }).length, 0);
+    assert.equal(hooks.dispatch('payment.verified', {}, { creator: CREATOR, vault: '0x' + '33'.repeat(20) }).length, 0);
+    assert.equal(hooks.dispatch('payment.verified', {}, { creator: '0x' + 'CC'.repeat(20), vault: VAULT }).length, 1);
+    await hooks.drain();
+  });
+
+  it('retries failed deliveries and dead-letters them after maxAttempts', async () => {
+    const hooks = open({ maxAttempts: 3 });
+    await hooks.addEndpoint({ creator: CREATOR, url });
+
+    statuses = [500];
+    const [retried] = hooks.dispatch('payment.verified', {}, { creator: CREATOR, vault: VAULT });
+    await hooks.drain();
+    assert.deepEqual(
+      (({ status, attempts, lastError }) => ({ status, attempts, lastError }))(hooks.getDelivery(retried.id)),
+      { status: 'pending', attempts: 1, lastError: 'HTTP 500' },
+    );
+    await hooks.drain();
+    assert.equal(hooks.getDelivery(retried.id).status, 'delivered');
+    assert.equal(hooks.getDelivery(retried.id).attempts, 2);
+
+    statuses = [500, 502, 503];
+    const [dead] = hooks.dispatch('payment.verified', {}, { creator: CREATOR, vault: VAULT });
+    for (let i = 0; i < 3; i++) await hooks.drain();
+    assert.equal(hooks.getDelivery(dead.id).status, 'dead');
+    assert.equal(hooks.listDeliveries(CREATOR, { status: 'dead' }).length, 1);
+
+    hooks.redeliver(dead.id);
+    await hooks.drain();
+    assert.equal(hooks.getDelivery(dead.id).status, 'delivered');
+  });
+
+  it('does not let a slow endpoint hold up other creators', async () => {
+    const hooks = open({ timeoutMs: 300 });
+    const OTHER = '0x' + 'dd'.repeat(20);
+    await hooks.addEndpoint({ creator: OTHER, url: url.replace('/hook', '/slow') });
+    await hooks.addEndpoint({ creator: CREATOR, url });
+
+    const [slow] = hooks.dispatch('payment.verified', {}, { creator: OTHER, vault: VAULT });
+    const [fast] = hooks.dispatch('payment.verified', {}, { creator: CREATOR, vault: VAULT });
+    const draining = hooks.drain();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(hooks.getDelivery(fast.id).status, 'delivered');
+    assert.equal(hooks.getDelivery(slow.id).status, 'pending');
+
+    await draining;
+    assert.equal(hooks.getDelivery(slow.id).lastError, 'Timed out after 300 ms');
+  });
+
+  it('keeps endpoints and queued deliveries across restarts', async () => {
+    const hooks = open();
+    const endpoint = await hooks.addEndpoint({ creator: CREATOR, url });
+    statuses = [500];
+    const [pending] = hooks.dispatch('payment.verified', {}, { creator: CREATOR, vault: VAULT });
+    await hooks.drain();
+
+    const restarted = open();
+    assert.deepEqual(restarted.listEndpoints(CREATOR).map(e => e.id), [endpoint.id]);
+    assert.equal(restarted.listEndpoints(CREATOR)[0].secret, undefined);
+    await restarted.drain();
+    assert.equal(restarted.getDelivery(pending.id).status, 'delivered');
+  });
+
+  it('caps endpoints per creator and refuses non-public targets', async () => {
+    const hooks = open({ maxEndpointsPerCreator: 1 });
+    await hooks.addEndpoint({ creator: CREATOR, url });
+    await assert.rejects(hooks.addEndpoint({ creator: CREATOR, url }), /At most 1 webhook endpoints/);
+
+    const strict = open({ allowPrivateTargets: false });
+    for (const target of ['http://127.0.0.1/', 'http://169.254.169.254/latest', 'http://10.1.2.3/', 'http://[::1]/', 'http://localhost/']) {
+      await assert.rejects(strict.addEndpoint({ creator: CREATOR, url: target }), Error, target);
+    }
+    await assert.rejects(strict.addEndpoint({ creator: CREATOR, url: 'ftp://example.com/' }), /must be http/);
+  });
+
+  it('classifies private addresses', () => {
+    for (const ip of ['127.0.0.1', '10.0.0.1', '172.16.5.4', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+      assert.equal(isPrivateAddress(ip), true, ip);
+    }
+    for (const ip of ['8.8.8.8', '172.32.0.1', '2606:4700::1111']) {
+      assert.equal(isPrivateAddress(ip), false, ip);
+    }
+  });
+});